@@ -0,0 +1,73 @@
+/**
+ * Chrome Copilot - Request Cancellation
+ * 
+ * This module combines a caller's abort signal with an inactivity timeout
+ * so hung provider requests are aborted automatically.
+ */
+
+/**
+ * Check whether an error was caused by aborting a request
+ * @param {Error} error - Error thrown by fetch or a stream reader
+ * @returns {boolean} True if the request was aborted
+ */
+export function isAbortError(error) {
+  return Boolean(error) && (error.name === 'AbortError' || error.name === 'TimeoutError');
+}
+
+/**
+ * Create a signal that aborts when the caller aborts or when the request is idle too long
+ * 
+ * The timeout measures inactivity rather than total duration, so long streamed
+ * responses are not cut off while tokens are still arriving.
+ * @param {AbortSignal} [parentSignal] - Signal of the caller (e.g. a Stop button)
+ * @param {number} timeoutMs - Inactivity timeout in milliseconds (0 disables it)
+ * @returns {Object} Request signal with `signal`, `refresh()`, `pause()`, `dispose()` and `timedOut`
+ */
+export function createRequestSignal(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timer = null;
+  
+  const request = {
+    signal: controller.signal,
+    timedOut: false,
+    
+    // Restart the inactivity timer (called whenever data arrives)
+    refresh() {
+      clearTimeout(timer);
+      if (timeoutMs > 0 && !controller.signal.aborted) {
+        timer = setTimeout(() => {
+          request.timedOut = true;
+          controller.abort(new DOMException('Request timed out', 'TimeoutError'));
+        }, timeoutMs);
+      }
+    },
+    
+    // Stop the inactivity timer while nothing is expected (e.g. waiting to retry)
+    pause() {
+      clearTimeout(timer);
+    },
+    
+    dispose() {
+      clearTimeout(timer);
+      if (parentSignal) {
+        parentSignal.removeEventListener('abort', onParentAbort);
+      }
+    }
+  };
+  
+  function onParentAbort() {
+    clearTimeout(timer);
+    controller.abort(parentSignal.reason);
+  }
+  
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      controller.abort(parentSignal.reason);
+    } else {
+      parentSignal.addEventListener('abort', onParentAbort);
+    }
+  }
+  
+  request.refresh();
+  return request;
+}
\ No newline at end of file
@@ -2,16 +2,24 @@
  * Chrome Copilot - LLM API Integration Layer
  * 
  * This module provides a unified interface for communicating with various
- * LLM providers (OpenAI, Anthropic, custom) with support for prompt templating,
+ * LLM providers (OpenAI, Anthropic, local servers, custom) with support for prompt templating,
  * error handling, and response processing.
  */
 
 import { Storage } from '../config/storage.js';
-import { applyPromptTemplate } from './prompts.js';
-import { OpenAIProvider } from './providers/openai.js';
-import { AnthropicProvider } from './providers/anthropic.js';
-import { DeepSeekProvider } from './providers/deepseek.js';
-import { CustomProvider } from './providers/custom.js';
+import { KeyVault } from '../config/key-vault.js';
+import { applySiteRules } from '../config/site-rules.js';
+import { applyPromptTemplate, getTemplateContext } from './prompts.js';
+import { getProvider, getProviderLabel, supportsImages, DEFAULT_CONTEXT_WINDOW } from './registry.js';
+import { ResponseCache } from './cache.js';
+import { ModelListCache } from './model-cache.js';
+import { UsageLedger, combineUsage } from './usage.js';
+import { messagesToText, hasImages } from './messages.js';
+import { createRequestSignal, isAbortError } from './abort.js';
+import { withRetry } from './retry.js';
+import { classifyFailure, canFallBack, getFallbackChain } from './fallback.js';
+import { summarizePage, getChunkLength } from './summarize.js';
+import { DEFAULT_CONFIG, ERROR_MESSAGES } from '../core/constants.js';
 
 /**
  * Main LLM API interface
@@ -22,9 +30,35 @@ export class LLMAPI {
    * @param {string} text - Text to process
    * @param {Object} context - Page context data
    * @param {Object} options - Additional options
+   * @param {Function} [options.onToken] - Receives (delta, fullText) as the response streams in.
+   *   Streaming is only used when the provider supports it; otherwise the full text is returned at once.
+   * @param {AbortSignal} [options.signal] - Cancels the request; the promise then rejects with an AbortError
+   * @param {boolean} [options.bypassCache] - Always call the provider, even if a cached response exists
+   * @param {Function} [options.onUsage] - Receives the usage of the call (see recordUsage); not called for cached results
+   * @param {Function} [options.onRetry] - Called with ({ attempt, maxAttempts, delayMs, error }) before a failed request is retried
+   * @param {Function} [options.onFallback] - Called with ({ failure, error, from, to }) before the next fallback profile is tried
+   * @param {Array<{mediaType: string, data: string}>} [options.images] - Images sent with the prompt (see images.js);
+   *   only vision models accept them (see supportsImages in registry.js), and such requests are never cached
    * @returns {Promise<string>} Processed text from LLM
    */
   static async processText(text, context, options = {}) {
+    const { result } = await this.startConversation(text, context, options);
+    return result;
+  }
+  
+  /**
+   * Process text and return the conversation it started
+   * 
+   * The returned message list can be extended with follow-up questions and
+   * passed back to sendMessages.
+   * @param {string} text - Text to process
+   * @param {Object} context - Page context data
+   * @param {Object} options - Additional options (see processText)
+   * @returns {Promise<{result: string, messages: Array<{role: string, content: string, images?: Array}>, cached: boolean, usage: Object|null, answeredBy: Object}>}
+   *   `usage` is null for cached results; `answeredBy` holds the profileId, provider and model that answered,
+   *   and whether it was a fallback
+   */
+  static async startConversation(text, context, options = {}) {
     try {
       // Validate inputs
       if (!text || typeof text !== 'string') {
@@ -35,100 +69,430 @@ export class LLMAPI {
         throw new Error('Invalid context data');
       }
       
-      // Load configuration
-      const config = await Storage.loadConfig();
-      const provider = config.provider || 'openai';
-      const model = config.model || 'gpt-3.5-turbo';
+      // Load configuration, with any rule for the page applied
+      const { config, rule } = applySiteRules(await Storage.loadConfig(), context.url);
+      if (rule?.disableExtension) {
+        throw new Error(ERROR_MESSAGES.SITE_DISABLED);
+      }
+      
+      const promptTemplate = options.promptTemplate || config.defaultPrompt;
+      const images = options.images?.length ? options.images : null;
       
-      // Get API key
-      const apiKey = await Storage.getApiKey(provider);
-      if (!apiKey) {
-        throw new Error('API key not configured. Please set up your API key in extension settings.');
+      // The cache is keyed by text, so answers about images are never cached
+      const useCache = config.cacheResponses && !images;
+      
+      // Serve repeated requests from the cache
+      if (useCache && !options.bypassCache) {
+        const cached = await this.getCachedResponse(text, context, promptTemplate, config);
+        if (cached) {
+          if (typeof options.onToken === 'function') {
+            options.onToken(cached.result, cached.result);
+          }
+          return {
+            result: cached.result,
+            messages: cached.messages,
+            cached: true,
+            usage: null,
+            answeredBy: this.describeAnswer(config, config)
+          };
+        }
       }
       
       // Apply prompt template
-      const promptTemplate = options.promptTemplate || config.defaultPrompt;
       const prompt = applyPromptTemplate(promptTemplate, { text, context });
       
-      // Prepare request options
-      const requestOptions = {
-        maxTokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7,
-        ...options
+      const messages = [images ? { role: 'user', content: prompt, images } : { role: 'user', content: prompt }];
+      let usage = null;
+      const { result, config: answered } = await this.callWithFallback(config, messages, {
+        ...options,
+        onUsage: value => {
+          usage = value;
+          options.onUsage?.(value);
+        }
+      });
+      const conversation = [...messages, { role: 'assistant', content: result }];
+      
+      // Answers from a fallback are cached under the profile that gave them
+      if (useCache) {
+        await this.cacheResponse(text, context, promptTemplate, answered, { result, messages: conversation });
+      }
+      
+      return {
+        result,
+        messages: conversation,
+        cached: false,
+        usage,
+        answeredBy: this.describeAnswer(config, answered)
       };
       
-      // Call appropriate provider
-      let result;
-      switch (provider) {
-        case 'openai':
-          result = await OpenAIProvider.call(
-            apiKey,
-            prompt,
-            model,
-            requestOptions
-          );
-          break;
-          
-        case 'anthropic':
-          result = await AnthropicProvider.call(
-            apiKey,
-            prompt,
-            model,
-            requestOptions
-          );
-          break;
-          
-        case 'deepseek':
-          result = await DeepSeekProvider.call(
-            apiKey,
-            prompt,
-            model,
-            requestOptions
-          );
-          break;
-          
-        case 'custom':
-          result = await CustomProvider.call(
-            config.endpoint,
-            apiKey,
-            prompt,
-            model,
-            requestOptions
-          );
-          break;
-          
-        default:
-          throw new Error(`Unsupported provider: ${provider}`);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('LLM API processing error:', error);
+      }
+      throw this.enhanceError(error);
+    }
+  }
+  
+  /**
+   * Summarize a page, or answer a question about it, and return the conversation it started
+   * 
+   * Pages longer than the provider's context window are read in chunks (see
+   * summarize.js), so one request may take several calls; only the last one
+   * streams. The message list holds the final prompt and answer, so follow-up
+   * questions work as they do for selections.
+   * @param {Object} page - Article from the content script (see extractArticle)
+   * @param {string} page.content - Article text
+   * @param {string} [page.title] - Article title (defaults to the page title)
+   * @param {string} [page.question] - Question to answer; without one the page is summarized
+   * @param {Object} context - Page context data
+   * @param {Object} options - Additional options (see processText; promptTemplate and images don't apply)
+   * @param {Function} [options.onProgress] - Called with ({ stage, done, total, question }) before each
+   *   step (see summarizePage and describeProgress)
+   * @returns {Promise<Object>} Same as startConversation; `usage` adds up every call
+   */
+  static async startPageConversation(page, context, options = {}) {
+    try {
+      if (!page?.content || typeof page.content !== 'string') {
+        throw new Error(ERROR_MESSAGES.NO_ARTICLE);
       }
       
-      // Validate response
-      if (!result || typeof result !== 'string') {
-        throw new Error('Invalid response from LLM API');
+      if (!context || typeof context !== 'object') {
+        throw new Error('Invalid context data');
       }
       
-      // Cache response (optional future enhancement)
-      // await this.cacheResponse(text, context, prompt, result, provider, model);
+      const { config, rule } = applySiteRules(await Storage.loadConfig(), context.url);
+      if (rule?.disableExtension) {
+        throw new Error(ERROR_MESSAGES.SITE_DISABLED);
+      }
       
-      return result.trim();
+      // Page requests have no prompt template, so the cache is keyed by the kind of request instead
+      const question = (page.question || '').trim();
+      const cacheTemplate = question ? `page-question:${question}` : 'page-summary';
       
-    } catch (error) {
-      console.error('LLM API processing error:', error);
+      if (config.cacheResponses && !options.bypassCache) {
+        const cached = await this.getCachedResponse(page.content, context, cacheTemplate, config);
+        if (cached) {
+          if (typeof options.onToken === 'function') {
+            options.onToken(cached.result, cached.result);
+          }
+          return {
+            result: cached.result,
+            messages: cached.messages,
+            cached: true,
+            usage: null,
+            answeredBy: this.describeAnswer(config, config)
+          };
+        }
+      }
       
-      // Enhance error message for common issues
-      let enhancedError = error.message;
+      // Any step may be answered by a fallback profile, so chunks must fit the smallest window
+      const contextWindow = Math.min(...getFallbackChain(config)
+        .map(item => getProvider(item.provider)?.capabilities.contextWindow || DEFAULT_CONTEXT_WINDOW));
       
-      if (error.message.includes('API key') || error.message.includes('authentication')) {
-        enhancedError = 'Authentication failed. Please check your API key.';
-      } else if (error.message.includes('network') || error.message.includes('fetch')) {
-        enhancedError = 'Network error. Please check your connection.';
-      } else if (error.message.includes('rate limit')) {
-        enhancedError = 'Rate limit exceeded. Please try again later.';
-      } else if (error.message.includes('quota') || error.message.includes('credit')) {
-        enhancedError = 'API quota exceeded. Please check your account balance.';
+      let usage = null;
+      let answered = config;
+      const { result, prompt } = await summarizePage({
+        content: page.content,
+        title: page.title || context.title,
+        url: context.url,
+        question
+      }, {
+        chunkLength: getChunkLength(contextWindow),
+        onProgress: options.onProgress,
+        complete: async (stepPrompt, { final }) => {
+          const step = await this.callWithFallback(config, [{ role: 'user', content: stepPrompt }], {
+            ...options,
+            onToken: final ? options.onToken : undefined,
+            onUsage: value => {
+              usage = combineUsage(usage, value);
+              options.onUsage?.(value);
+            }
+          });
+          answered = step.config;
+          return step.result;
+        }
+      });
+      const conversation = [{ role: 'user', content: prompt }, { role: 'assistant', content: result }];
+      
+      if (config.cacheResponses) {
+        await this.cacheResponse(page.content, context, cacheTemplate, answered, { result, messages: conversation });
+      }
+      
+      return {
+        result,
+        messages: conversation,
+        cached: false,
+        usage,
+        answeredBy: this.describeAnswer(config, answered)
+      };
+      
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('LLM API page processing error:', error);
+      }
+      throw this.enhanceError(error);
+    }
+  }
+  
+  /**
+   * Continue a conversation using configured LLM provider
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns, ending with a user message
+   * @param {Object} options - Additional options (see processText)
+   * @param {string} [options.url] - URL of the page the conversation is about, so site rules apply
+   * @param {Function} [options.onUsage] - Receives the usage of the call (see recordUsage)
+   * @param {Function} [options.onRetry] - Called before a failed request is retried (see processText)
+   * @returns {Promise<string>} Assistant reply
+   */
+  static async sendMessages(messages, options = {}) {
+    try {
+      const { config, rule } = applySiteRules(await Storage.loadConfig(), options.url);
+      if (rule?.disableExtension) {
+        throw new Error(ERROR_MESSAGES.SITE_DISABLED);
       }
       
-      throw new Error(enhancedError);
+      const { result } = await this.callWithFallback(config, messages, options);
+      return result;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('LLM API conversation error:', error);
+      }
+      throw this.enhanceError(error);
+    }
+  }
+  
+  /**
+   * Send a message list to the configured provider, then to each fallback
+   * profile in turn while the failure is one the user chose to fall back on
+   * @param {Object} config - Extension configuration
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns
+   * @param {Object} options - Additional options (see processText)
+   * @returns {Promise<{result: string, config: Object}>} Response text and the configuration of the profile that answered
+   */
+  static async callWithFallback(config, messages, options = {}) {
+    // Fallback profiles that can't read the images in the conversation are skipped
+    const chain = getFallbackChain(config)
+      .filter((item, index) => index === 0 || !hasImages(messages) || supportsImages(item.provider, item.model));
+    
+    for (let index = 0; ; index++) {
+      try {
+        const result = await this.callProvider(chain[index], messages, options);
+        return { result, config: chain[index] };
+      } catch (error) {
+        const failure = classifyFailure(error);
+        const next = chain[index + 1];
+        if (!next || !failure || !canFallBack(config, failure)) {
+          throw error;
+        }
+        
+        console.warn(`${getProviderLabel(chain[index].provider)} failed (${error.message}), trying ${getProviderLabel(next.provider)}`);
+        options.onFallback?.({ failure, error, from: chain[index], to: next });
+      }
+    }
+  }
+  
+  /**
+   * Describe the profile that answered a request
+   * @param {Object} config - Configuration the request was made with
+   * @param {Object} answered - Configuration of the profile that answered
+   * @returns {{profileId: string, provider: string, model: string, fallback: boolean}}
+   */
+  static describeAnswer(config, answered) {
+    return {
+      profileId: answered.profileId,
+      provider: answered.provider,
+      model: answered.model,
+      fallback: answered.profileId !== config.profileId
+    };
+  }
+  
+  /**
+   * Send a message list to the configured provider
+   * @param {Object} config - Extension configuration
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns
+   * @param {Object} options - Additional options (see processText)
+   * @returns {Promise<string>} Trimmed response text
+   */
+  static async callProvider(config, messages, options = {}) {
+    const provider = getProvider(config.provider || 'openai');
+    if (!provider) {
+      throw new Error(`Unsupported provider: ${config.provider}`);
+    }
+    
+    const model = config.model || provider.defaultModel;
+    
+    // Checked before sending, since models without vision reject image content with a bare 400
+    if (hasImages(messages) && !supportsImages(provider.id, model)) {
+      throw new Error(ERROR_MESSAGES.IMAGES_UNSUPPORTED);
+    }
+    
+    // Get API key (stored per profile)
+    const apiKey = await Storage.getApiKey(config.profileId || provider.id, { extend: true });
+    if (!apiKey && provider.capabilities.requiresApiKey && await KeyVault.isLocked()) {
+      throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+    }
+    if (!apiKey && provider.capabilities.requiresApiKey) {
+      throw new Error(ERROR_MESSAGES.NO_API_KEY);
+    }
+    
+    // Requests stop once the monthly budget is spent (local models cost nothing)
+    if (!provider.capabilities.local && (await this.getBudgetStatus(config)).state === 'exceeded') {
+      throw new Error(ERROR_MESSAGES.BUDGET_EXCEEDED);
+    }
+    
+    // Abort hung requests after the configured period without any response data
+    const request = createRequestSignal(options.signal, (config.requestTimeout || 0) * 1000);
+    let receivedText = false;
+    const onToken = typeof options.onToken === 'function'
+      ? (delta, fullText) => {
+        request.refresh();
+        receivedText = true;
+        options.onToken(delta, fullText);
+      }
+      : undefined;
+    
+    // Prepare request options
+    let reportedUsage = null;
+    const requestOptions = {
+      maxTokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? config.temperature ?? 0.7,
+      ...options,
+      onToken,
+      onUsage: usage => {
+        reportedUsage = usage;
+      },
+      signal: request.signal,
+      stream: Boolean(onToken) && provider.capabilities.supportsStreaming
+    };
+    
+    // Only providers without a fixed API take the configured endpoint
+    if (this.usesEndpoint(provider, config.endpoint)) {
+      requestOptions.endpoint = config.endpoint;
+    }
+    
+    // Call the registered provider, retrying transient failures until text has been shown
+    let result;
+    try {
+      result = await withRetry(() => {
+        request.refresh();
+        return provider.chat(apiKey, messages, model, requestOptions);
+      }, {
+        maxAttempts: config.retryAttempts ?? DEFAULT_CONFIG.retryAttempts,
+        signal: request.signal,
+        canRetry: () => !receivedText,
+        onRetry: retry => {
+          request.pause();
+          options.onRetry?.(retry);
+        }
+      });
+    } catch (error) {
+      if (request.timedOut) {
+        throw new Error(ERROR_MESSAGES.REQUEST_TIMEOUT);
+      }
+      throw error;
+    } finally {
+      request.dispose();
     }
+    
+    // Validate response
+    if (!result || typeof result !== 'string') {
+      throw new Error('Invalid response from LLM API');
+    }
+    
+    const usage = await this.recordUsage(config, provider, model, messages, result, reportedUsage);
+    if (typeof options.onUsage === 'function') {
+      options.onUsage(usage);
+    }
+    
+    return result.trim();
+  }
+  
+  /**
+   * Record the tokens and cost of a provider call in the usage ledger
+   * @param {Object} config - Extension configuration
+   * @param {Object} provider - Registered provider
+   * @param {string} model - Model name
+   * @param {Array<{role: string, content: string}>} messages - Messages sent
+   * @param {string} result - Response text
+   * @param {Object|null} reported - Usage reported by the provider ({ inputTokens, outputTokens })
+   * @returns {Promise<Object>} Usage: inputTokens, outputTokens, cost (USD, null if the model
+   *   has no known pricing), estimated (tokens were counted locally) and budget (see getBudgetStatus)
+   */
+  static async recordUsage(config, provider, model, messages, result, reported) {
+    // Estimate ~4 characters per token when the provider doesn't report usage
+    const tokens = reported || {
+      inputTokens: Math.ceil(messagesToText(messages).length / 4),
+      outputTokens: Math.ceil(result.length / 4)
+    };
+    const cost = provider.capabilities.local
+      ? 0
+      : this.estimateCost(provider.id, model, tokens.inputTokens, tokens.outputTokens);
+    
+    await UsageLedger.record({ provider: provider.id, model, ...tokens, cost });
+    
+    return {
+      ...tokens,
+      cost,
+      estimated: !reported,
+      budget: await this.getBudgetStatus(config)
+    };
+  }
+  
+  /**
+   * Compare this month's spending with the configured budget
+   * @param {Object} config - Extension configuration
+   * @returns {Promise<{state: string, spent: number, limit: number}>} `state` is 'none' (no budget),
+   *   'ok', 'warning' (past config.budgetWarningPercent) or 'exceeded'
+   */
+  static async getBudgetStatus(config) {
+    const limit = Number(config.monthlyBudget) || 0;
+    if (limit <= 0) {
+      return { state: 'none', spent: 0, limit: 0 };
+    }
+    
+    const spent = await UsageLedger.getMonthCost();
+    const warningAt = limit * (config.budgetWarningPercent ?? DEFAULT_CONFIG.budgetWarningPercent) / 100;
+    
+    let state = 'ok';
+    if (spent >= limit) {
+      state = 'exceeded';
+    } else if (spent >= warningAt) {
+      state = 'warning';
+    }
+    
+    return { state, spent, limit };
+  }
+  
+  /**
+   * Replace low-level error messages with user-facing ones
+   * @param {Error} error - Original error
+   * @returns {Error} Error with an enhanced message
+   */
+  static enhanceError(error) {
+    // Cancellation is not a failure, so callers need the original AbortError
+    if (isAbortError(error)) {
+      return error;
+    }
+    
+    // Our own messages are already user-facing, and views match some of them
+    // exactly (e.g. VAULT_LOCKED shows the unlock form), so keep them as they are
+    if (Object.values(ERROR_MESSAGES).includes(error.message)) {
+      return error;
+    }
+    
+    // Enhance error message for common issues
+    let enhancedError = error.message;
+    
+    if (error.message.includes('API key') || error.message.includes('authentication')) {
+      enhancedError = 'Authentication failed. Please check your API key.';
+    } else if (error.message.includes('network') || error.message.includes('fetch')) {
+      enhancedError = 'Network error. Please check your connection.';
+    } else if (error.message.includes('rate limit')) {
+      enhancedError = 'Rate limit exceeded. Please try again later.';
+    } else if (error.message.includes('quota') || error.message.includes('credit')) {
+      enhancedError = 'API quota exceeded. Please check your account balance.';
+    }
+    
+    return new Error(enhancedError);
   }
   
   /**
@@ -136,63 +500,32 @@ export class LLMAPI {
    * @param {string} provider - LLM provider
    * @param {string} apiKey - API key
    * @param {string} model - Model name
-   * @param {string} endpoint - API endpoint (for custom provider)
+   * @param {string} endpoint - API endpoint (for custom and local providers)
    * @returns {Promise<Object>} Test result with status and message
    */
   static async testConnection(provider, apiKey, model, endpoint) {
     try {
-      if (!provider || !apiKey) {
-        throw new Error('Provider and API key are required');
+      const providerInfo = getProvider(provider);
+      if (!providerInfo) {
+        throw new Error(`Unsupported provider: ${provider}`);
       }
       
-      const testPrompt = 'Respond with "Test successful" only.';
-      let result;
+      if (!apiKey && providerInfo.capabilities.requiresApiKey) {
+        throw new Error('Provider and API key are required');
+      }
       
-      switch (provider) {
-        case 'openai':
-          result = await OpenAIProvider.call(
-            apiKey,
-            testPrompt,
-            model || 'gpt-3.5-turbo',
-            { maxTokens: 10 }
-          );
-          break;
-          
-        case 'anthropic':
-          result = await AnthropicProvider.call(
-            apiKey,
-            testPrompt,
-            model || 'claude-3-haiku-20240307',
-            { maxTokens: 10 }
-          );
-          break;
-          
-        case 'deepseek':
-          result = await DeepSeekProvider.call(
-            apiKey,
-            testPrompt,
-            model || 'deepseek-chat',
-            { maxTokens: 10 }
-          );
-          break;
-          
-        case 'custom':
-          if (!endpoint) {
-            throw new Error('Endpoint is required for custom provider');
-          }
-          result = await CustomProvider.call(
-            endpoint,
-            apiKey,
-            testPrompt,
-            model || 'custom',
-            { maxTokens: 10 }
-          );
-          break;
-          
-        default:
-          throw new Error(`Unsupported provider: ${provider}`);
+      if (!endpoint && providerInfo.capabilities.requiresEndpoint) {
+        throw new Error(`Endpoint is required for ${providerInfo.label}`);
       }
       
+      const testPrompt = 'Respond with "Test successful" only.';
+      const result = await providerInfo.chat(
+        apiKey,
+        [{ role: 'user', content: testPrompt }],
+        model || providerInfo.defaultModel,
+        this.usesEndpoint(providerInfo, endpoint) ? { maxTokens: 10, endpoint } : { maxTokens: 10 }
+      );
+      
       return {
         success: true,
         message: `Connection successful: ${result.trim()}`,
@@ -208,43 +541,74 @@ export class LLMAPI {
     }
   }
   
+  /**
+   * Check whether a provider should be given the configured endpoint
+   * @param {Object} provider - Registered provider
+   * @param {string} endpoint - Configured endpoint
+   * @returns {boolean}
+   */
+  static usesEndpoint(provider, endpoint) {
+    return provider.capabilities.requiresEndpoint || (provider.capabilities.customEndpoint && Boolean(endpoint));
+  }
+  
   /**
    * Get available models for a provider
    * @param {string} provider - LLM provider
+   * @param {Object} [options] - Options (see listModels)
    * @returns {Promise<Array>} List of available models
    */
-  static async getAvailableModels(provider) {
-    // For now, return static lists
-    // In the future, this could make API calls to fetch available models
-    switch (provider) {
-      case 'openai':
-        return [
-          'gpt-4',
-          'gpt-4-turbo',
-          'gpt-3.5-turbo',
-          'gpt-3.5-turbo-instruct'
-        ];
-        
-      case 'anthropic':
-        return [
-          'claude-3-opus-20240229',
-          'claude-3-sonnet-20240229',
-          'claude-3-haiku-20240307'
-        ];
-        
-      case 'deepseek':
-        return [
-          'deepseek-chat',
-          'deepseek-coder',
-          'deepseek-reasoner'
-        ];
-        
-      case 'custom':
-        return ['custom'];
-        
-      default:
-        return [];
+  static async getAvailableModels(provider, options = {}) {
+    const { models } = await this.listModels(provider, options);
+    return models;
+  }
+  
+  /**
+   * Get the models a provider currently offers
+   * 
+   * Providers that can list their models are asked for them, and the list is
+   * cached for a day. When the provider can't be reached (or no API key is
+   * set), the last fetched list is used, then the models known to the registry.
+   * @param {string} provider - LLM provider
+   * @param {Object} [options] - Options
+   * @param {string} [options.apiKey] - API key
+   * @param {string} [options.endpoint] - Configured endpoint
+   * @param {boolean} [options.refresh] - Fetch the list even if the cached one is fresh
+   * @returns {Promise<{models: string[], source: string, fetchedAt: number|null}>}
+   *   `source` is 'live', 'cache' or 'static'
+   */
+  static async listModels(provider, options = {}) {
+    const providerInfo = getProvider(provider);
+    if (!providerInfo) {
+      return { models: [], source: 'static', fetchedAt: null };
+    }
+    
+    const staticList = { models: providerInfo.models, source: 'static', fetchedAt: null };
+    if (!providerInfo.listModels) {
+      return staticList;
+    }
+    
+    const endpoint = this.usesEndpoint(providerInfo, options.endpoint) ? options.endpoint : '';
+    const key = ModelListCache.createKey(provider, endpoint);
+    const cached = await ModelListCache.get(key);
+    const cachedList = cached ? { models: cached.models, source: 'cache', fetchedAt: cached.fetchedAt } : null;
+    
+    if (cachedList && !options.refresh && ModelListCache.isFresh(cached)) {
+      return cachedList;
     }
+    
+    if (options.apiKey || !providerInfo.capabilities.requiresApiKey) {
+      try {
+        const models = await providerInfo.listModels(options.apiKey, { endpoint });
+        if (models.length > 0) {
+          const entry = await ModelListCache.set(key, models);
+          return { models, source: 'live', fetchedAt: entry.fetchedAt };
+        }
+      } catch (error) {
+        console.error(`Failed to list ${providerInfo.label} models:`, error);
+      }
+    }
+    
+    return cachedList || staticList;
   }
   
   /**
@@ -253,48 +617,25 @@ export class LLMAPI {
    * @returns {Object} Provider capabilities
    */
   static getProviderCapabilities(provider) {
-    const capabilities = {
-      openai: {
-        name: 'OpenAI',
-        supportsStreaming: true,
-        maxTokens: 4096,
-        supportsImages: true,
-        pricing: 'Per token',
-        website: 'https://openai.com'
-      },
-      anthropic: {
-        name: 'Anthropic',
-        supportsStreaming: true,
-        maxTokens: 4096,
-        supportsImages: true,
-        pricing: 'Per token',
-        website: 'https://anthropic.com'
-      },
-      deepseek: {
-        name: 'DeepSeek',
-        supportsStreaming: true,
-        maxTokens: 4096,
-        supportsImages: false,
-        pricing: 'Per token',
-        website: 'https://deepseek.com'
-      },
-      custom: {
-        name: 'Custom API',
+    const providerInfo = getProvider(provider);
+    if (!providerInfo) {
+      return {
+        name: 'Unknown',
         supportsStreaming: false,
         maxTokens: null,
         supportsImages: false,
-        pricing: 'Varies',
+        pricing: 'Unknown',
         website: null
-      }
-    };
+      };
+    }
     
-    return capabilities[provider] || {
-      name: 'Unknown',
-      supportsStreaming: false,
-      maxTokens: null,
-      supportsImages: false,
-      pricing: 'Unknown',
-      website: null
+    return {
+      name: providerInfo.label,
+      supportsStreaming: providerInfo.capabilities.supportsStreaming,
+      maxTokens: providerInfo.capabilities.maxTokens,
+      supportsImages: providerInfo.capabilities.supportsImages,
+      pricing: Object.keys(providerInfo.pricing).length > 0 ? 'Per token' : 'Varies',
+      website: providerInfo.website
     };
   }
   
@@ -307,30 +648,14 @@ export class LLMAPI {
    * @returns {number|null} Estimated cost in USD, or null if unknown
    */
   static estimateCost(provider, model, inputTokens, outputTokens) {
-    // Rough pricing estimates (per 1000 tokens)
-    const pricing = {
-      openai: {
-        'gpt-4': { input: 0.03, output: 0.06 },
-        'gpt-4-turbo': { input: 0.01, output: 0.03 },
-        'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-        'gpt-3.5-turbo-instruct': { input: 0.0015, output: 0.002 }
-      },
-      anthropic: {
-        'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
-        'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
-        'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 }
-      },
-      deepseek: {
-        'deepseek-chat': { input: 0.0014, output: 0.0028 },
-        'deepseek-coder': { input: 0.0014, output: 0.0028 },
-        'deepseek-reasoner': { input: 0.0014, output: 0.0028 }
-      }
-    };
-    
-    const providerPricing = pricing[provider];
-    if (!providerPricing) return null;
+    // Rough pricing estimates (per 1000 tokens) from the provider registry
+    const pricing = getProvider(provider)?.pricing || {};
     
-    const modelPricing = providerPricing[model];
+    // Dated versions (e.g. gpt-4-turbo-2024-04-09) use the price of their base model
+    const pricedModel = pricing[model]
+      ? model
+      : Object.keys(pricing).filter(id => model?.startsWith(`${id}-`)).sort((a, b) => b.length - a.length)[0];
+    const modelPricing = pricing[pricedModel];
     if (!modelPricing) return null;
     
     const inputCost = (inputTokens / 1000) * modelPricing.input;
@@ -340,19 +665,43 @@ export class LLMAPI {
   }
   
   /**
-   * Cache API response (future enhancement)
+   * Cache an API response
+   * @param {string} text - Selected text
+   * @param {Object} context - Page context data
+   * @param {string} promptTemplate - Prompt template the result was generated with
+   * @param {Object} config - Extension configuration (provider, model and cache settings)
+   * @param {Object} response - Response data ({ result, messages })
+   * @returns {Promise<void>}
    */
-  static async cacheResponse(text, context, prompt, result, provider, model) {
-    // This could be implemented to cache responses and reduce API calls
-    // For now, it's a placeholder for future optimization
-    console.debug('Caching response (not implemented yet)');
+  static async cacheResponse(text, context, promptTemplate, config, response) {
+    const key = await ResponseCache.createKey({
+      provider: config.provider,
+      model: config.model,
+      endpoint: config.endpoint,
+      promptTemplate,
+      text,
+      context: getTemplateContext(promptTemplate, context)
+    });
+    await ResponseCache.set(key, response, config.cacheMaxEntries);
   }
   
   /**
-   * Get cached response if available (future enhancement)
+   * Get cached response if available
+   * @param {string} text - Selected text
+   * @param {Object} context - Page context data
+   * @param {string} promptTemplate - Prompt template
+   * @param {Object} config - Extension configuration (provider, model and cache settings)
+   * @returns {Promise<Object|null>} Cached response ({ result, messages }) or null
    */
-  static async getCachedResponse(text, context, prompt, provider, model) {
-    // Placeholder for caching implementation
-    return null;
+  static async getCachedResponse(text, context, promptTemplate, config) {
+    const key = await ResponseCache.createKey({
+      provider: config.provider,
+      model: config.model,
+      endpoint: config.endpoint,
+      promptTemplate,
+      text,
+      context: getTemplateContext(promptTemplate, context)
+    });
+    return ResponseCache.get(key, (config.cacheTtlHours || 0) * 60 * 60 * 1000);
   }
 }
\ No newline at end of file
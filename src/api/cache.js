@@ -0,0 +1,169 @@
+/**
+ * Chrome Copilot - Response Cache
+ * 
+ * This module caches LLM results in chrome.storage.local so selecting the
+ * same text again with the same provider, model and prompt does not cost
+ * another API call. Entries expire after a TTL and the least recently used
+ * entries are evicted once the cache is full.
+ */
+
+/**
+ * Storage keys used by the cache
+ */
+const CACHE_KEY = 'responseCache';
+const STATS_KEY = 'responseCacheStats';
+
+/**
+ * Response cache class
+ */
+export class ResponseCache {
+  /**
+   * Build the cache key for a request
+   * @param {Object} request - Request parameters
+   * @param {string} request.provider - LLM provider
+   * @param {string} request.model - Model name
+   * @param {string} [request.endpoint] - Endpoint, so profiles with different gateways don't share entries
+   * @param {string} request.promptTemplate - Prompt template before variables are applied
+   * @param {string} request.text - Selected text
+   * @param {Object} [request.context] - Page context values the template uses
+   * @returns {Promise<string>} Hex-encoded SHA-256 hash
+   */
+  static async createKey({ provider, model, endpoint = '', promptTemplate, text, context = {} }) {
+    const data = new TextEncoder().encode(JSON.stringify([provider, model, endpoint, promptTemplate, text, context]));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+  
+  /**
+   * Look up a cached response and record a hit or miss
+   * @param {string} key - Cache key from createKey
+   * @param {number} ttlMs - Maximum entry age in milliseconds (0 keeps entries forever)
+   * @returns {Promise<Object|null>} Cached entry ({ result, messages, createdAt }) or null
+   */
+  static async get(key, ttlMs) {
+    try {
+      const entries = await this.loadEntries();
+      const entry = entries[key];
+      
+      if (!entry || (ttlMs > 0 && Date.now() - entry.createdAt > ttlMs)) {
+        if (entry) {
+          delete entries[key];
+          await chrome.storage.local.set({ [CACHE_KEY]: entries });
+        }
+        await this.recordLookup(false);
+        return null;
+      }
+      
+      // Mark as recently used for LRU eviction
+      entry.lastUsed = Date.now();
+      await chrome.storage.local.set({ [CACHE_KEY]: entries });
+      await this.recordLookup(true);
+      
+      return entry;
+    } catch (error) {
+      console.error('Error reading response cache:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Store a response, evicting the least recently used entries beyond the cap
+   * @param {string} key - Cache key from createKey
+   * @param {Object} value - Data to cache ({ result, messages })
+   * @param {number} maxEntries - Maximum number of cached responses
+   * @returns {Promise<void>}
+   */
+  static async set(key, value, maxEntries) {
+    try {
+      const entries = await this.loadEntries();
+      const now = Date.now();
+      
+      entries[key] = {
+        ...value,
+        createdAt: now,
+        lastUsed: now
+      };
+      
+      const keys = Object.keys(entries);
+      if (keys.length > maxEntries) {
+        keys
+          .sort((a, b) => entries[a].lastUsed - entries[b].lastUsed)
+          .slice(0, keys.length - maxEntries)
+          .forEach(oldKey => delete entries[oldKey]);
+      }
+      
+      await chrome.storage.local.set({ [CACHE_KEY]: entries });
+    } catch (error) {
+      console.error('Error writing response cache:', error);
+    }
+  }
+  
+  /**
+   * Remove all cached responses and reset statistics
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    try {
+      await chrome.storage.local.remove([CACHE_KEY, STATS_KEY]);
+      console.debug('Response cache cleared');
+    } catch (error) {
+      console.error('Error clearing response cache:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Stats with entries, hits, misses and hitRate (0-1)
+   */
+  static async getStats() {
+    try {
+      const [entries, result] = await Promise.all([
+        this.loadEntries(),
+        chrome.storage.local.get(STATS_KEY)
+      ]);
+      const { hits = 0, misses = 0 } = result[STATS_KEY] || {};
+      const lookups = hits + misses;
+      
+      return {
+        entries: Object.keys(entries).length,
+        hits,
+        misses,
+        hitRate: lookups > 0 ? hits / lookups : 0
+      };
+    } catch (error) {
+      console.error('Error loading cache stats:', error);
+      return { entries: 0, hits: 0, misses: 0, hitRate: 0 };
+    }
+  }
+  
+  /**
+   * Load all cache entries
+   * @returns {Promise<Object>} Entries by key
+   */
+  static async loadEntries() {
+    const result = await chrome.storage.local.get(CACHE_KEY);
+    return result[CACHE_KEY] || {};
+  }
+  
+  /**
+   * Count a cache lookup
+   * @param {boolean} hit - Whether the lookup found a fresh entry
+   * @returns {Promise<void>}
+   */
+  static async recordLookup(hit) {
+    const result = await chrome.storage.local.get(STATS_KEY);
+    const stats = result[STATS_KEY] || { hits: 0, misses: 0 };
+    
+    if (hit) {
+      stats.hits++;
+    } else {
+      stats.misses++;
+    }
+    
+    await chrome.storage.local.set({ [STATS_KEY]: stats });
+  }
+}
\ No newline at end of file
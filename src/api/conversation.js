@@ -0,0 +1,125 @@
+/**
+ * Chrome Copilot - Conversation Model
+ * 
+ * This module keeps the message list behind a result so follow-up questions
+ * can be asked about the same selection, and persists the thread to history.
+ */
+
+import { LLMAPI } from './api.js';
+import { Storage } from '../config/storage.js';
+import { withoutImages } from './messages.js';
+import { combineUsage } from './usage.js';
+
+/**
+ * A result together with its follow-up questions and answers
+ */
+export class Conversation {
+  /**
+   * @param {Object} data - Conversation data
+   * @param {string} data.text - Original selected text
+   * @param {Object} data.context - Page context of the selection
+   * @param {Array<{role: string, content: string, images?: Array}>} data.messages - Message list, starting with the initial prompt and result
+   * @param {number|null} data.historyId - ID of the history entry that stores this conversation
+   * @param {Object|null} data.usage - Tokens and cost of every exchange so far (see LLMAPI.recordUsage)
+   */
+  constructor({ text = '', context = {}, messages = [], historyId = null, usage = null } = {}) {
+    this.text = text;
+    this.context = context;
+    this.messages = messages;
+    this.historyId = historyId;
+    this.usage = usage;
+  }
+  
+  /**
+   * Create a conversation from a result or history entry
+   * 
+   * Entries saved before conversations were stored have no message list, so
+   * one is rebuilt from the selection and the result. History doesn't keep
+   * images, so follow-ups from history only send the text of an image thread.
+   * @param {Object} entry - Result or history entry
+   * @returns {Conversation}
+   */
+  static fromResult(entry) {
+    const messages = Array.isArray(entry.messages) && entry.messages.length > 0
+      ? entry.messages.map(({ role, content, images }) => (images ? { role, content, images } : { role, content }))
+      : [
+        { role: 'user', content: entry.text || '' },
+        { role: 'assistant', content: entry.result || '' }
+      ];
+    
+    return new Conversation({
+      text: entry.text,
+      context: entry.context,
+      messages,
+      historyId: entry.historyId !== undefined ? entry.historyId : entry.id,
+      usage: entry.usage || null
+    });
+  }
+  
+  /**
+   * Messages exchanged after the initial result
+   * @returns {Array<{role: string, content: string}>}
+   */
+  get followUps() {
+    return this.messages.slice(2);
+  }
+  
+  /**
+   * Ask a follow-up question and append the exchange to the conversation
+   * @param {string} question - Follow-up question
+   * @param {Object} options - Request options (see LLMAPI.processText)
+   * @returns {Promise<string>} Assistant reply
+   */
+  async ask(question, options = {}) {
+    const content = typeof question === 'string' ? question.trim() : '';
+    if (!content) {
+      throw new Error('Please enter a question');
+    }
+    
+    const messages = [...this.messages, { role: 'user', content }];
+    // The page URL lets site rules pick the same profile as the first answer
+    const reply = await LLMAPI.sendMessages(messages, {
+      url: this.context?.url,
+      ...options,
+      onUsage: usage => {
+        this.addUsage(usage);
+        options.onUsage?.(usage);
+      }
+    });
+    
+    this.messages = [...messages, { role: 'assistant', content: reply }];
+    await this.save();
+    
+    return reply;
+  }
+  
+  /**
+   * Add the usage of an exchange to the conversation totals
+   * @param {Object} usage - Usage reported by LLMAPI.sendMessages
+   */
+  addUsage(usage) {
+    this.usage = combineUsage(this.usage, usage);
+  }
+  
+  /**
+   * Persist the message list to history and to the last result
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      if (this.historyId) {
+        await Storage.updateHistoryEntry(this.historyId, { messages: withoutImages(this.messages), usage: this.usage });
+      }
+      
+      // Keep the last result in sync so reopening the popup shows the whole thread
+      const { lastResult } = await chrome.storage.local.get('lastResult');
+      if (lastResult && lastResult.text === this.text && (lastResult.historyId || null) === (this.historyId || null)) {
+        await chrome.storage.local.set({
+          lastResult: { ...lastResult, messages: this.messages, usage: this.usage }
+        });
+      }
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+    }
+  }
+}
\ No newline at end of file
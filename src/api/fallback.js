@@ -0,0 +1,89 @@
+/**
+ * Chrome Copilot - Provider Fallback
+ * 
+ * This module decides whether a failed request should go to the next profile
+ * in the user's fallback list, and builds that list. Only failures the next
+ * provider might not share are worth falling back on: outages, rate limits
+ * and quotas, and missing or rejected API keys.
+ */
+
+import { isAbortError } from './abort.js';
+import { applyProfile, getProfile } from '../config/profiles.js';
+import { DEFAULT_CONFIG, ERROR_MESSAGES } from '../core/constants.js';
+
+/**
+ * Failure types that can trigger a fallback
+ * @type {Array<{value: string, label: string}>}
+ */
+export const FALLBACK_FAILURES = [
+  { value: 'outage', label: 'The provider is down, overloaded or not responding' },
+  { value: 'quota', label: 'A rate limit, quota or the monthly budget is reached' },
+  { value: 'auth', label: 'The API key is missing, locked or rejected' }
+];
+
+/**
+ * Classify a failed request
+ * @param {Error} error - Error thrown by LLMAPI.callProvider
+ * @returns {string|null} Failure type from FALLBACK_FAILURES, or null if another provider wouldn't help
+ */
+export function classifyFailure(error) {
+  if (!error || isAbortError(error)) {
+    return null;
+  }
+  
+  // Providers tag HTTP errors with their status (see withResponseStatus)
+  if (error.status === 401 || error.status === 403) {
+    return 'auth';
+  }
+  if (error.status === 402 || error.status === 429) {
+    return 'quota';
+  }
+  if (error.status >= 500) {
+    return 'outage';
+  }
+  
+  switch (error.message) {
+    case ERROR_MESSAGES.REQUEST_TIMEOUT:
+      return 'outage';
+    case ERROR_MESSAGES.BUDGET_EXCEEDED:
+      return 'quota';
+    case ERROR_MESSAGES.NO_API_KEY:
+    case ERROR_MESSAGES.VAULT_LOCKED:
+      return 'auth';
+  }
+  
+  // Providers report servers they can't reach with these messages
+  if (/^(Network error|Cannot reach)/.test(error.message)) {
+    return 'outage';
+  }
+  
+  return null;
+}
+
+/**
+ * Get the configurations to try for a request, in order
+ * @param {Object} config - Effective configuration (see applySiteRules)
+ * @returns {Array<Object>} The configuration itself, then one per fallback profile
+ */
+export function getFallbackChain(config) {
+  const chain = [config];
+  
+  (config.fallbackProfileIds || []).forEach(profileId => {
+    if (getProfile(config, profileId) && !chain.some(item => item.profileId === profileId)) {
+      chain.push(applyProfile(config, profileId));
+    }
+  });
+  
+  return chain;
+}
+
+/**
+ * Check whether a failure of the configured profile would be passed on to a fallback
+ * @param {Object} config - Effective configuration
+ * @param {string} failure - Failure type
+ * @returns {boolean}
+ */
+export function canFallBack(config, failure) {
+  const fallbackOn = config.fallbackOn ?? DEFAULT_CONFIG.fallbackOn;
+  return getFallbackChain(config).length > 1 && fallbackOn.includes(failure);
+}
\ No newline at end of file
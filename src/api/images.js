@@ -0,0 +1,175 @@
+/**
+ * Chrome Copilot - Image Preparation
+ *
+ * This module turns pictures and screenshots into images a vision model can
+ * read. Large images are scaled down and re-encoded until they fit the size
+ * limits, and a small thumbnail is made for history, which doesn't keep the
+ * full image.
+ */
+
+import { ERROR_MESSAGES } from '../core/constants.js';
+
+/**
+ * Longest edge sent to a provider; larger images cost more tokens without reading better
+ */
+export const MAX_IMAGE_DIMENSION = 1568;
+
+/**
+ * Largest encoded image sent to a provider. Providers accept up to 5 MB, but the
+ * image is stored with the result so follow-up questions can send it again.
+ */
+export const MAX_IMAGE_BYTES = 1024 * 1024;
+
+/**
+ * Longest edge of the thumbnail kept in history
+ */
+export const THUMBNAIL_DIMENSION = 160;
+
+// Formats every vision provider accepts as they are
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// JPEG qualities tried in turn until an image is small enough
+const JPEG_QUALITIES = [0.9, 0.8, 0.7, 0.6, 0.5];
+
+/**
+ * Fetch an image
+ * @param {string} url - Image address, or a data URL (e.g. from chrome.tabs.captureVisibleTab)
+ * @returns {Promise<Blob>}
+ * @throws {Error} ERROR_MESSAGES.IMAGE_UNAVAILABLE if the image can't be fetched
+ */
+export async function loadImage(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    return await response.blob();
+  } catch (error) {
+    console.error('Error loading image:', error);
+    throw new Error(ERROR_MESSAGES.IMAGE_UNAVAILABLE);
+  }
+}
+
+/**
+ * Prepare an image for a vision model
+ *
+ * Images that are small enough and in a supported format are sent unchanged.
+ * Others are scaled to MAX_IMAGE_DIMENSION and encoded as PNG (which keeps
+ * screenshot text sharp) or, if that is still too large, as JPEG at falling
+ * qualities, halving the size if even that doesn't fit.
+ * @param {Blob} blob - Image data
+ * @returns {Promise<{mediaType: string, data: string, width: number, height: number, thumbnail: string}>}
+ *   `data` is base64 without a data URL prefix; `thumbnail` is a JPEG data URL
+ * @throws {Error} ERROR_MESSAGES.IMAGE_UNAVAILABLE if the image can't be decoded or made small enough
+ */
+export async function prepareImage(blob) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (error) {
+    console.error('Error decoding image:', error);
+    throw new Error(ERROR_MESSAGES.IMAGE_UNAVAILABLE);
+  }
+  
+  try {
+    const thumbnail = await blobToDataUrl(await encodeImage(bitmap, THUMBNAIL_DIMENSION, 'image/jpeg', 0.7));
+    const fits = Math.max(bitmap.width, bitmap.height) <= MAX_IMAGE_DIMENSION;
+    
+    if (fits && SUPPORTED_TYPES.includes(blob.type) && blob.size <= MAX_IMAGE_BYTES) {
+      return { mediaType: blob.type, data: await blobToBase64(blob), width: bitmap.width, height: bitmap.height, thumbnail };
+    }
+    
+    for (let dimension = MAX_IMAGE_DIMENSION; dimension >= THUMBNAIL_DIMENSION; dimension = Math.floor(dimension / 2)) {
+      const candidates = [['image/png'], ...JPEG_QUALITIES.map(quality => ['image/jpeg', quality])];
+      
+      for (const [type, quality] of candidates) {
+        const encoded = await encodeImage(bitmap, dimension, type, quality);
+        if (encoded.size <= MAX_IMAGE_BYTES) {
+          const { width, height } = scaleToFit(bitmap, dimension);
+          return { mediaType: type, data: await blobToBase64(encoded), width, height, thumbnail };
+        }
+      }
+    }
+    
+    throw new Error('Image is too large to send');
+  } catch (error) {
+    console.error('Error preparing image:', error);
+    throw new Error(ERROR_MESSAGES.IMAGE_UNAVAILABLE);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Get the size of an image scaled to fit a square
+ * @param {{width: number, height: number}} image - Original size
+ * @param {number} dimension - Longest edge allowed
+ * @returns {{width: number, height: number}} Scaled size (never larger than the original)
+ */
+function scaleToFit(image, dimension) {
+  const scale = Math.min(1, dimension / Math.max(image.width, image.height));
+  return {
+    width: Math.max(1, Math.round(image.width * scale)),
+    height: Math.max(1, Math.round(image.height * scale))
+  };
+}
+
+/**
+ * Draw an image at a smaller size and encode it
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {number} dimension - Longest edge allowed
+ * @param {string} type - Output media type
+ * @param {number} [quality] - JPEG quality between 0 and 1
+ * @returns {Promise<Blob>}
+ */
+async function encodeImage(bitmap, dimension, type, quality) {
+  const { width, height } = scaleToFit(bitmap, dimension);
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  
+  // JPEG has no transparency, which would otherwise turn black
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+  }
+  
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  return canvas.convertToBlob({ type, quality });
+}
+
+/**
+ * Encode a blob as base64
+ * @param {Blob} blob - Binary data
+ * @returns {Promise<string>}
+ */
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  
+  // Converted in chunks, since spreading a large array overflows the call stack
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  
+  return btoa(binary);
+}
+
+/**
+ * Encode a blob as a data URL
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>}
+ */
+async function blobToDataUrl(blob) {
+  return `data:${blob.type};base64,${await blobToBase64(blob)}`;
+}
+
+/**
+ * Build the data URL of a prepared image
+ * @param {{mediaType: string, data: string}} image - Image from prepareImage or a message
+ * @returns {string}
+ */
+export function toDataUrl(image) {
+  return `data:${image.mediaType};base64,${image.data}`;
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Chrome Copilot - Conversation Message Helpers
+ * 
+ * This module validates chat message lists and converts them for providers
+ * that only accept a single prompt string. A user message may carry images
+ * for vision models in an `images` list of { mediaType, data } (base64).
+ */
+
+/**
+ * Roles accepted in a conversation message list
+ */
+export const MESSAGE_ROLES = ['user', 'assistant'];
+
+/**
+ * Validate a conversation message list
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @throws {Error} If the list is empty or contains malformed messages
+ */
+export function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Invalid messages: at least one message is required');
+  }
+  
+  messages.forEach((message, index) => {
+    if (!message || !MESSAGE_ROLES.includes(message.role)) {
+      throw new Error(`Invalid message role at position ${index + 1}`);
+    }
+    
+    if (!message.content || typeof message.content !== 'string') {
+      throw new Error(`Invalid message content at position ${index + 1}`);
+    }
+    
+    const validImages = message.images === undefined || (Array.isArray(message.images)
+      && message.images.every(image => image?.mediaType?.startsWith('image/') && typeof image.data === 'string'));
+    if (!validImages) {
+      throw new Error(`Invalid message images at position ${index + 1}`);
+    }
+  });
+  
+  if (messages[messages.length - 1].role !== 'user') {
+    throw new Error('The last message in a conversation must be from the user');
+  }
+}
+
+/**
+ * Flatten a conversation into a single prompt string
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @returns {string} Prompt text (a single message is returned unchanged)
+ */
+export function messagesToText(messages) {
+  if (messages.length === 1) {
+    return messages[0].content;
+  }
+  
+  return messages
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Check whether a conversation includes images
+ * @param {Array<{role: string, content: string, images?: Array}>} messages - Conversation turns
+ * @returns {boolean}
+ */
+export function hasImages(messages) {
+  return messages.some(message => message.images?.length > 0);
+}
+
+/**
+ * Remove the images from a conversation, e.g. before it is stored in history
+ * @param {Array<{role: string, content: string, images?: Array}>} messages - Conversation turns
+ * @returns {Array<{role: string, content: string}>} Text-only copy
+ */
+export function withoutImages(messages) {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
\ No newline at end of file
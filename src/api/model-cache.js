@@ -0,0 +1,99 @@
+/**
+ * Chrome Copilot - Model List Cache
+ * 
+ * This module keeps the model lists fetched from providers in
+ * chrome.storage.local, so settings pages and the popup don't ask the
+ * provider again every time they open. Lists older than the TTL are fetched
+ * again, and an expired list is still used when the provider can't be reached.
+ */
+
+/**
+ * Storage key used by the cache
+ */
+const CACHE_KEY = 'modelListCache';
+
+/**
+ * How long a fetched model list is considered fresh
+ */
+export const MODEL_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Model list cache class
+ */
+export class ModelListCache {
+  /**
+   * Build the cache key for a provider
+   * @param {string} provider - Provider ID
+   * @param {string} [endpoint] - Endpoint, so local servers at different addresses don't share lists
+   * @returns {string} Cache key
+   */
+  static createKey(provider, endpoint = '') {
+    return `${provider}|${endpoint}`;
+  }
+  
+  /**
+   * Look up a cached model list
+   * @param {string} key - Cache key from createKey
+   * @returns {Promise<Object|null>} Cached entry ({ models, fetchedAt }) or null
+   */
+  static async get(key) {
+    try {
+      const entries = await this.loadEntries();
+      return entries[key] || null;
+    } catch (error) {
+      console.error('Error reading model list cache:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Store a fetched model list
+   * @param {string} key - Cache key from createKey
+   * @param {string[]} models - Model IDs
+   * @returns {Promise<Object>} Stored entry ({ models, fetchedAt })
+   */
+  static async set(key, models) {
+    const entry = { models, fetchedAt: Date.now() };
+    
+    try {
+      const entries = await this.loadEntries();
+      entries[key] = entry;
+      await chrome.storage.local.set({ [CACHE_KEY]: entries });
+    } catch (error) {
+      console.error('Error writing model list cache:', error);
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Check whether a cached list is still fresh
+   * @param {Object} entry - Cached entry
+   * @returns {boolean}
+   */
+  static isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.fetchedAt < MODEL_LIST_TTL_MS;
+  }
+  
+  /**
+   * Remove all cached model lists
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    try {
+      await chrome.storage.local.remove(CACHE_KEY);
+    } catch (error) {
+      console.error('Error clearing model list cache:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Load all cache entries
+   * @returns {Promise<Object>} Entries by key
+   */
+  static async loadEntries() {
+    const result = await chrome.storage.local.get(CACHE_KEY);
+    return result[CACHE_KEY] || {};
+  }
+}
\ No newline at end of file
@@ -38,6 +38,14 @@ export function applyPromptTemplate(template, variables) {
     '{context.timestamp}': context.timestamp || new Date().toISOString(),
     '{context.language}': context.language || 'en',
     
+    // Text around the selection, collected by the content script
+    '{context.paragraph}': context.paragraph || '',
+    '{context.before}': context.before || '',
+    '{context.after}': context.after || '',
+    '{context.headings}': context.headings || '',
+    '{context.codeLanguage}': context.codeLanguage || '',
+    '{context.description}': context.description || '',
+    
     // Shortcuts for common context fields
     '{title}': context.title || '',
     '{url}': context.url || '',
@@ -63,9 +71,10 @@ export function applyPromptTemplate(template, variables) {
   let processed = template;
   
   // First pass: replace all known variables
+  // (a replacer function, so "$&" and similar in page text are inserted literally)
   Object.entries(variableMap).forEach(([variable, value]) => {
     const regex = new RegExp(escapeRegExp(variable), 'g');
-    processed = processed.replace(regex, value);
+    processed = processed.replace(regex, () => value);
   });
   
   // Second pass: handle any remaining {variable} patterns
@@ -96,6 +105,34 @@ export function applyPromptTemplate(template, variables) {
   return processed;
 }
 
+/**
+ * Get the page context values a template uses
+ * 
+ * Two requests for the same text and template only produce the same prompt
+ * if these values match. Timestamps are left out since they always differ.
+ * @param {string} template - Prompt template
+ * @param {Object} context - Context data
+ * @returns {Object} Context values by key, sorted by key
+ */
+export function getTemplateContext(template, context = {}) {
+  const keys = new Set();
+  
+  extractVariables(template).forEach(variable => {
+    // {context} expands to the fields listed by formatContext
+    if (variable === 'context') {
+      ['title', 'url', 'hostname', 'language'].forEach(key => keys.add(key));
+      return;
+    }
+    
+    const key = variable.startsWith('context.') ? variable.slice(8) : variable;
+    if (key !== 'timestamp' && typeof context[key] === 'string') {
+      keys.add(key);
+    }
+  });
+  
+  return Object.fromEntries([...keys].sort().map(key => [key, context[key] || '']));
+}
+
 /**
  * Format context object for display in prompt
  * @param {Object} context - Context data
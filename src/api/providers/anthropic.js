@@ -4,6 +4,10 @@
  * This module handles communication with the Anthropic Claude API.
  */
 
+import { readEventStream, parseEventData } from '../stream.js';
+import { validateMessages, messagesToText } from '../messages.js';
+import { withResponseStatus } from '../retry.js';
+
 /**
  * Anthropic API provider
  */
@@ -15,6 +19,13 @@ export class AnthropicProvider {
     return 'https://api.anthropic.com/v1/messages';
   }
 
+  /**
+   * Endpoint that lists the available models
+   */
+  static get MODELS_ENDPOINT() {
+    return 'https://api.anthropic.com/v1/models';
+  }
+
   /**
    * Default model
    */
@@ -41,27 +52,40 @@ export class AnthropicProvider {
    * @param {string} apiKey - Anthropic API key
    * @param {string} prompt - Prompt text
    * @param {string} model - Model name
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (see chat)
    * @returns {Promise<string>} API response text
    */
   static async call(apiKey, prompt, model = this.DEFAULT_MODEL, options = {}) {
+    return this.chat(apiKey, [{ role: 'user', content: prompt }], model, options);
+  }
+
+  /**
+   * Call Anthropic API with a multi-turn conversation
+   * @param {string} apiKey - Anthropic API key
+   * @param {Array<{role: string, content: string, images?: Array}>} messages - Conversation turns, ending with a user message
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options
+   * @param {string} [options.systemPrompt] - System prompt for the conversation
+   * @param {boolean} [options.stream] - Stream the response as it is generated
+   * @param {Function} [options.onToken] - Called with (delta, fullText) for each streamed chunk
+   * @param {Function} [options.onUsage] - Called with ({ inputTokens, outputTokens }) when the response reports token usage
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string>} API response text
+   */
+  static async chat(apiKey, messages, model = this.DEFAULT_MODEL, options = {}) {
     // Validate inputs
-    this.validateInputs(apiKey, prompt, model);
+    validateMessages(messages);
+    this.validateInputs(apiKey, messagesToText(messages), model);
     
     // Prepare request
     const endpoint = options.endpoint || this.DEFAULT_ENDPOINT;
     const maxTokens = Math.min(options.maxTokens || 1000, this.MAX_TOKENS);
-    const temperature = this.clamp(options.temperature || 0.7, 0, 1);
+    const temperature = this.clamp(options.temperature ?? 0.7, 0, 1);
     
     const requestBody = {
       model: model,
       max_tokens: maxTokens,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
+      messages: messages.map(message => this.formatMessage(message)),
       temperature: temperature,
       system: options.systemPrompt || 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
     };
@@ -75,6 +99,10 @@ export class AnthropicProvider {
       requestBody.top_k = Math.max(1, Math.min(options.topK, 100));
     }
     
+    if (options.stream) {
+      requestBody.stream = true;
+    }
+    
     // Make API request
     try {
       const response = await fetch(endpoint, {
@@ -85,15 +113,26 @@ export class AnthropicProvider {
           'anthropic-version': this.ANTHROPIC_VERSION,
           'anthropic-beta': 'messages-2023-12-15'
         },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: options.signal
       });
       
+      // Read streamed responses incrementally
+      if (requestBody.stream) {
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw withResponseStatus(this.handleApiError(response.status, errorData), response);
+        }
+        
+        return await this.readStream(response, options.onToken, options.onUsage);
+      }
+      
       // Parse response
       const data = await response.json();
       
       // Handle errors
       if (!response.ok) {
-        throw this.handleApiError(response.status, data);
+        throw withResponseStatus(this.handleApiError(response.status, data), response);
       }
       
       // Extract response text
@@ -103,6 +142,7 @@ export class AnthropicProvider {
         throw new Error('No response text received from Anthropic');
       }
       
+      this.reportUsage(data.usage, options.onUsage);
       return responseText;
       
     } catch (error) {
@@ -116,6 +156,103 @@ export class AnthropicProvider {
     }
   }
 
+  /**
+   * Convert a conversation message to the Messages API format
+   * @param {{role: string, content: string, images?: Array}} message - Conversation turn
+   * @returns {Object} Message whose content is a list of image and text blocks when it has images
+   */
+  static formatMessage({ role, content, images }) {
+    if (!images?.length) {
+      return { role, content };
+    }
+    
+    // Images placed before the question are understood best
+    return {
+      role,
+      content: [
+        ...images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mediaType, data: image.data }
+        })),
+        { type: 'text', text: content }
+      ]
+    };
+  }
+
+  /**
+   * Read a streamed Messages API response
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {Function} onToken - Called with (delta, fullText) for each chunk
+   * @param {Function} [onUsage] - Called with the token usage once the stream ends
+   * @returns {Promise<string>} Complete response text
+   */
+  static async readStream(response, onToken, onUsage) {
+    let fullText = '';
+    const usage = {};
+    
+    await readEventStream(response, ({ event, data }) => {
+      const payload = parseEventData(data);
+      
+      if (event === 'error' || payload?.type === 'error') {
+        // An overload reported after the stream opened is retried like an HTTP 529
+        const status = payload?.error?.type === 'overloaded_error' ? 529 : response.status;
+        throw withResponseStatus(this.handleApiError(status, payload?.error || payload), response, status);
+      }
+      
+      // Input tokens are sent when the message starts, output tokens as it ends
+      if (event === 'message_start') {
+        Object.assign(usage, payload?.message?.usage);
+      } else if (event === 'message_delta') {
+        Object.assign(usage, payload?.usage);
+      }
+      
+      if (event === 'content_block_delta' && payload?.delta?.type === 'text_delta') {
+        const delta = payload.delta.text;
+        if (delta) {
+          fullText += delta;
+          if (onToken) {
+            onToken(delta, fullText);
+          }
+        }
+      }
+    });
+    
+    if (!fullText) {
+      throw new Error('No response text received from Anthropic');
+    }
+    
+    if (usage.input_tokens !== undefined || usage.output_tokens !== undefined) {
+      this.reportUsage(usage, onUsage);
+    }
+    
+    return fullText;
+  }
+
+  /**
+   * List the models available to this API key
+   * @param {string} apiKey - Anthropic API key
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string[]>} Model IDs
+   */
+  static async listModels(apiKey, options = {}) {
+    const response = await fetch(`${this.MODELS_ENDPOINT}?limit=100`, {
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': this.ANTHROPIC_VERSION
+      },
+      signal: options.signal
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw this.handleApiError(response.status, data);
+    }
+    
+    // Models are listed newest first
+    return (data.data || []).map(model => model.id).filter(Boolean);
+  }
+
   /**
    * Validate API inputs
    */
@@ -192,6 +329,20 @@ export class AnthropicProvider {
     }
   }
 
+  /**
+   * Pass token usage from a response to the caller
+   * @param {Object} [usage] - Usage block ({ input_tokens, output_tokens })
+   * @param {Function} [onUsage] - Called with ({ inputTokens, outputTokens })
+   */
+  static reportUsage(usage, onUsage) {
+    if (usage && onUsage) {
+      onUsage({
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      });
+    }
+  }
+
   /**
    * Clamp a value between min and max
    */
@@ -5,6 +5,9 @@
  * Supports flexible configuration for different API formats.
  */
 
+import { validateMessages, messagesToText } from '../messages.js';
+import { withResponseStatus } from '../retry.js';
+
 export class CustomProvider {
   /**
    * Default API endpoint (user must configure)
@@ -32,20 +35,36 @@ export class CustomProvider {
    * @param {string} apiKey - API key (optional, depending on API)
    * @param {string} prompt - Prompt text
    * @param {string} model - Model name
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (see chat)
    * @returns {Promise<string>} API response text
    */
   static async call(apiKey, prompt, model = this.DEFAULT_MODEL, options = {}) {
+    return this.chat(apiKey, [{ role: 'user', content: prompt }], model, options);
+  }
+
+  /**
+   * Call custom API with a multi-turn conversation
+   * 
+   * 'openai' and 'anthropic' API types send the message list as-is; generic APIs
+   * and request templates receive the conversation flattened into `prompt`.
+   * @param {string} apiKey - API key (optional, depending on API)
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns, ending with a user message
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options
+   * @returns {Promise<string>} API response text
+   */
+  static async chat(apiKey, messages, model = this.DEFAULT_MODEL, options = {}) {
     // Validate inputs
-    this.validateInputs(apiKey, prompt, model, options);
+    validateMessages(messages);
+    this.validateInputs(apiKey, messagesToText(messages), model, options);
     
     // Get configuration from options
     const endpoint = options.endpoint || this.DEFAULT_ENDPOINT;
     const maxTokens = Math.min(options.maxTokens || 1000, this.MAX_TOKENS);
-    const temperature = this.clamp(options.temperature || 0.7, 0, 2);
+    const temperature = this.clamp(options.temperature ?? 0.7, 0, 2);
     
     // Prepare request based on API type
-    const requestConfig = this.prepareRequest(apiKey, prompt, model, {
+    const requestConfig = this.prepareRequest(apiKey, messages, model, {
       endpoint,
       maxTokens,
       temperature,
@@ -54,7 +73,10 @@ export class CustomProvider {
     
     // Make API request
     try {
-      const response = await fetch(requestConfig.url, requestConfig.fetchOptions);
+      const response = await fetch(requestConfig.url, {
+        ...requestConfig.fetchOptions,
+        signal: options.signal
+      });
       
       // Parse response
       const responseData = await this.parseResponse(response, options);
@@ -66,6 +88,7 @@ export class CustomProvider {
         throw new Error('No response text received from custom API');
       }
       
+      this.reportUsage(responseData, options.onUsage);
       return responseText;
       
     } catch (error) {
@@ -114,7 +137,7 @@ export class CustomProvider {
   /**
    * Prepare request configuration
    */
-  static prepareRequest(apiKey, prompt, model, options) {
+  static prepareRequest(apiKey, messages, model, options) {
     const {
       endpoint,
       maxTokens,
@@ -125,6 +148,7 @@ export class CustomProvider {
       requestBodyMapping = null
     } = options;
     
+    const prompt = messagesToText(messages);
     let requestBody;
     let headers;
     
@@ -148,7 +172,7 @@ export class CustomProvider {
       });
     } else {
       // Default to API type based templates
-      requestBody = this.getDefaultRequestBody(apiType, prompt, model, {
+      requestBody = this.getDefaultRequestBody(apiType, messages, model, {
         maxTokens,
         temperature,
         apiKey
@@ -171,8 +195,9 @@ export class CustomProvider {
   /**
    * Get default request body based on API type
    */
-  static getDefaultRequestBody(apiType, prompt, model, options) {
+  static getDefaultRequestBody(apiType, messages, model, options) {
     const { maxTokens, temperature, apiKey } = options;
+    const conversation = messages.map(({ role, content }) => ({ role, content }));
     
     switch (apiType) {
       case 'openai':
@@ -183,10 +208,7 @@ export class CustomProvider {
               role: 'system',
               content: 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
             },
-            {
-              role: 'user',
-              content: prompt
-            }
+            ...conversation
           ],
           max_tokens: maxTokens,
           temperature,
@@ -196,12 +218,7 @@ export class CustomProvider {
       case 'anthropic':
         return {
           model,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
+          messages: conversation,
           max_tokens: maxTokens,
           temperature,
           stream: false
@@ -211,7 +228,7 @@ export class CustomProvider {
       default:
         return {
           model,
-          prompt,
+          prompt: messagesToText(messages),
           max_tokens: maxTokens,
           temperature
         };
@@ -256,7 +273,7 @@ export class CustomProvider {
     
     if (!response.ok) {
       const errorData = await this.parseErrorResponse(response, responseType);
-      throw this.handleApiError(response.status, errorData, options);
+      throw withResponseStatus(this.handleApiError(response.status, errorData, options), response);
     }
     
     switch (responseType) {
@@ -517,6 +534,24 @@ export class CustomProvider {
     }
   }
 
+  /**
+   * Pass token usage to the caller if the API reports it in the OpenAI or Anthropic format
+   * @param {Object} data - Parsed response
+   * @param {Function} [onUsage] - Called with ({ inputTokens, outputTokens })
+   */
+  static reportUsage(data, onUsage) {
+    const usage = data?.usage;
+    if (!usage || !onUsage) {
+      return;
+    }
+    
+    const inputTokens = usage.prompt_tokens ?? usage.input_tokens;
+    const outputTokens = usage.completion_tokens ?? usage.output_tokens;
+    if (inputTokens !== undefined || outputTokens !== undefined) {
+      onUsage({ inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 });
+    }
+  }
+
   /**
    * Clamp a value between min and max
    */
@@ -5,6 +5,10 @@
  * DeepSeek API is compatible with OpenAI ChatCompletion format.
  */
 
+import { readEventStream, parseEventData } from '../stream.js';
+import { validateMessages, messagesToText } from '../messages.js';
+import { withResponseStatus } from '../retry.js';
+
 /**
  * DeepSeek API provider
  */
@@ -16,6 +20,13 @@ export class DeepSeekProvider {
     return 'https://api.deepseek.com/v1/chat/completions';
   }
 
+  /**
+   * Endpoint that lists the available models
+   */
+  static get MODELS_ENDPOINT() {
+    return 'https://api.deepseek.com/v1/models';
+  }
+
   /**
    * Default model
    */
@@ -35,38 +46,58 @@ export class DeepSeekProvider {
    * @param {string} apiKey - DeepSeek API key
    * @param {string} prompt - Prompt text
    * @param {string} model - Model name
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (see chat)
    * @returns {Promise<string>} API response text
    */
   static async call(apiKey, prompt, model = this.DEFAULT_MODEL, options = {}) {
+    return this.chat(apiKey, [{ role: 'user', content: prompt }], model, options);
+  }
+
+  /**
+   * Call DeepSeek API with a multi-turn conversation
+   * @param {string} apiKey - DeepSeek API key
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns, ending with a user message
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options
+   * @param {string} [options.systemPrompt] - System prompt sent ahead of the conversation
+   * @param {boolean} [options.stream] - Stream the response as it is generated
+   * @param {Function} [options.onToken] - Called with (delta, fullText) for each streamed chunk
+   * @param {Function} [options.onUsage] - Called with ({ inputTokens, outputTokens }) when the response reports token usage
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string>} API response text
+   */
+  static async chat(apiKey, messages, model = this.DEFAULT_MODEL, options = {}) {
     // Validate inputs
-    this.validateInputs(apiKey, prompt, model);
+    validateMessages(messages);
+    this.validateInputs(apiKey, messagesToText(messages), model);
     
     // Prepare request
     const endpoint = options.endpoint || this.DEFAULT_ENDPOINT;
     const maxTokens = Math.min(options.maxTokens || 1000, this.MAX_TOKENS);
-    const temperature = this.clamp(options.temperature || 0.7, 0, 2);
+    const temperature = this.clamp(options.temperature ?? 0.7, 0, 2);
     
     const requestBody = {
       model: model,
       messages: [
         {
           role: 'system',
-          content: 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
+          content: options.systemPrompt || 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
         },
-        {
-          role: 'user',
-          content: prompt
-        }
+        ...messages.map(({ role, content }) => ({ role, content }))
       ],
       max_tokens: maxTokens,
       temperature: temperature,
       top_p: options.topP || 1,
       frequency_penalty: options.frequencyPenalty || 0,
       presence_penalty: options.presencePenalty || 0,
-      stream: false
+      stream: Boolean(options.stream)
     };
     
+    // Ask for token usage at the end of the stream
+    if (requestBody.stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+    
     // Add optional parameters
     if (options.stop) {
       requestBody.stop = Array.isArray(options.stop) ? options.stop : [options.stop];
@@ -85,15 +116,26 @@ export class DeepSeekProvider {
           'Authorization': `Bearer ${apiKey}`,
           'Accept': 'application/json'
         },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: options.signal
       });
       
+      // Read streamed responses incrementally
+      if (requestBody.stream) {
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw withResponseStatus(this.handleApiError(response.status, errorData), response);
+        }
+        
+        return await this.readStream(response, options.onToken, options.onUsage);
+      }
+      
       // Parse response
       const data = await response.json();
       
       // Handle errors
       if (!response.ok) {
-        throw this.handleApiError(response.status, data);
+        throw withResponseStatus(this.handleApiError(response.status, data), response);
       }
       
       // Extract response text
@@ -103,6 +145,7 @@ export class DeepSeekProvider {
         throw new Error('No response text received from DeepSeek');
       }
       
+      this.reportUsage(data.usage, options.onUsage);
       return responseText;
       
     } catch (error) {
@@ -116,6 +159,71 @@ export class DeepSeekProvider {
     }
   }
 
+  /**
+   * Read a streamed chat completion
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {Function} onToken - Called with (delta, fullText) for each chunk
+   * @param {Function} [onUsage] - Called with the token usage sent in the final chunk
+   * @returns {Promise<string>} Complete response text
+   */
+  static async readStream(response, onToken, onUsage) {
+    let fullText = '';
+    
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') {
+        return;
+      }
+      
+      const chunk = parseEventData(data);
+      if (chunk?.error) {
+        throw withResponseStatus(this.handleApiError(response.status, chunk), response);
+      }
+      
+      // Usage arrives in a final chunk without choices
+      if (chunk?.usage) {
+        this.reportUsage(chunk.usage, onUsage);
+      }
+      
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        fullText += delta;
+        if (onToken) {
+          onToken(delta, fullText);
+        }
+      }
+    });
+    
+    if (!fullText) {
+      throw new Error('No response text received from DeepSeek');
+    }
+    
+    return fullText;
+  }
+
+  /**
+   * List the models available to this API key
+   * @param {string} apiKey - DeepSeek API key
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string[]>} Model IDs
+   */
+  static async listModels(apiKey, options = {}) {
+    const response = await fetch(this.MODELS_ENDPOINT, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json'
+      },
+      signal: options.signal
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw this.handleApiError(response.status, data);
+    }
+    
+    return (data.data || []).map(model => model.id).filter(Boolean);
+  }
+
   /**
    * Validate API inputs
    */
@@ -145,7 +253,17 @@ export class DeepSeekProvider {
     const errorCode = errorData?.error?.code || statusCode;
     const errorMessage = errorData?.error?.message || 'Unknown error';
     
-    switch (errorCode) {
+    // Checked before the status, since quota errors are sent as 429 like rate limits;
+    // the code tells the retry logic not to send them again (see NON_RETRYABLE_ERROR_CODES)
+    switch (errorData?.error?.code) {
+      case 'insufficient_quota':
+        return Object.assign(new Error('Insufficient quota. Please check your DeepSeek account billing.'), { code: 'insufficient_quota' });
+      
+      case 'billing_not_active':
+        return Object.assign(new Error('Billing not active. Please set up billing in your DeepSeek account.'), { code: 'billing_not_active' });
+    }
+    
+    switch (statusCode) {
       case 401:
         return new Error('Invalid API key. Please check your DeepSeek API key.');
       
@@ -158,17 +276,25 @@ export class DeepSeekProvider {
       case 504:
         return new Error('DeepSeek API is temporarily unavailable. Please try again later.');
       
-      case 'insufficient_quota':
-        return new Error('Insufficient quota. Please check your DeepSeek account billing.');
-      
-      case 'billing_not_active':
-        return new Error('Billing not active. Please set up billing in your DeepSeek account.');
-      
       default:
         return new Error(`DeepSeek API error: ${errorMessage} (code: ${errorCode})`);
     }
   }
 
+  /**
+   * Pass token usage from a response to the caller
+   * @param {Object} [usage] - Usage block ({ prompt_tokens, completion_tokens })
+   * @param {Function} [onUsage] - Called with ({ inputTokens, outputTokens })
+   */
+  static reportUsage(usage, onUsage) {
+    if (usage && onUsage) {
+      onUsage({
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      });
+    }
+  }
+
   /**
    * Clamp a value between min and max
    */
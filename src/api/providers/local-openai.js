@@ -0,0 +1,273 @@
+/**
+ * Chrome Copilot - Local OpenAI-Compatible Provider
+ *
+ * This module handles communication with local servers that implement the
+ * OpenAI chat completions API, such as LM Studio and the llama.cpp server.
+ * No API key is needed.
+ */
+
+import { readEventStream, parseEventData } from '../stream.js';
+import { validateMessages } from '../messages.js';
+import { withResponseStatus } from '../retry.js';
+
+/**
+ * Local OpenAI-compatible server provider
+ */
+export class LocalOpenAIProvider {
+  /**
+   * Default server address (LM Studio; the llama.cpp server uses port 8080)
+   */
+  static get DEFAULT_ENDPOINT() {
+    return 'http://localhost:1234/v1';
+  }
+
+  /**
+   * Default model (servers that host one model ignore the name)
+   */
+  static get DEFAULT_MODEL() {
+    return 'local-model';
+  }
+
+  /**
+   * Call the local server
+   * @param {string} apiKey - Optional API key
+   * @param {string} prompt - Prompt text
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options (see chat)
+   * @returns {Promise<string>} API response text
+   */
+  static async call(apiKey, prompt, model = this.DEFAULT_MODEL, options = {}) {
+    return this.chat(apiKey, [{ role: 'user', content: prompt }], model, options);
+  }
+
+  /**
+   * Call the local server with a multi-turn conversation
+   * @param {string} apiKey - Optional API key
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns, ending with a user message
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options
+   * @param {string} [options.endpoint] - Server address (defaults to http://localhost:1234/v1)
+   * @param {string} [options.systemPrompt] - System prompt sent ahead of the conversation
+   * @param {boolean} [options.stream] - Stream the response as it is generated
+   * @param {Function} [options.onToken] - Called with (delta, fullText) for each streamed chunk
+   * @param {Function} [options.onUsage] - Called with ({ inputTokens, outputTokens }) when the response reports token usage
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string>} API response text
+   */
+  static async chat(apiKey, messages, model = this.DEFAULT_MODEL, options = {}) {
+    // Validate inputs
+    validateMessages(messages);
+    
+    const baseUrl = this.getBaseUrl(options.endpoint);
+    
+    const requestBody = {
+      model: model || this.DEFAULT_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: options.systemPrompt || 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
+        },
+        ...messages.map(({ role, content }) => ({ role, content }))
+      ],
+      max_tokens: options.maxTokens || 1000,
+      temperature: this.clamp(options.temperature ?? 0.7, 0, 2),
+      stream: Boolean(options.stream)
+    };
+    
+    // Ask for token usage at the end of the stream
+    if (requestBody.stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+    
+    if (options.stop) {
+      requestBody.stop = Array.isArray(options.stop) ? options.stop : [options.stop];
+    }
+    
+    // Make API request
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.handleNetworkError(error, baseUrl);
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw withResponseStatus(this.handleApiError(response.status, errorData), response);
+    }
+    
+    // Read streamed responses incrementally
+    if (requestBody.stream) {
+      return await this.readStream(response, options.onToken, options.onUsage);
+    }
+    
+    const data = await response.json();
+    const responseText = data.choices?.[0]?.message?.content;
+    
+    if (!responseText) {
+      throw new Error('No response text received from the local server');
+    }
+    
+    this.reportUsage(data.usage, options.onUsage);
+    return responseText;
+  }
+
+  /**
+   * Read a streamed chat completion
+   * @param {Response} response - Fetch response with an SSE body
+   * @param {Function} onToken - Called with (delta, fullText) for each chunk
+   * @param {Function} [onUsage] - Called with the token usage sent in the final chunk
+   * @returns {Promise<string>} Complete response text
+   */
+  static async readStream(response, onToken, onUsage) {
+    let fullText = '';
+    
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') {
+        return;
+      }
+      
+      const chunk = parseEventData(data);
+      if (chunk?.error) {
+        throw withResponseStatus(this.handleApiError(response.status, chunk), response);
+      }
+      
+      // Usage arrives in a final chunk without choices
+      if (chunk?.usage) {
+        this.reportUsage(chunk.usage, onUsage);
+      }
+      
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        fullText += delta;
+        if (onToken) {
+          onToken(delta, fullText);
+        }
+      }
+    });
+    
+    if (!fullText) {
+      throw new Error('No response text received from the local server');
+    }
+    
+    return fullText;
+  }
+
+  /**
+   * List the models loaded on the server
+   * @param {string} apiKey - Optional API key
+   * @param {Object} [options] - Options
+   * @param {string} [options.endpoint] - Server address
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string[]>} Model IDs
+   */
+  static async listModels(apiKey, options = {}) {
+    const baseUrl = this.getBaseUrl(options.endpoint);
+    
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/models`, {
+        headers: this.getHeaders(apiKey),
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.handleNetworkError(error, baseUrl);
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.handleApiError(response.status, errorData);
+    }
+    
+    const data = await response.json();
+    return (data.data || []).map(model => model.id).filter(Boolean);
+  }
+
+  /**
+   * Get the API base URL (ending in /v1) from the configured endpoint
+   * @param {string} [endpoint] - Configured endpoint
+   * @returns {string} Base URL
+   */
+  static getBaseUrl(endpoint) {
+    return (endpoint || this.DEFAULT_ENDPOINT)
+      .trim()
+      .replace(/\/+$/, '')
+      .replace(/\/(chat\/completions|models)$/, '');
+  }
+
+  /**
+   * Build request headers
+   * @param {string} apiKey - Optional API key
+   * @returns {Object} Headers
+   */
+  static getHeaders(apiKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * Turn a failed fetch into a user-facing error
+   * @param {Error} error - Error thrown by fetch
+   * @param {string} baseUrl - Server address
+   * @returns {Error}
+   */
+  static handleNetworkError(error, baseUrl) {
+    if (error.name === 'TypeError') {
+      return new Error(`Cannot reach the local server at ${baseUrl}. Make sure it is running.`);
+    }
+    
+    return error;
+  }
+
+  /**
+   * Handle API errors
+   */
+  static handleApiError(statusCode, errorData) {
+    const errorMessage = errorData?.error?.message || errorData?.error || 'Unknown error';
+    return new Error(`Local server error: ${errorMessage} (code: ${statusCode})`);
+  }
+
+  /**
+   * Pass token usage from a response to the caller
+   * @param {Object} [usage] - Usage block ({ prompt_tokens, completion_tokens })
+   * @param {Function} [onUsage] - Called with ({ inputTokens, outputTokens })
+   */
+  static reportUsage(usage, onUsage) {
+    if (usage && onUsage) {
+      onUsage({
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      });
+    }
+  }
+
+  /**
+   * Clamp a value between min and max
+   */
+  static clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * Get the models shown when the server can't be reached
+   * @returns {Array} List of models
+   */
+  static getAvailableModels() {
+    return [
+      { id: 'local-model', name: 'Loaded model', description: 'Whichever model the server has loaded' }
+    ];
+  }
+}
\ No newline at end of file
@@ -0,0 +1,319 @@
+/**
+ * Chrome Copilot - Ollama Provider
+ *
+ * This module handles communication with a local Ollama server through its
+ * native /api/chat and /api/tags endpoints. Requests never leave the machine
+ * unless the endpoint is pointed elsewhere, and no API key is needed.
+ */
+
+import { readJsonLines } from '../stream.js';
+import { validateMessages } from '../messages.js';
+import { withResponseStatus } from '../retry.js';
+
+/**
+ * Ollama API provider
+ */
+export class OllamaProvider {
+  /**
+   * Default server address
+   */
+  static get DEFAULT_ENDPOINT() {
+    return 'http://localhost:11434';
+  }
+
+  /**
+   * Default model
+   */
+  static get DEFAULT_MODEL() {
+    return 'llama3.2';
+  }
+
+  /**
+   * Call Ollama
+   * @param {string} apiKey - Optional key for servers behind an authenticating proxy
+   * @param {string} prompt - Prompt text
+   * @param {string} model - Model name
+   * @param {Object} options - Additional options (see chat)
+   * @returns {Promise<string>} API response text
+   */
+  static async call(apiKey, prompt, model = this.DEFAULT_MODEL, options = {}) {
+    return this.chat(apiKey, [{ role: 'user', content: prompt }], model, options);
+  }
+
+  /**
+   * Call Ollama with a multi-turn conversation
+   * @param {string} apiKey - Optional key for servers behind an authenticating proxy
+   * @param {Array<{role: string, content: string}>} messages - Conversation turns, ending with a user message
+   * @param {string} model - Model name, as listed by `ollama list`
+   * @param {Object} options - Additional options
+   * @param {string} [options.endpoint] - Server address (defaults to http://localhost:11434)
+   * @param {string} [options.systemPrompt] - System prompt sent ahead of the conversation
+   * @param {boolean} [options.stream] - Stream the response as it is generated
+   * @param {Function} [options.onToken] - Called with (delta, fullText) for each streamed chunk
+   * @param {Function} [options.onUsage] - Called with ({ inputTokens, outputTokens }) when the response reports token usage
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string>} API response text
+   */
+  static async chat(apiKey, messages, model = this.DEFAULT_MODEL, options = {}) {
+    // Validate inputs
+    validateMessages(messages);
+    if (!model || typeof model !== 'string') {
+      throw new Error('Invalid model');
+    }
+    
+    const baseUrl = this.getBaseUrl(options.endpoint);
+    
+    const requestBody = {
+      model: model,
+      messages: [
+        {
+          role: 'system',
+          content: options.systemPrompt || 'You are a helpful assistant that provides clear, accurate, and concise explanations.'
+        },
+        ...messages.map(({ role, content }) => ({ role, content }))
+      ],
+      stream: Boolean(options.stream),
+      options: {
+        temperature: this.clamp(options.temperature ?? 0.7, 0, 2),
+        num_predict: options.maxTokens || 1000
+      }
+    };
+    
+    if (options.stop) {
+      requestBody.options.stop = Array.isArray(options.stop) ? options.stop : [options.stop];
+    }
+    
+    // Make API request
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: this.getHeaders(apiKey),
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.handleNetworkError(error, baseUrl);
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw withResponseStatus(this.handleApiError(response.status, errorData, model), response);
+    }
+    
+    // Read streamed responses incrementally
+    if (requestBody.stream) {
+      return await this.readStream(response, options.onToken, model, options.onUsage);
+    }
+    
+    const data = await response.json();
+    const responseText = data.message?.content;
+    
+    if (!responseText) {
+      throw new Error('No response text received from Ollama');
+    }
+    
+    this.reportUsage(data, options.onUsage);
+    return responseText;
+  }
+
+  /**
+   * Read a streamed chat response (one JSON object per line)
+   * @param {Response} response - Fetch response with an NDJSON body
+   * @param {Function} onToken - Called with (delta, fullText) for each chunk
+   * @param {string} model - Model name, for error messages
+   * @param {Function} [onUsage] - Called with the token usage sent in the final chunk
+   * @returns {Promise<string>} Complete response text
+   */
+  static async readStream(response, onToken, model, onUsage) {
+    let fullText = '';
+    
+    await readJsonLines(response, chunk => {
+      if (chunk.error) {
+        throw withResponseStatus(this.handleApiError(response.status, chunk, model), response);
+      }
+      
+      const delta = chunk.message?.content;
+      if (delta) {
+        fullText += delta;
+        if (onToken) {
+          onToken(delta, fullText);
+        }
+      }
+      
+      // The final chunk carries the token counts
+      if (chunk.done) {
+        this.reportUsage(chunk, onUsage);
+      }
+    });
+    
+    if (!fullText) {
+      throw new Error('No response text received from Ollama');
+    }
+    
+    return fullText;
+  }
+
+  /**
+   * List the models installed on the server
+   * @param {string} apiKey - Optional key for servers behind an authenticating proxy
+   * @param {Object} [options] - Options
+   * @param {string} [options.endpoint] - Server address
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled
+   * @returns {Promise<string[]>} Model names
+   */
+  static async listModels(apiKey, options = {}) {
+    const baseUrl = this.getBaseUrl(options.endpoint);
+    
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/api/tags`, {
+        headers: this.getHeaders(apiKey),
+        signal: options.signal
+      });
+    } catch (error) {
+      throw this.handleNetworkError(error, baseUrl);
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.handleApiError(response.status, errorData);
+    }
+    
+    const data = await response.json();
+    return (data.models || []).map(model => model.name).filter(Boolean);
+  }
+
+  /**
+   * Get the server address without a trailing slash or API path
+   * @param {string} [endpoint] - Configured endpoint
+   * @returns {string} Base URL
+   */
+  static getBaseUrl(endpoint) {
+    return (endpoint || this.DEFAULT_ENDPOINT)
+      .trim()
+      .replace(/\/+$/, '')
+      .replace(/\/api(\/(chat|tags|generate))?$/, '');
+  }
+
+  /**
+   * Build request headers
+   * @param {string} apiKey - Optional API key
+   * @returns {Object} Headers
+   */
+  static getHeaders(apiKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * Turn a failed fetch into a user-facing error
+   * @param {Error} error - Error thrown by fetch
+   * @param {string} baseUrl - Server address
+   * @returns {Error}
+   */
+  static handleNetworkError(error, baseUrl) {
+    if (error.name === 'TypeError') {
+      return new Error(`Cannot reach Ollama at ${baseUrl}. Make sure Ollama is running.`);
+    }
+    
+    return error;
+  }
+
+  /**
+   * Handle API errors
+   */
+  static handleApiError(statusCode, errorData, model) {
+    const errorMessage = errorData?.error || 'Unknown error';
+    
+    switch (statusCode) {
+      case 403:
+        // Ollama only accepts requests from origins listed in OLLAMA_ORIGINS
+        return new Error('Ollama refused the request. Set OLLAMA_ORIGINS=chrome-extension://* and restart Ollama.');
+      
+      case 404:
+        return new Error(model
+          ? `Model "${model}" is not installed. Run "ollama pull ${model}" and try again.`
+          : `Ollama API error: ${errorMessage}`);
+      
+      case 500:
+      case 502:
+      case 503:
+        return new Error(`Ollama error: ${errorMessage}`);
+      
+      default:
+        return new Error(`Ollama API error: ${errorMessage} (code: ${statusCode})`);
+    }
+  }
+
+  /**
+   * Pass token usage from a final response object to the caller
+   * @param {Object} data - Response object ({ prompt_eval_count, eval_count })
+   * @param {Function} [onUsage] - Called with ({ inputTokens, outputTokens })
+   */
+  static reportUsage(data, onUsage) {
+    if (onUsage && (data.prompt_eval_count !== undefined || data.eval_count !== undefined)) {
+      onUsage({
+        inputTokens: data.prompt_eval_count || 0,
+        outputTokens: data.eval_count || 0
+      });
+    }
+  }
+
+  /**
+   * Clamp a value between min and max
+   */
+  static clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * Get commonly used Ollama models, shown when the server can't be reached
+   * @returns {Array} List of models
+   */
+  static getAvailableModels() {
+    return [
+      { id: 'llama3.2', name: 'Llama 3.2', description: 'Small general purpose model' },
+      { id: 'llama3.1', name: 'Llama 3.1', description: 'General purpose model' },
+      { id: 'mistral', name: 'Mistral', description: 'Fast general purpose model' },
+      { id: 'qwen2.5-coder', name: 'Qwen 2.5 Coder', description: 'Optimized for programming tasks' },
+      { id: 'gemma2', name: 'Gemma 2', description: 'General purpose model' }
+    ];
+  }
+
+  /**
+   * Test connection to the Ollama server
+   * @param {string} apiKey - Optional API key
+   * @param {string} model - Model to test
+   * @param {Object} options - Options (endpoint)
+   * @returns {Promise<Object>} Test result
+   */
+  static async testConnection(apiKey, model = this.DEFAULT_MODEL, options = {}) {
+    try {
+      const testPrompt = 'Respond with "Test successful" only.';
+      const response = await this.call(apiKey, testPrompt, model, { ...options, maxTokens: 10 });
+      
+      return {
+        success: true,
+        message: 'Connection successful',
+        response: response.trim(),
+        model: model
+      };
+    
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message,
+        error: error
+      };
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * Chrome Copilot - Provider Registry
+ * 
+ * This module is the single list of supported LLM providers. Each entry
+ * describes a provider (label, models, capabilities, pricing) and how to call
+ * it, and the API layer, settings pages and validation all read from here.
+ */
+
+import { OpenAIProvider } from './providers/openai.js';
+import { AnthropicProvider } from './providers/anthropic.js';
+import { DeepSeekProvider } from './providers/deepseek.js';
+import { CustomProvider } from './providers/custom.js';
+import { OllamaProvider } from './providers/ollama.js';
+import { LocalOpenAIProvider } from './providers/local-openai.js';
+
+/**
+ * Context window assumed for providers that don't declare one, in tokens
+ */
+export const DEFAULT_CONTEXT_WINDOW = 4096;
+
+/**
+ * Registered providers by ID, in registration order
+ * @type {Map<string, Object>}
+ */
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ * @param {Object} definition - Provider definition
+ * @param {string} definition.id - Provider ID stored in config (e.g. 'openai')
+ * @param {string} definition.label - Display name
+ * @param {string[]} definition.models - Known model IDs
+ * @param {string} definition.defaultModel - Model used when none is configured
+ * @param {Object} definition.capabilities - supportsStreaming, supportsImages, maxTokens,
+ *   contextWindow (longest prompt the provider accepts, in estimated tokens), requiresApiKey, requiresEndpoint, customEndpoint (an optional endpoint overrides
+ *   defaultEndpoint), customModels (any model name is accepted) and local (runs on the
+ *   user's machine, so requests are free and not limited by the monthly budget)
+ * @param {string|null} [definition.defaultEndpoint] - Endpoint used when none is configured
+ * @param {RegExp|null} [definition.visionModels] - Models that read images, for providers with
+ *   supportsImages where only some models do; null means every model does
+ * @param {Object} [definition.pricing] - USD per 1000 tokens by model: { input, output }
+ * @param {string|null} [definition.website] - Provider website
+ * @param {string|null} [definition.apiKeyUrl] - Page where users create API keys
+ * @param {Function} definition.validateApiKey - Basic format check for an API key
+ * @param {Function} definition.chat - Called with (apiKey, messages, model, options)
+ * @param {Function|null} [definition.listModels] - Called with (apiKey, { endpoint, signal }) and
+ *   resolves to the model IDs the provider currently offers
+ */
+export function registerProvider(definition) {
+  if (!definition?.id || typeof definition.chat !== 'function') {
+    throw new Error('Provider definition requires an id and a chat function');
+  }
+  
+  providers.set(definition.id, {
+    pricing: {},
+    defaultEndpoint: null,
+    website: null,
+    apiKeyUrl: null,
+    validateApiKey: apiKey => apiKey.length > 0,
+    listModels: null,
+    visionModels: null,
+    ...definition,
+    capabilities: {
+      supportsStreaming: false,
+      supportsImages: false,
+      maxTokens: null,
+      contextWindow: DEFAULT_CONTEXT_WINDOW,
+      requiresApiKey: true,
+      requiresEndpoint: false,
+      customEndpoint: false,
+      customModels: false,
+      local: false,
+      ...definition.capabilities
+    }
+  });
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Provider definition, or null if unknown
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Get all registered providers
+ * @returns {Array<Object>} Provider definitions in registration order
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} id - Provider ID
+ * @returns {boolean}
+ */
+export function hasProvider(id) {
+  return providers.has(id);
+}
+
+/**
+ * Check whether a provider's model can read images
+ * @param {string} id - Provider ID
+ * @param {string} [model] - Model ID; the provider's default model if omitted
+ * @returns {boolean}
+ */
+export function supportsImages(id, model) {
+  const provider = providers.get(id);
+  if (!provider?.capabilities.supportsImages) {
+    return false;
+  }
+  
+  return !provider.visionModels || provider.visionModels.test(model || provider.defaultModel);
+}
+
+/**
+ * Get a display label for a provider ID
+ * @param {string} id - Provider ID
+ * @returns {string} Registered label, or the capitalized ID for unknown providers
+ */
+export function getProviderLabel(id) {
+  const provider = providers.get(id);
+  if (provider) {
+    return provider.label;
+  }
+  
+  return id ? id.charAt(0).toUpperCase() + id.slice(1) : 'Unknown';
+}
+
+registerProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  models: OpenAIProvider.getAvailableModels().map(model => model.id),
+  defaultModel: OpenAIProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: true,
+    supportsImages: true,
+    maxTokens: OpenAIProvider.MAX_TOKENS,
+    contextWindow: OpenAIProvider.MAX_TOKENS
+  },
+  // gpt-4 and gpt-3.5-turbo reject image content
+  visionModels: /^(gpt-4-turbo(?!-preview)|gpt-4(-\d+)?-vision|gpt-4o|chatgpt-4o|gpt-4\.\d|gpt-5|o1(?!-mini|-preview)|o3(?!-mini)|o4)/,
+  pricing: {
+    'gpt-4': { input: 0.03, output: 0.06 },
+    'gpt-4-turbo': { input: 0.01, output: 0.03 },
+    'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
+    'gpt-3.5-turbo-instruct': { input: 0.0015, output: 0.002 }
+  },
+  website: 'https://openai.com',
+  apiKeyUrl: 'https://platform.openai.com/api-keys',
+  // OpenAI keys typically start with 'sk-' and are 51 characters
+  validateApiKey: apiKey => apiKey.startsWith('sk-') && apiKey.length >= 48,
+  chat: (apiKey, messages, model, options) => OpenAIProvider.chat(apiKey, messages, model, options),
+  listModels: (apiKey, options) => OpenAIProvider.listModels(apiKey, options)
+});
+
+registerProvider({
+  id: 'anthropic',
+  label: 'Anthropic',
+  models: AnthropicProvider.getAvailableModels().map(model => model.id),
+  defaultModel: AnthropicProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: true,
+    supportsImages: true,
+    maxTokens: AnthropicProvider.MAX_TOKENS,
+    contextWindow: AnthropicProvider.MAX_TOKENS
+  },
+  // Every model from Claude 3 on reads images
+  visionModels: /^claude-(?!instant|2)/,
+  pricing: {
+    'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
+    'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
+    'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 }
+  },
+  website: 'https://anthropic.com',
+  apiKeyUrl: 'https://console.anthropic.com/settings/keys',
+  // Anthropic keys typically start with 'sk-ant-' and are longer
+  validateApiKey: apiKey => apiKey.startsWith('sk-ant-') && apiKey.length >= 40,
+  chat: (apiKey, messages, model, options) => AnthropicProvider.chat(apiKey, messages, model, options),
+  listModels: (apiKey, options) => AnthropicProvider.listModels(apiKey, options)
+});
+
+registerProvider({
+  id: 'deepseek',
+  label: 'DeepSeek',
+  models: DeepSeekProvider.getAvailableModels().map(model => model.id),
+  defaultModel: DeepSeekProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: true,
+    supportsImages: false,
+    maxTokens: DeepSeekProvider.MAX_TOKENS,
+    contextWindow: DeepSeekProvider.MAX_TOKENS
+  },
+  pricing: {
+    'deepseek-chat': { input: 0.0014, output: 0.0028 },
+    'deepseek-coder': { input: 0.0014, output: 0.0028 },
+    'deepseek-reasoner': { input: 0.0014, output: 0.0028 }
+  },
+  website: 'https://deepseek.com',
+  apiKeyUrl: 'https://platform.deepseek.com/api-keys',
+  validateApiKey: apiKey => apiKey.length >= 10,
+  chat: (apiKey, messages, model, options) => DeepSeekProvider.chat(apiKey, messages, model, options),
+  listModels: (apiKey, options) => DeepSeekProvider.listModels(apiKey, options)
+});
+
+registerProvider({
+  id: 'custom',
+  label: 'Custom API',
+  models: CustomProvider.getAvailableModels().map(model => model.id),
+  defaultModel: CustomProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: false,
+    supportsImages: false,
+    maxTokens: null,
+    // Prompts may be no longer than the completion requested, which is 1000 tokens by default
+    contextWindow: 1000,
+    requiresApiKey: false,
+    requiresEndpoint: true,
+    customModels: true
+  },
+  // Custom API keys - minimal validation
+  validateApiKey: apiKey => apiKey.length >= 1,
+  chat: (apiKey, messages, model, options) => CustomProvider.chat(apiKey, messages, model, options)
+});
+
+registerProvider({
+  id: 'ollama',
+  label: 'Ollama (local)',
+  models: OllamaProvider.getAvailableModels().map(model => model.id),
+  defaultModel: OllamaProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: true,
+    supportsImages: false,
+    maxTokens: null,
+    requiresApiKey: false,
+    customEndpoint: true,
+    customModels: true,
+    local: true
+  },
+  defaultEndpoint: OllamaProvider.DEFAULT_ENDPOINT,
+  website: 'https://ollama.com',
+  // No key is needed; one is only sent if the server sits behind a proxy
+  validateApiKey: () => true,
+  chat: (apiKey, messages, model, options) => OllamaProvider.chat(apiKey, messages, model, options),
+  listModels: (apiKey, options) => OllamaProvider.listModels(apiKey, options)
+});
+
+registerProvider({
+  id: 'local-openai',
+  label: 'Local server (OpenAI-compatible)',
+  models: LocalOpenAIProvider.getAvailableModels().map(model => model.id),
+  defaultModel: LocalOpenAIProvider.DEFAULT_MODEL,
+  capabilities: {
+    supportsStreaming: true,
+    supportsImages: false,
+    maxTokens: null,
+    requiresApiKey: false,
+    customEndpoint: true,
+    customModels: true,
+    local: true
+  },
+  defaultEndpoint: LocalOpenAIProvider.DEFAULT_ENDPOINT,
+  website: 'https://lmstudio.ai',
+  validateApiKey: () => true,
+  chat: (apiKey, messages, model, options) => LocalOpenAIProvider.chat(apiKey, messages, model, options),
+  listModels: (apiKey, options) => LocalOpenAIProvider.listModels(apiKey, options)
+});
\ No newline at end of file
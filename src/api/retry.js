@@ -0,0 +1,149 @@
+/**
+ * Chrome Copilot - Request Retries
+ * 
+ * This module retries provider calls that fail with a transient error (rate
+ * limits, overloaded or unavailable servers). Each retry waits longer than the
+ * last, with random jitter, unless the provider says how long to wait in a
+ * Retry-After header.
+ */
+
+import { isAbortError } from './abort.js';
+
+/**
+ * HTTP status codes worth retrying (529 is Anthropic's "overloaded")
+ */
+export const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 529];
+
+/**
+ * Provider error codes that can't succeed when sent again, even with a retryable status
+ * (OpenAI reports an exhausted quota as HTTP 429, like a rate limit)
+ */
+export const NON_RETRYABLE_ERROR_CODES = ['insufficient_quota', 'billing_not_active'];
+
+/**
+ * Delay before the first retry; it doubles with every attempt
+ */
+const BASE_DELAY_MS = 1000;
+
+/**
+ * Longest wait before a retry; a provider asking for more gets its error reported instead
+ */
+export const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Attach the HTTP status and Retry-After delay of a failed response to an error
+ * @param {Error} error - Error created by a provider's handleApiError
+ * @param {Response} response - Failed fetch response
+ * @param {number} [status] - Status to record when it differs from the response (e.g. errors sent mid-stream)
+ * @returns {Error} The same error
+ */
+export function withResponseStatus(error, response, status = response.status) {
+  error.status = status;
+  
+  const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+  if (retryAfterMs !== null) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  
+  return error;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds to wait, or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether an error is a transient provider failure
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the request may succeed when sent again
+ */
+export function isRetryableError(error) {
+  return Boolean(error) && RETRYABLE_STATUS_CODES.includes(error.status) && !NON_RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Get the delay before a retry
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {Error} error - Error of that attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, error) {
+  if (error?.retryAfterMs !== undefined) {
+    return error.retryAfterMs;
+  }
+  
+  // Half the backoff is fixed and half random, so clients that failed together spread out
+  const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Wait before a retry
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early by rejecting with the abort reason
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Call a function again while it fails with a transient provider error
+ * @param {Function} fn - Makes one attempt; called with the attempt number
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Attempts in total, including the first (1 turns retries off)
+ * @param {AbortSignal} [options.signal] - Stops waiting for the next attempt
+ * @param {Function} [options.canRetry] - Called with the error; returning false gives up (e.g. after text was streamed)
+ * @param {Function} [options.onRetry] - Called with ({ attempt, maxAttempts, delayMs, error }) before waiting
+ * @returns {Promise<*>} Result of the first attempt that succeeds
+ */
+export async function withRetry(fn, { maxAttempts = 3, signal, canRetry = () => true, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || isAbortError(error) || !isRetryableError(error) || !canRetry(error)) {
+        throw error;
+      }
+      
+      const delayMs = getRetryDelay(attempt, error);
+      if (delayMs > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+      
+      onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, error });
+      await wait(delayMs, signal);
+    }
+  }
+}
\ No newline at end of file
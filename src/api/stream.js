@@ -0,0 +1,163 @@
+/**
+ * Chrome Copilot - Streaming Response Reader
+ *
+ * This module reads Server-Sent Events (SSE) and newline-delimited JSON
+ * (NDJSON) from a fetch response body and hands each decoded event to a
+ * provider-specific handler.
+ */
+
+/**
+ * Read an SSE response body and invoke a callback for every event
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Called with ({ event, data }) for each event
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onEvent) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    throw new Error('Streaming responses are not supported in this environment');
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) {
+        break;
+      }
+      
+      buffer += decoder.decode(value, { stream: true });
+      buffer = buffer.replace(/\r\n/g, '\n');
+      
+      // Events are separated by a blank line
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        
+        const event = parseEventBlock(block);
+        if (event) {
+          onEvent(event);
+        }
+        
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+    
+    // Flush a trailing event that was not terminated by a blank line
+    buffer += decoder.decode();
+    const event = parseEventBlock(buffer.trim());
+    if (event) {
+      onEvent(event);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse a single SSE event block
+ * @param {string} block - Raw event block (lines without the blank separator)
+ * @returns {Object|null} Parsed event with `event` and `data`, or null if empty
+ */
+function parseEventBlock(block) {
+  if (!block) {
+    return null;
+  }
+  
+  let eventName = 'message';
+  const dataLines = [];
+  
+  block.split('\n').forEach(line => {
+    // Lines starting with a colon are comments (often used as keep-alives)
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+    
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+  
+  if (dataLines.length === 0) {
+    return null;
+  }
+  
+  return {
+    event: eventName,
+    data: dataLines.join('\n')
+  };
+}
+
+/**
+ * Parse the JSON payload of an SSE event
+ * @param {string} data - Event data
+ * @returns {Object|null} Parsed payload, or null if the data is not JSON
+ */
+export function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a newline-delimited JSON (NDJSON) response body, as streamed by Ollama
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onObject - Called with each parsed JSON object
+ * @returns {Promise<void>}
+ */
+export async function readJsonLines(response, onObject) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    throw new Error('Streaming responses are not supported in this environment');
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const handleLine = line => {
+    const object = parseEventData(line.trim());
+    if (object) {
+      onObject(object);
+    }
+  };
+  
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) {
+        break;
+      }
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        handleLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+        newline = buffer.indexOf('\n');
+      }
+    }
+    
+    // Flush a trailing line without a newline
+    buffer += decoder.decode();
+    handleLine(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Chrome Copilot - Page Summaries
+ *
+ * This module summarizes whole pages, or answers questions about them, with
+ * models whose context window is smaller than the page. The text is split
+ * into chunks that fit the window; each chunk is turned into notes (map),
+ * notes that are still too long together are combined (reduce), and the
+ * final answer is written from the notes. Short pages take a single call.
+ */
+
+/**
+ * Characters per token, the same rough estimate the providers use
+ */
+export const CHARS_PER_TOKEN = 4;
+
+// Share of the context window a chunk may fill; the rest is left for the instructions
+const CHUNK_SHARE = 0.6;
+
+// Rounds of combining notes before the remaining notes are cut to fit
+const MAX_REDUCE_ROUNDS = 3;
+
+// Prompts for each step, for summaries and for questions about the page
+const PROMPTS = {
+  summary: {
+    single: `Summarize this page. Start with a one-sentence overview, then list the key points in the order the page makes them, and mention any conclusions or recommendations.
+
+Page: {title}
+URL: {url}
+
+{text}`,
+    map: `This is part {part} of {parts} of a page. Write concise notes on its key points, facts and conclusions, to be combined with notes on the other parts into a summary. Reply with the notes only.
+
+Page: {title}
+
+{text}`,
+    reduce: `Combine these notes on parts of a page into one shorter set of notes, keeping every key point in order and removing repetition. Reply with the notes only.
+
+Page: {title}
+
+{notes}`,
+    final: `Write a summary of a page from notes on each of its parts. Start with a one-sentence overview, then list the key points in the order the page makes them, and mention any conclusions or recommendations.
+
+Page: {title}
+URL: {url}
+
+Notes:
+{notes}`
+  },
+  question: {
+    single: `Answer the question using the page below. If the page doesn't answer it, say so, then answer from general knowledge and make clear which parts are not from the page.
+
+Question: {question}
+
+Page: {title}
+URL: {url}
+
+{text}`,
+    map: `This is part {part} of {parts} of a page. Note everything in it that helps answer the question below, quoting key facts exactly. If nothing in this part is relevant, reply "Nothing relevant." Reply with the notes only.
+
+Question: {question}
+
+Page: {title}
+
+{text}`,
+    reduce: `Combine these notes on parts of a page into one shorter set of notes, keeping everything that helps answer the question below. Reply with the notes only.
+
+Question: {question}
+
+Page: {title}
+
+{notes}`,
+    final: `Answer the question using notes taken from a page. If the notes don't answer it, say so, then answer from general knowledge and make clear which parts are not from the page.
+
+Question: {question}
+
+Page: {title}
+URL: {url}
+
+Notes:
+{notes}`
+  }
+};
+
+/**
+ * Get the longest chunk of page text that fits a context window
+ * @param {number} contextWindow - Longest prompt the provider accepts, in tokens
+ * @returns {number} Chunk length in characters
+ */
+export function getChunkLength(contextWindow) {
+  return Math.floor(contextWindow * CHUNK_SHARE * CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text into chunks, keeping paragraphs and then sentences whole where they fit
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Longest chunk, in characters
+ * @returns {string[]} Chunks in order
+ */
+export function chunkText(text, maxLength) {
+  const paragraphs = (text || '').split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => splitParagraph(paragraph, maxLength));
+  
+  return packPieces(paragraphs, maxLength, '\n\n');
+}
+
+/**
+ * Summarize a page, or answer a question about it, in as many calls as its length needs
+ * @param {Object} page - Page to read
+ * @param {string} page.content - Article text
+ * @param {string} page.title - Page title
+ * @param {string} page.url - Page URL
+ * @param {string} [page.question] - Question to answer; without one the page is summarized
+ * @param {Object} options - Options
+ * @param {number} options.chunkLength - Longest chunk of page text per call (see getChunkLength)
+ * @param {Function} options.complete - Called with (prompt, { final }) for each step and resolves
+ *   to the model's reply; `final` is true for the call that writes the answer
+ * @param {Function} [options.onProgress] - Called with ({ stage, done, total, question }) before each
+ *   step; `stage` is 'map', 'reduce' or 'final' (see describeProgress)
+ * @returns {Promise<{result: string, prompt: string}>} Answer, and the prompt of the final call
+ */
+export async function summarizePage(page, { chunkLength, complete, onProgress }) {
+  const prompts = page.question ? PROMPTS.question : PROMPTS.summary;
+  const values = { title: page.title || 'Untitled page', url: page.url || '', question: page.question || '' };
+  const report = (stage, done, total) => onProgress?.({ stage, done, total, question: Boolean(page.question) });
+  
+  const chunks = chunkText(page.content, chunkLength);
+  
+  if (chunks.length <= 1) {
+    const prompt = fillPrompt(prompts.single, { ...values, text: chunks[0] || '' });
+    report('final', 0, 1);
+    return { result: await complete(prompt, { final: true }), prompt };
+  }
+  
+  // Map: notes on each chunk
+  let notes = [];
+  for (const [index, chunk] of chunks.entries()) {
+    report('map', index, chunks.length);
+    notes.push(await complete(fillPrompt(prompts.map, {
+      ...values,
+      part: index + 1,
+      parts: chunks.length,
+      text: chunk
+    }), { final: false }));
+  }
+  
+  // Reduce: combine groups of notes until they fit in one prompt
+  for (let round = 0; round < MAX_REDUCE_ROUNDS && notes.join('\n\n').length > chunkLength; round++) {
+    const groups = packPieces(notes.map(note => note.slice(0, chunkLength)), chunkLength, '\n\n');
+    const combined = [];
+    
+    for (const [index, group] of groups.entries()) {
+      report('reduce', index, groups.length);
+      combined.push(await complete(fillPrompt(prompts.reduce, { ...values, notes: group }), { final: false }));
+    }
+    
+    notes = combined;
+  }
+  
+  const prompt = fillPrompt(prompts.final, { ...values, notes: notes.join('\n\n').slice(0, chunkLength) });
+  report('final', 0, 1);
+  return { result: await complete(prompt, { final: true }), prompt };
+}
+
+/**
+ * Describe the progress of a page summary for the loading state
+ * @param {{stage: string, done: number, total: number, question: boolean}} progress - Progress from summarizePage
+ * @returns {string} Status text, e.g. "Reading part 2 of 5..."
+ */
+export function describeProgress({ stage, done, total, question }) {
+  switch (stage) {
+    case 'map':
+      return `Reading part ${done + 1} of ${total}...`;
+    case 'reduce':
+      return total > 1 ? `Combining notes (${done + 1} of ${total})...` : 'Combining notes...';
+    default:
+      return question ? 'Writing the answer...' : 'Writing the summary...';
+  }
+}
+
+/**
+ * Get the label a page request is shown and saved with, in place of selected text
+ * @param {{title: string, question?: string}} page - Page and question
+ * @returns {string} e.g. "Summary: Page title" or "Question: ... (Page title)"
+ */
+export function getPageLabel({ title, question }) {
+  const pageTitle = title || 'Untitled page';
+  return question ? `Question: ${question} (${pageTitle})` : `Summary: ${pageTitle}`;
+}
+
+/**
+ * Split a paragraph that is too long into sentence-sized pieces
+ * @param {string} paragraph - Paragraph text
+ * @param {number} maxLength - Longest piece
+ * @returns {string[]}
+ */
+function splitParagraph(paragraph, maxLength) {
+  if (paragraph.length <= maxLength) {
+    return [paragraph];
+  }
+  
+  const sentences = paragraph.split(/(?<=[.!?])\s+/)
+    .flatMap(sentence => sentence.length <= maxLength ? [sentence] : splitText(sentence, maxLength));
+  return packPieces(sentences, maxLength, ' ');
+}
+
+/**
+ * Split text without sentence breaks at spaces, or anywhere if it has none
+ * @param {string} text - Text to split
+ * @param {number} maxLength - Longest piece
+ * @returns {string[]}
+ */
+function splitText(text, maxLength) {
+  const pieces = [];
+  let rest = text;
+  
+  while (rest.length > maxLength) {
+    const space = rest.lastIndexOf(' ', maxLength);
+    const cut = space > maxLength / 2 ? space : maxLength;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Join pieces into as few chunks as fit the length
+ * @param {string[]} pieces - Pieces no longer than maxLength
+ * @param {number} maxLength - Longest chunk
+ * @param {string} separator - Text between pieces in a chunk
+ * @returns {string[]}
+ */
+function packPieces(pieces, maxLength, separator) {
+  const chunks = [];
+  let current = '';
+  
+  for (const piece of pieces) {
+    if (current && current.length + separator.length + piece.length > maxLength) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}${separator}${piece}` : piece;
+    }
+  }
+  
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Fill a prompt's {placeholders} in one pass, so page text containing braces is left as it is
+ * @param {string} template - Prompt with placeholders
+ * @param {Object} values - Values by placeholder name
+ * @returns {string}
+ */
+function fillPrompt(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? String(values[key]) : match));
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Chrome Copilot - Usage Ledger
+ * 
+ * This module keeps a running total of the tokens and estimated cost of every
+ * provider call in chrome.storage.local, aggregated per day, provider and
+ * model. The totals drive the usage dashboard and the monthly budget.
+ */
+
+/**
+ * Storage key used by the ledger
+ */
+const LEDGER_KEY = 'usageLedger';
+
+/**
+ * Days of usage kept before old totals are dropped
+ */
+export const USAGE_RETENTION_DAYS = 400;
+
+/**
+ * Format a date as a local YYYY-MM-DD day key
+ * @param {Date} [date] - Date to format
+ * @returns {string} Day key
+ */
+export function formatDay(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add up the usage of two provider calls
+ * @param {Object|null} total - Usage so far (see LLMAPI.recordUsage), or null before the first call
+ * @param {Object} usage - Usage of the next call
+ * @returns {Object} Combined usage, with the budget status of the later call
+ */
+export function combineUsage(total, usage) {
+  if (!total) {
+    return { ...usage };
+  }
+  
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    // The total is unknown once any call has no known pricing
+    cost: total.cost === null || usage.cost === null ? null : total.cost + usage.cost,
+    estimated: Boolean(total.estimated || usage.estimated),
+    budget: usage.budget
+  };
+}
+
+/**
+ * Describe the tokens and cost of a result
+ * @param {Object} usage - Usage from LLMAPI.recordUsage
+ * @returns {string} e.g. "120 in / 350 out tokens, $0.0012"; estimated counts are marked with "≈".
+ *   Usage that isn't made of numbers (e.g. from imported history) gives ''
+ */
+export function formatUsage(usage) {
+  const valid = Number.isFinite(usage?.inputTokens) && Number.isFinite(usage.outputTokens) &&
+    (usage.cost === null || Number.isFinite(usage.cost));
+  if (!valid) {
+    return '';
+  }
+  
+  const approx = usage.estimated ? '≈' : '';
+  const cost = usage.cost === null ? 'unknown cost' : `$${usage.cost.toFixed(4)}`;
+  return `${approx}${usage.inputTokens} in / ${approx}${usage.outputTokens} out tokens, ${cost}`;
+}
+
+/**
+ * Usage ledger class
+ */
+export class UsageLedger {
+  /**
+   * Add a provider call to the totals
+   * @param {Object} usage - Call details
+   * @param {string} usage.provider - Provider ID
+   * @param {string} usage.model - Model name
+   * @param {number} usage.inputTokens - Prompt tokens
+   * @param {number} usage.outputTokens - Completion tokens
+   * @param {number|null} usage.cost - Cost in USD, or null if the model has no known pricing
+   * @returns {Promise<void>}
+   */
+  static async record({ provider, model, inputTokens, outputTokens, cost }) {
+    try {
+      const entries = await this.loadEntries();
+      const day = formatDay();
+      const key = `${day}|${provider}|${model}`;
+      
+      const entry = entries[key] || {
+        day,
+        provider,
+        model,
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        unpricedRequests: 0
+      };
+      
+      entry.requests++;
+      entry.inputTokens += inputTokens || 0;
+      entry.outputTokens += outputTokens || 0;
+      if (cost === null || cost === undefined) {
+        entry.unpricedRequests++;
+      } else {
+        entry.cost += cost;
+      }
+      entries[key] = entry;
+      
+      // Drop totals older than the retention period
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - USAGE_RETENTION_DAYS);
+      const oldestDay = formatDay(cutoff);
+      Object.keys(entries)
+        .filter(entryKey => entries[entryKey].day < oldestDay)
+        .forEach(entryKey => delete entries[entryKey]);
+      
+      await chrome.storage.local.set({ [LEDGER_KEY]: entries });
+    } catch (error) {
+      console.error('Error recording usage:', error);
+    }
+  }
+  
+  /**
+   * Get the ledger entries in a day range
+   * @param {Object} [range] - Day range
+   * @param {string} [range.from] - First day (YYYY-MM-DD), inclusive
+   * @param {string} [range.to] - Last day (YYYY-MM-DD), inclusive
+   * @returns {Promise<Array<Object>>} Entries, newest day first
+   */
+  static async getEntries({ from, to } = {}) {
+    try {
+      const entries = await this.loadEntries();
+      
+      return Object.values(entries)
+        .filter(entry => (!from || entry.day >= from) && (!to || entry.day <= to))
+        .sort((a, b) => b.day.localeCompare(a.day) || b.cost - a.cost);
+    } catch (error) {
+      console.error('Error loading usage:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Get totals in a day range, overall and grouped by day, provider and model
+   * @param {Object} [range] - Day range (see getEntries)
+   * @returns {Promise<Object>} Summary with `total`, `byDay`, `byProvider` and `byModel`
+   */
+  static async getSummary(range = {}) {
+    const entries = await this.getEntries(range);
+    
+    return {
+      total: this.sum(entries),
+      byDay: this.groupBy(entries, entry => entry.day),
+      byProvider: this.groupBy(entries, entry => entry.provider),
+      byModel: this.groupBy(entries, entry => `${entry.provider}|${entry.model}`)
+    };
+  }
+  
+  /**
+   * Get the cost recorded in a calendar month
+   * @param {Date} [date] - Any date in the month
+   * @returns {Promise<number>} Cost in USD
+   */
+  static async getMonthCost(date = new Date()) {
+    const month = formatDay(date).slice(0, 7);
+    const entries = await this.getEntries({ from: `${month}-01`, to: `${month}-31` });
+    return this.sum(entries).cost;
+  }
+  
+  /**
+   * Remove all recorded usage
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    try {
+      await chrome.storage.local.remove(LEDGER_KEY);
+    } catch (error) {
+      console.error('Error clearing usage:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add up ledger entries
+   * @param {Array<Object>} entries - Ledger entries
+   * @returns {Object} Totals ({ requests, inputTokens, outputTokens, cost, unpricedRequests })
+   */
+  static sum(entries) {
+    return entries.reduce((total, entry) => ({
+      requests: total.requests + entry.requests,
+      inputTokens: total.inputTokens + entry.inputTokens,
+      outputTokens: total.outputTokens + entry.outputTokens,
+      cost: total.cost + entry.cost,
+      unpricedRequests: total.unpricedRequests + entry.unpricedRequests
+    }), { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 });
+  }
+  
+  /**
+   * Group ledger entries and total each group
+   * @param {Array<Object>} entries - Ledger entries
+   * @param {Function} getKey - Returns the group key of an entry
+   * @returns {Array<Object>} Totals with a `key`, in the order groups first appear
+   */
+  static groupBy(entries, getKey) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = getKey(entry);
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    });
+    
+    return [...groups].map(([key, groupEntries]) => ({ key, ...this.sum(groupEntries) }));
+  }
+  
+  /**
+   * Load all ledger entries
+   * @returns {Promise<Object>} Entries by day, provider and model
+   */
+  static async loadEntries() {
+    const result = await chrome.storage.local.get(LEDGER_KEY);
+    return result[LEDGER_KEY] || {};
+  }
+}
\ No newline at end of file
@@ -5,19 +5,106 @@
  * and communication between content scripts and other extension components.
  */
 
-import { ACTION_TYPES } from '../core/constants.js';
+import { ACTION_TYPES, DEFAULT_CONFIG, ERROR_MESSAGES, IMAGE_PROMPT, STORAGE_KEYS } from '../core/constants.js';
 import { Storage } from '../config/storage.js';
+import { KeyVault } from '../config/key-vault.js';
+import { applySiteRules, findSiteRule } from '../config/site-rules.js';
 import { LLMAPI } from '../api/api.js';
+import { isAbortError } from '../api/abort.js';
+import { canFallBack } from '../api/fallback.js';
+import { loadImage, prepareImage } from '../api/images.js';
+import { withoutImages } from '../api/messages.js';
+import { getPageLabel } from '../api/summarize.js';
+import { getProvider, getProviderLabel } from '../api/registry.js';
+
+// Minimum interval between writes of partial streamed text to storage
+const STREAM_PERSIST_INTERVAL = 250;
+
+// Maximum number of results held for a side panel that hasn't opened yet
+const MAX_PENDING_RESULTS = 10;
+
+// Display location and site rules are cached so the side panel can be opened
+// synchronously inside the context menu click, while the user gesture is still valid
+let currentDisplayLocation = DEFAULT_CONFIG.displayLocation;
+let currentSiteRules = [];
+
+// Request currently being processed; starting a new one supersedes it
+let activeJob = null;
+
+// Context menu IDs: a parent entry with the default prompt and one child per custom prompt,
+// plus entries that send an image or the visible area of the tab to a vision model, and
+// entries that summarize the whole page or ask a question about it
+const MENU_ROOT_ID = 'chrome-copilot';
+const MENU_DEFAULT_ID = 'chrome-copilot-default';
+const MENU_PROMPT_PREFIX = 'chrome-copilot-prompt-';
+const MENU_IMAGE_ID = 'chrome-copilot-image';
+const MENU_VISIBLE_AREA_ID = 'chrome-copilot-visible-area';
+const MENU_PAGE_SUMMARY_ID = 'chrome-copilot-summarize-page';
+const MENU_PAGE_QUESTION_ID = 'chrome-copilot-ask-page';
+
+// Menu rebuilds are chained so removeAll/create calls never interleave
+let menuUpdate = Promise.resolve();
+
+// Keyboard commands declared in the manifest; run-prompt-N uses customPrompts[N - 1]
+const COMMAND_EXPLAIN = 'explain-selection';
+const COMMAND_PROMPT_PREFIX = 'run-prompt-';
+const COMMAND_OPEN_SIDE_PANEL = 'open-side-panel';
+const COMMAND_RERUN = 'rerun-last-query';
+const COMMAND_VISIBLE_AREA = 'explain-visible-area';
+const COMMAND_SUMMARIZE_PAGE = 'summarize-page';
+
+// Alarm that locks the key vault once its session expires
+const VAULT_LOCK_ALARM = 'key-vault-lock';
+
+Storage.loadConfig().then(config => {
+  currentDisplayLocation = config.displayLocation || DEFAULT_CONFIG.displayLocation;
+  currentSiteRules = config.siteRules || [];
+}).catch(console.error);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Site rules are stored in items of their own next to the config (see Storage.saveConfig)
+  if (areaName === 'sync' && Object.keys(changes).some(key => key.startsWith(STORAGE_KEYS.CONFIG))) {
+    Storage.loadConfig().then(config => {
+      currentDisplayLocation = config.displayLocation || DEFAULT_CONFIG.displayLocation;
+      currentSiteRules = config.siteRules || [];
+    }).catch(console.error);
+  }
+  
+  if (areaName === 'sync' && changes[STORAGE_KEYS.CONFIG]) {
+    const config = changes[STORAGE_KEYS.CONFIG].newValue || {};
+    const oldPrompts = changes[STORAGE_KEYS.CONFIG].oldValue?.customPrompts;
+    if (JSON.stringify(oldPrompts) !== JSON.stringify(config.customPrompts)) {
+      updateContextMenus();
+    }
+  }
+  
+  // Each use of an unlocked key moves the lock time, so reschedule the alarm
+  if (areaName === 'session' && changes[STORAGE_KEYS.KEY_VAULT_SESSION]) {
+    const { oldValue, newValue } = changes[STORAGE_KEYS.KEY_VAULT_SESSION];
+    scheduleVaultLock(newValue);
+    
+    // Only locking and unlocking change the badge
+    if (Boolean(oldValue) !== Boolean(newValue)) {
+      updateExtensionStatus();
+    }
+  }
+  
+  if (areaName === 'local' && changes[STORAGE_KEYS.KEY_VAULT]) {
+    updateExtensionStatus();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === VAULT_LOCK_ALARM) {
+    // Reading the session locks the vault if it has expired
+    KeyVault.getSession().then(updateExtensionStatus).catch(console.error);
+  }
+});
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Chrome Copilot extension installed');
   
-  chrome.contextMenus.create({
-    id: 'chrome-copilot',
-    title: 'Chrome Copilot',
-    contexts: ['selection'],
-    visible: true
-  });
+  updateContextMenus();
   
   Storage.loadConfig().then(config => {
     if (!config) {
@@ -28,109 +115,771 @@ chrome.runtime.onInstalled.addListener(() => {
   updateExtensionStatus();
 });
 
+/**
+ * Schedule the key vault to lock when its session expires
+ * @param {Object|undefined} session - Vault session, or undefined once locked
+ */
+function scheduleVaultLock(session) {
+  if (session?.expiresAt) {
+    chrome.alarms.create(VAULT_LOCK_ALARM, { when: session.expiresAt });
+  } else {
+    chrome.alarms.clear(VAULT_LOCK_ALARM);
+  }
+}
+
 chrome.runtime.onStartup.addListener(() => {
   console.log('Chrome Copilot extension started');
   updateExtensionStatus();
 });
 
 /**
- * Handle context menu clicks
+ * Rebuild the context menu from the current custom prompts
+ * @returns {Promise<void>}
  */
-chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId === 'chrome-copilot' && info.selectionText) {
-    try {
-      // Send message to content script to get enhanced selection with context
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: ACTION_TYPES.PROCESS_SELECTION,
-        selection: info.selectionText
+function updateContextMenus() {
+  menuUpdate = menuUpdate
+    .then(async () => {
+      const config = await Storage.loadConfig();
+      await chrome.contextMenus.removeAll();
+      
+      createMenuItem({
+        id: MENU_ROOT_ID,
+        title: 'Chrome Copilot',
+        contexts: ['selection', 'image', 'page']
       });
       
-      const selectionData = response?.enhancedSelection || {
-        text: info.selectionText,
-        context: {
-          title: tab.title || 'Unknown page',
-          url: tab.url || 'unknown',
-          timestamp: new Date().toISOString()
-        }
-      };
+      createMenuItem({
+        id: MENU_DEFAULT_ID,
+        parentId: MENU_ROOT_ID,
+        title: 'Explain (default prompt)',
+        contexts: ['selection']
+      });
       
-      // Process the selected text with LLM
-      await processSelection(selectionData, tab);
+      createMenuItem({
+        id: MENU_IMAGE_ID,
+        parentId: MENU_ROOT_ID,
+        title: 'Explain this image',
+        contexts: ['image']
+      });
       
-    } catch (error) {
-      console.error('Error processing context menu click:', error);
+      createMenuItem({
+        id: MENU_VISIBLE_AREA_ID,
+        parentId: MENU_ROOT_ID,
+        title: 'Explain visible area',
+        contexts: ['page', 'image']
+      });
       
-      // Fallback: process with basic info
-      const selectionData = {
-        text: info.selectionText,
-        context: {
-          title: tab.title || 'Unknown page',
-          url: tab.url || 'unknown',
-          timestamp: new Date().toISOString()
-        }
-      };
+      createMenuItem({
+        id: MENU_PAGE_SUMMARY_ID,
+        parentId: MENU_ROOT_ID,
+        title: 'Summarize this page',
+        contexts: ['page']
+      });
+      
+      createMenuItem({
+        id: MENU_PAGE_QUESTION_ID,
+        parentId: MENU_ROOT_ID,
+        title: 'Ask about this page',
+        contexts: ['page']
+      });
+      
+      const hasCustomPrompts = (config.customPrompts || []).some(prompt => prompt.name && prompt.template);
+      if (!hasCustomPrompts) {
+        return;
+      }
       
-      await processSelection(selectionData, tab);
+      createMenuItem({
+        id: 'chrome-copilot-separator',
+        parentId: MENU_ROOT_ID,
+        type: 'separator',
+        contexts: ['selection']
+      });
+      
+      config.customPrompts.forEach((prompt, index) => {
+        if (!prompt.name || !prompt.template) {
+          return;
+        }
+        
+        createMenuItem({
+          id: `${MENU_PROMPT_PREFIX}${index}`,
+          parentId: MENU_ROOT_ID,
+          title: prompt.name,
+          contexts: ['selection']
+        });
+      });
+    })
+    .catch(error => {
+      console.error('Error updating context menus:', error);
+    });
+  
+  return menuUpdate;
+}
+
+/**
+ * Create a context menu item, logging failures instead of throwing
+ * @param {Object} properties - chrome.contextMenus.create properties
+ */
+function createMenuItem(properties) {
+  chrome.contextMenus.create(properties, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error creating context menu item:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Resolve the prompt template for a clicked context menu item
+ * @param {string} menuItemId - ID of the clicked item
+ * @returns {Promise<string|null>} Prompt template, or null for the default prompt (which a site rule may replace)
+ */
+async function getMenuPromptTemplate(menuItemId) {
+  if (typeof menuItemId === 'string' && menuItemId.startsWith(MENU_PROMPT_PREFIX)) {
+    const config = await Storage.loadConfig();
+    const index = parseInt(menuItemId.slice(MENU_PROMPT_PREFIX.length), 10);
+    return config.customPrompts?.[index]?.template || null;
+  }
+  
+  // The default item, and the root ID kept for menus created before prompts had their own entries
+  return null;
+}
+
+/**
+ * Get the display location for a page from the cached settings
+ * @param {string} [url] - Page URL
+ * @returns {string|null} Display location, or null if a site rule turns the extension off
+ */
+function getDisplayLocation(url) {
+  const rule = findSiteRule(currentSiteRules, url);
+  if (rule?.disableExtension) {
+    return null;
+  }
+  
+  return rule?.displayLocation || currentDisplayLocation;
+}
+
+/**
+ * Handle context menu clicks
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === MENU_IMAGE_ID || info.menuItemId === MENU_VISIBLE_AREA_ID) {
+    // Must happen before any await, otherwise Chrome rejects it as not user-initiated
+    if (getDisplayLocation(tab?.url) === 'sidepanel') {
+      openSidePanel(tab);
     }
+    
+    await explainImage(info.menuItemId === MENU_IMAGE_ID ? 'image' : 'screenshot', tab, info.srcUrl, info.frameId);
+    return;
+  }
+  
+  if (info.menuItemId === MENU_PAGE_SUMMARY_ID) {
+    if (getDisplayLocation(tab?.url) === 'sidepanel') {
+      openSidePanel(tab);
+    }
+    
+    await explainPage(tab);
+    return;
+  }
+  
+  if (info.menuItemId === MENU_PAGE_QUESTION_ID) {
+    await askAboutPage();
+    return;
+  }
+  
+  const isPromptItem = info.menuItemId === MENU_ROOT_ID
+    || info.menuItemId === MENU_DEFAULT_ID
+    || String(info.menuItemId).startsWith(MENU_PROMPT_PREFIX);
+  
+  if (isPromptItem && info.selectionText) {
+    // Must happen before any await, otherwise Chrome rejects it as not user-initiated
+    if (getDisplayLocation(tab?.url) === 'sidepanel') {
+      openSidePanel(tab);
+    }
+    
+    const promptTemplate = await getMenuPromptTemplate(info.menuItemId);
+    const selectionData = await getSelectionData(info.selectionText, tab);
+    
+    // Process the selected text with LLM
+    await processSelection(selectionData, tab, { promptTemplate });
   }
 });
 
+/**
+ * Handle keyboard shortcut commands
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const isPromptCommand = command === COMMAND_EXPLAIN || command.startsWith(COMMAND_PROMPT_PREFIX);
+  
+  // Must happen before any await, otherwise Chrome rejects it as not user-initiated
+  if (command === COMMAND_OPEN_SIDE_PANEL) {
+    openSidePanel(tab);
+    return;
+  }
+  
+  const startsRequest = isPromptCommand || command === COMMAND_RERUN || command === COMMAND_VISIBLE_AREA
+    || command === COMMAND_SUMMARIZE_PAGE;
+  if (startsRequest && getDisplayLocation(tab?.url) === 'sidepanel') {
+    openSidePanel(tab);
+  }
+  
+  try {
+    if (command === COMMAND_VISIBLE_AREA) {
+      await explainImage('screenshot', tab);
+      return;
+    }
+    
+    if (command === COMMAND_SUMMARIZE_PAGE) {
+      await explainPage(tab);
+      return;
+    }
+    
+    if (command === COMMAND_RERUN) {
+      await rerunLastQuery(tab);
+      return;
+    }
+    
+    if (!isPromptCommand) {
+      return;
+    }
+    
+    // Explain uses the default prompt, which a site rule may replace
+    let promptTemplate = null;
+    if (command !== COMMAND_EXPLAIN) {
+      promptTemplate = await getCommandPromptTemplate(command);
+      if (!promptTemplate) {
+        await showCommandError('No custom prompt is configured for this shortcut. Add one in extension settings.', tab);
+        return;
+      }
+    }
+    
+    // Read the selection through the content script
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: ACTION_TYPES.GET_SELECTION
+    });
+    
+    if (!response?.selection) {
+      await showCommandError(ERROR_MESSAGES.NO_SELECTION, tab);
+      return;
+    }
+    
+    const selectionData = await getSelectionData(response.selection, tab);
+    await processSelection(selectionData, tab, { promptTemplate });
+    
+  } catch (error) {
+    console.error('Error handling keyboard command:', error);
+    await showCommandError('Cannot access current page. Try refreshing the page.', tab);
+  }
+});
+
+/**
+ * Resolve the prompt template for a run-prompt command
+ * @param {string} command - Command name from the manifest
+ * @returns {Promise<string|null>} Prompt template, or null if the prompt slot is empty
+ */
+async function getCommandPromptTemplate(command) {
+  const config = await Storage.loadConfig();
+  
+  const slot = parseInt(command.slice(COMMAND_PROMPT_PREFIX.length), 10);
+  return config.customPrompts?.[slot - 1]?.template || null;
+}
+
+/**
+ * Run the last selection again with the prompt it was last processed with
+ * @param {chrome.tabs.Tab} tab - Current tab
+ */
+async function rerunLastQuery(tab) {
+  const { lastSelection, lastResult } = await chrome.storage.local.get(['lastSelection', 'lastResult']);
+  
+  if (!lastSelection?.text) {
+    await showCommandError('There is no previous query to run again.', tab);
+    return;
+  }
+  
+  // Re-running asks for a fresh answer instead of the cached one
+  await processSelection(lastSelection, tab, {
+    promptTemplate: lastResult?.promptTemplate,
+    bypassCache: true
+  });
+}
+
+/**
+ * Report a problem with a keyboard command in the popup, or in the side panel
+ * if that is where results for the tab's page are shown
+ * @param {string} message - Error message
+ * @param {chrome.tabs.Tab} [tab] - Tab the command was run in
+ */
+async function showCommandError(message, tab) {
+  await chrome.storage.local.set({ lastError: message });
+  
+  if (getDisplayLocation(tab?.url) === 'sidepanel') {
+    broadcastMessage({ action: ACTION_TYPES.SHOW_ERROR, error: message });
+    return;
+  }
+  
+  try {
+    await chrome.action.openPopup();
+  } catch (popupError) {
+    console.error('Could not open popup:', popupError);
+  }
+}
+
+/**
+ * Build selection data with page context, falling back to basic tab info
+ * @param {string} text - Selected text
+ * @param {chrome.tabs.Tab} tab - Tab the text was selected in
+ * @returns {Promise<Object>} Text and context data
+ */
+async function getSelectionData(text, tab) {
+  const fallback = {
+    text,
+    context: {
+      title: tab.title || 'Unknown page',
+      url: tab.url || 'unknown',
+      timestamp: new Date().toISOString()
+    }
+  };
+  
+  try {
+    // Ask the content script to enhance the selection with page context
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: ACTION_TYPES.PROCESS_SELECTION,
+      selection: text
+    });
+    
+    return response?.enhancedSelection || fallback;
+  } catch (error) {
+    console.error('Error getting selection context:', error);
+    return fallback;
+  }
+}
+
+/**
+ * Explain an image on the page, or a screenshot of the tab, with a vision model
+ * @param {string} source - 'image' (the picture that was right-clicked) or 'screenshot' (the visible area)
+ * @param {chrome.tabs.Tab} tab - Current tab
+ * @param {string} [srcUrl] - Address of the picture
+ * @param {number} [frameId] - Frame the picture is in
+ */
+async function explainImage(source, tab, srcUrl, frameId) {
+  let selectionData;
+  try {
+    selectionData = await getImageData(source, tab, srcUrl, frameId);
+  } catch (error) {
+    console.error('Error capturing image:', error);
+    await showCommandError(error.message === ERROR_MESSAGES.IMAGE_UNAVAILABLE
+      ? error.message
+      : 'Cannot capture this page. Try refreshing the page.', tab);
+    return;
+  }
+  
+  await processSelection(selectionData, tab);
+}
+
+/**
+ * Load and prepare an image, and build the data processed like a selection
+ * @param {string} source - 'image' or 'screenshot' (see explainImage)
+ * @param {chrome.tabs.Tab} tab - Current tab
+ * @param {string} [srcUrl] - Address of the picture
+ * @param {number} [frameId] - Frame the picture is in
+ * @returns {Promise<Object>} Text (a label for the image), context and the prepared `image`
+ *   (see prepareImage) with its `source` and `url`
+ */
+async function getImageData(source, tab, srcUrl, frameId) {
+  // The screenshot is taken with the activeTab permission granted by the click or shortcut
+  const blob = source === 'screenshot'
+    ? await loadImage(await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' }))
+    : await loadPageImage(tab, srcUrl, frameId);
+  const image = await prepareImage(blob);
+  
+  return {
+    text: source === 'screenshot' ? `Screenshot: ${tab.title || 'visible area'}` : `Image: ${getImageName(srcUrl)}`,
+    context: {
+      title: tab.title || 'Unknown page',
+      url: tab.url || 'unknown',
+      timestamp: new Date().toISOString()
+    },
+    image: {
+      ...image,
+      source,
+      // Data and blob URLs are too long, or useless, to keep
+      url: source === 'image' && /^https?:/i.test(srcUrl) ? srcUrl : null
+    }
+  };
+}
+
+/**
+ * Load a picture on a page, fetching it from the page when the extension isn't allowed to
+ * 
+ * The extension can only download images from sites that allow it (CORS) or that it holds
+ * host permissions for. Fetched in the page, the request has the page's origin and cookies,
+ * so images from the same site and images behind a login load too.
+ * @param {chrome.tabs.Tab} tab - Tab showing the picture
+ * @param {string} srcUrl - Address of the picture
+ * @param {number} [frameId] - Frame the picture is in
+ * @returns {Promise<Blob>}
+ * @throws {Error} ERROR_MESSAGES.IMAGE_UNAVAILABLE if neither can fetch the image
+ */
+async function loadPageImage(tab, srcUrl, frameId) {
+  try {
+    return await loadImage(srcUrl);
+  } catch (error) {
+    let dataUrl = null;
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [frameId ?? 0] },
+        func: fetchImageInPage,
+        args: [srcUrl]
+      });
+      dataUrl = injection?.result;
+    } catch (injectionError) {
+      console.error('Error loading image in the page:', injectionError);
+    }
+    
+    if (!dataUrl) {
+      throw error;
+    }
+    
+    return loadImage(dataUrl);
+  }
+}
+
+/**
+ * Fetch an image with the page's origin and cookies; runs in the tab through chrome.scripting
+ * @param {string} url - Image address
+ * @returns {Promise<string|null>} The image as a data URL, or null if it can't be fetched
+ */
+async function fetchImageInPage(url) {
+  try {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      return null;
+    }
+    
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get a short name for an image from its address
+ * @param {string} [srcUrl] - Image address
+ * @returns {string} File name, host name, or a generic name for embedded images
+ */
+function getImageName(srcUrl) {
+  try {
+    const url = new URL(srcUrl);
+    if (!/^https?:$/.test(url.protocol)) {
+      return 'embedded image';
+    }
+    
+    return decodeURIComponent(url.pathname.split('/').pop()) || url.hostname;
+  } catch {
+    return 'image';
+  }
+}
+
+/**
+ * Describe an image for history and the last result, which keep a thumbnail instead of the image
+ * @param {Object|undefined} image - Image from getImageData
+ * @returns {Object|null} Thumbnail, source, url, width and height, or null without an image
+ */
+function describeImage(image) {
+  if (!image) {
+    return null;
+  }
+  
+  const { thumbnail, source, url, width, height } = image;
+  return { thumbnail, source, url, width, height };
+}
+
+/**
+ * Summarize the page in a tab, or answer a question about it
+ * @param {chrome.tabs.Tab} tab - Tab to read
+ * @param {Object} [options] - Options
+ * @param {string} [options.question] - Question about the page; without one the page is summarized
+ * @param {boolean} [options.bypassCache] - Ask the provider even if a cached response exists
+ */
+async function explainPage(tab, { question = '', bypassCache = false } = {}) {
+  let selectionData;
+  try {
+    selectionData = await getPageData(tab, question);
+  } catch (error) {
+    console.error('Error reading page:', error);
+    await showCommandError(error.message === ERROR_MESSAGES.NO_ARTICLE
+      ? error.message
+      : 'Cannot access current page. Try refreshing the page.', tab);
+    return;
+  }
+  
+  await processSelection(selectionData, tab, { bypassCache });
+}
+
+/**
+ * Read the main article of a tab, and build the data processed like a selection
+ * @param {chrome.tabs.Tab} tab - Tab to read
+ * @param {string} question - Question about the page, or '' for a summary
+ * @returns {Promise<Object>} Text (a label for the request, see getPageLabel), context and the `page`
+ *   (see extractArticle) with its `question`
+ * @throws {Error} ERROR_MESSAGES.NO_ARTICLE if the page has no readable text
+ */
+async function getPageData(tab, question) {
+  // Injected rather than asked of the content script, which isn't running in tabs opened before install
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: readArticle,
+    args: [chrome.runtime.getURL('src/content/article.js')]
+  });
+  const response = injection?.result;
+  
+  if (!response?.article?.content) {
+    throw new Error(ERROR_MESSAGES.NO_ARTICLE);
+  }
+  
+  const page = { ...response.article, question };
+  page.title = page.title || tab.title || 'Untitled page';
+  
+  return {
+    text: getPageLabel(page),
+    context: response.context,
+    page
+  };
+}
+
+/**
+ * Extract the main article in the page; runs in the tab through chrome.scripting
+ * @param {string} moduleUrl - URL of src/content/article.js
+ * @returns {Promise<Object>} The article (see extractArticle) and the page context
+ */
+async function readArticle(moduleUrl) {
+  const { extractArticle } = await import(moduleUrl);
+  
+  return {
+    article: extractArticle(),
+    context: {
+      title: document.title,
+      url: window.location.href,
+      hostname: window.location.hostname,
+      timestamp: new Date().toISOString(),
+      language: document.documentElement.lang || 'en'
+    }
+  };
+}
+
+/**
+ * Open the popup with its page question field focused
+ */
+async function askAboutPage() {
+  // Not awaited: openPopup must be called before any await, otherwise Chrome rejects it as
+  // not user-initiated. The write is queued first, and the popup reads and clears the flag once it has loaded
+  chrome.storage.local.set({ pageQuestionRequested: true }).catch(error => {
+    console.error('Error requesting page question:', error);
+  });
+  
+  try {
+    await chrome.action.openPopup();
+  } catch (popupError) {
+    console.error('Could not open popup:', popupError);
+  }
+}
+
+/**
+ * Describe a page for history and the last result, which don't keep the article text
+ * @param {Object|undefined} page - Page from getPageData
+ * @returns {Object|null} Title, question, length and whether the text was truncated, or null without a page
+ */
+function describePage(page) {
+  if (!page) {
+    return null;
+  }
+  
+  const { title, question, length, truncated } = page;
+  return { title, question, length, truncated };
+}
+
 /**
  * Process selected text with LLM and display result
- * @param {Object} selectionData - Text and context data
+ * @param {Object} selectionData - Text and context data, and the `image` to explain (see getImageData)
+ *   or the `page` to summarize or ask about (see getPageData)
  * @param {chrome.tabs.Tab} tab - Current tab
+ * @param {Object} [options] - Processing options
+ * @param {string} [options.promptTemplate] - Prompt template (defaults to config.defaultPrompt, or the prompt of a
+ *   matching site rule; IMAGE_PROMPT for images; pages use the prompts in summarize.js instead)
+ * @param {boolean} [options.bypassCache] - Ask the provider even if a cached response exists
  */
-async function processSelection(selectionData, tab) {
+async function processSelection(selectionData, tab, options = {}) {
+  const job = startJob();
+  let streaming = false;
+  let displayLocation = null;
+  
   try {
     // Store selection temporarily for popup access
     await chrome.storage.local.set({ 
       lastSelection: selectionData,
-      processing: true 
+      processing: true,
+      activeJobId: job.id,
+      partialResult: null
     });
     
-    // Get configuration
-    const config = await Storage.loadConfig();
-    const apiKey = await Storage.getApiKey(config.provider);
+    // Get configuration, with any rule for the page applied
+    const { config, rule } = applySiteRules(await Storage.loadConfig(), selectionData.context?.url);
+    if (rule?.disableExtension) {
+      throw new Error(ERROR_MESSAGES.SITE_DISABLED);
+    }
+    
+    // A missing key only stops the request when no fallback profile can take over
+    const apiKey = await Storage.getApiKey(config.profileId);
+    const requiresApiKey = getProvider(config.provider)?.capabilities.requiresApiKey ?? true;
+    const keyRequired = requiresApiKey && !canFallBack(config, 'auth');
     
-    if (!apiKey) {
-      const providerLabel = config.provider.charAt(0).toUpperCase() + config.provider.slice(1);
+    if (!apiKey && keyRequired && await KeyVault.isLocked()) {
+      throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+    }
+    
+    if (!apiKey && keyRequired) {
+      const providerLabel = getProviderLabel(config.provider);
       throw new Error(`${providerLabel} API key not configured. Please open extension settings and add your API key.`);
     }
     
-    // Process text with LLM
-    const result = await LLMAPI.processText(
-      selectionData.text,
-      selectionData.context,
-      { promptTemplate: config.defaultPrompt }
-    );
+    displayLocation = config.displayLocation;
+    const image = selectionData.image;
+    const page = selectionData.page;
+    const promptTemplate = page ? null : options.promptTemplate || (image ? IMAGE_PROMPT : config.defaultPrompt);
     
-    // Store result and update state
-    await chrome.storage.local.set({ 
-      lastResult: {
-        text: selectionData.text,
-        result: result,
-        context: selectionData.context,
-        timestamp: new Date().toISOString()
+    // Pages the content script can't run on fall back to the popup
+    if (displayLocation === 'inpage') {
+      if (await openInPageCard(job, tab)) {
+        job.tabId = tab.id;
+      } else {
+        displayLocation = 'popup';
+      }
+    }
+    
+    // Notifications can't show partial text, so they always wait for the full result
+    streaming = Boolean(config.streamResponses) && displayLocation !== 'notification';
+    
+    if (streaming) {
+      // Open the result view up front so tokens are visible as they arrive
+      await openResultView(displayLocation, tab);
+      
+      notifyJobViews(job, {
+        action: ACTION_TYPES.STREAM_START,
+        jobId: job.id,
+        selection: selectionData,
+        provider: config.provider,
+        model: config.model
+      });
+    }
+    
+    const requestOptions = {
+      bypassCache: Boolean(options.bypassCache),
+      onToken: streaming ? createStreamRelay(job) : undefined,
+      onRetry: ({ attempt, maxAttempts }) => {
+        notifyJobViews(job, { action: ACTION_TYPES.REQUEST_RETRY, jobId: job.id, attempt, maxAttempts });
       },
-      processing: false,
-      lastError: null
-    });
+      onFallback: ({ from, to }) => {
+        notifyJobViews(job, { action: ACTION_TYPES.REQUEST_FALLBACK, jobId: job.id, from: from.provider, to: to.provider });
+      },
+      signal: job.controller.signal
+    };
+    
+    // Process text with LLM, keeping the message list for follow-up questions
+    const { result, messages, cached, usage, answeredBy } = page
+      ? await LLMAPI.startPageConversation(page, selectionData.context, {
+        ...requestOptions,
+        onProgress: progress => {
+          notifyJobViews(job, { action: ACTION_TYPES.REQUEST_PROGRESS, jobId: job.id, ...progress });
+        }
+      })
+      : await LLMAPI.startConversation(selectionData.text, selectionData.context, {
+        ...requestOptions,
+        promptTemplate,
+        images: image ? [{ mediaType: image.mediaType, data: image.data }] : undefined
+      });
+    
+    // A request that was cancelled after its response arrived is discarded
+    if (!isActiveJob(job)) {
+      return;
+    }
     
     // Save to history if enabled
+    let historyEntry = null;
     if (config.saveHistory) {
-      await Storage.saveToHistory({
+      historyEntry = await Storage.saveToHistory({
         text: selectionData.text,
         result: result,
         context: selectionData.context,
-        provider: config.provider,
-        model: config.model
-      });
+        provider: answeredBy.provider,
+        model: answeredBy.model,
+        profileId: answeredBy.profileId,
+        fallback: answeredBy.fallback,
+        messages: withoutImages(messages),
+        image: describeImage(image),
+        page: describePage(page),
+        cached,
+        usage
+      }, { saveHistory: config.saveHistory });
     }
     
+    const lastResult = {
+      text: selectionData.text,
+      result: result,
+      context: selectionData.context,
+      provider: answeredBy.provider,
+      model: answeredBy.model,
+      profileId: answeredBy.profileId,
+      fallback: answeredBy.fallback,
+      messages,
+      image: describeImage(image),
+      page: describePage(page),
+      cached,
+      usage,
+      promptTemplate,
+      historyId: historyEntry ? historyEntry.id : null,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Store result and update state
+    await chrome.storage.local.set({ 
+      lastResult,
+      processing: false,
+      activeJobId: null,
+      partialResult: null,
+      lastError: null
+    });
+    
     // Display result based on configured location
-    await displayResult(result, selectionData, config.displayLocation, tab);
+    if (streaming && displayLocation === 'sidepanel') {
+      // A panel that was still loading missed the stream, so it gets the result on load instead
+      await deliverToSidePanel(
+        { result, metadata: lastResult },
+        { action: ACTION_TYPES.STREAM_END, jobId: job.id, data: lastResult }
+      );
+    } else if (streaming) {
+      notifyJobViews(job, { action: ACTION_TYPES.STREAM_END, jobId: job.id, data: lastResult });
+    } else {
+      await displayResult(result, lastResult, displayLocation, tab);
+    }
     
   } catch (error) {
+    // Stopped by the user or superseded by a newer selection
+    if (isAbortError(error) || !isActiveJob(job)) {
+      // A superseding request already owns the processing state
+      if (job.reason !== 'superseded') {
+        await chrome.storage.local.set({
+          processing: false,
+          activeJobId: null,
+          partialResult: null
+        });
+      }
+      return;
+    }
+    
     console.error('Error processing selection:', error);
     
     // Create detailed error message
@@ -148,15 +897,233 @@ async function processSelection(selectionData, tab) {
     await chrome.storage.local.set({ 
       lastError: errorMessage,
       processing: false,
+      activeJobId: null,
+      partialResult: null,
       lastResult: null
     });
     
+    // Views that are already open switch to the error state
+    if (streaming || displayLocation === 'sidepanel' || displayLocation === 'inpage') {
+      notifyJobViews(job, { action: ACTION_TYPES.SHOW_ERROR, error: errorMessage });
+      return;
+    }
+    
     // Show error in popup
     try {
       await chrome.action.openPopup();
     } catch (popupError) {
       console.error('Could not open popup:', popupError);
     }
+  } finally {
+    if (isActiveJob(job)) {
+      activeJob = null;
+    }
+  }
+}
+
+/**
+ * Start a new cancellable job, superseding any job still in flight
+ * @returns {Object} Job with `id`, abort `controller` and the `tabId` of its in-page card
+ */
+function startJob() {
+  if (activeJob) {
+    cancelJob(activeJob.id, 'superseded');
+  }
+  
+  activeJob = {
+    id: crypto.randomUUID(),
+    controller: new AbortController(),
+    reason: null,
+    tabId: null
+  };
+  return activeJob;
+}
+
+/**
+ * Cancel the active job
+ * @param {string} [jobId] - Only cancel if this is the active job's ID
+ * @param {string} reason - 'cancelled' (Stop button) or 'superseded' (newer selection)
+ * @returns {boolean} True if a job was cancelled
+ */
+function cancelJob(jobId, reason = 'cancelled') {
+  if (!activeJob || (jobId && activeJob.id !== jobId)) {
+    return false;
+  }
+  
+  const job = activeJob;
+  activeJob = null;
+  job.reason = reason;
+  job.controller.abort();
+  
+  notifyJobViews(job, { action: ACTION_TYPES.REQUEST_CANCELLED, jobId: job.id, reason });
+  return true;
+}
+
+/**
+ * Check whether a job is still the active one
+ * @param {Object} job - Job returned by startJob
+ * @returns {boolean}
+ */
+function isActiveJob(job) {
+  return activeJob === job;
+}
+
+/**
+ * Open the view that will receive streamed tokens
+ * @param {string} displayLocation - Where to show result
+ * @param {chrome.tabs.Tab} tab - Current tab
+ */
+async function openResultView(displayLocation, tab) {
+  // The side panel was already opened when the request was triggered,
+  // and the in-page card when processing started
+  if (displayLocation === 'sidepanel' || displayLocation === 'inpage') {
+    return;
+  }
+  
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    console.debug('Could not open result view:', error);
+  }
+}
+
+/**
+ * Show the in-page card in its loading state
+ * @param {Object} job - Job the card shows
+ * @param {chrome.tabs.Tab} tab - Tab to show the card in
+ * @returns {Promise<boolean>} True if the content script showed the card
+ */
+async function openInPageCard(job, tab) {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: ACTION_TYPES.SHOW_CARD,
+      jobId: job.id
+    });
+    return Boolean(response?.received);
+  } catch (error) {
+    console.debug('Could not show in-page card, falling back to popup:', error);
+    return false;
+  }
+}
+
+/**
+ * Open the side panel for a tab, falling back to the popup if unavailable
+ * @param {chrome.tabs.Tab} tab - Tab to open the side panel for
+ * @returns {Promise<boolean>} True if the side panel was opened
+ */
+async function openSidePanel(tab) {
+  try {
+    if (!chrome.sidePanel?.open || !tab) {
+      throw new Error('Side panel API not available');
+    }
+    
+    await chrome.sidePanel.open({ tabId: tab.id });
+    return true;
+  } catch (error) {
+    console.debug('Could not open side panel, falling back to popup:', error);
+    
+    try {
+      await chrome.action.openPopup();
+    } catch (popupError) {
+      console.error('Could not open popup:', popupError);
+    }
+    return false;
+  }
+}
+
+/**
+ * Send a result to the side panel, queueing it if the panel isn't listening yet
+ * @param {Object} data - Result data ({ result, metadata })
+ * @param {Object} [message] - Message to send instead of NEW_RESULT; the panel must acknowledge it
+ */
+async function deliverToSidePanel(data, message = { action: ACTION_TYPES.NEW_RESULT, data }) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    
+    if (response?.received) {
+      return;
+    }
+  } catch {
+    // Side panel isn't open yet
+  }
+  
+  await queuePendingResult(data);
+}
+
+/**
+ * Add a result to the pending-results store
+ * @param {Object} data - Result data ({ result, metadata })
+ */
+async function queuePendingResult(data) {
+  try {
+    const { pendingResults = [] } = await chrome.storage.session.get('pendingResults');
+    pendingResults.push(data);
+    
+    await chrome.storage.session.set({
+      pendingResults: pendingResults.slice(-MAX_PENDING_RESULTS)
+    });
+  } catch (error) {
+    console.error('Error queueing pending result:', error);
+  }
+}
+
+/**
+ * Remove and return all pending results
+ * @returns {Promise<Array>} Pending results, oldest first
+ */
+async function takePendingResults() {
+  const { pendingResults = [] } = await chrome.storage.session.get('pendingResults');
+  await chrome.storage.session.remove('pendingResults');
+  return pendingResults;
+}
+
+/**
+ * Create a token callback that relays streamed text to open extension views
+ * @param {Object} job - Job the stream belongs to
+ * @returns {Function} Callback receiving (delta, fullText)
+ */
+function createStreamRelay(job) {
+  let lastPersisted = 0;
+  
+  return (delta, text) => {
+    // Chunks already in flight when the job was cancelled are dropped
+    if (!isActiveJob(job)) {
+      return;
+    }
+    
+    notifyJobViews(job, { action: ACTION_TYPES.STREAM_CHUNK, jobId: job.id, delta, text });
+    
+    // Persist partial text periodically so views opened mid-stream can catch up
+    const now = Date.now();
+    if (now - lastPersisted >= STREAM_PERSIST_INTERVAL) {
+      lastPersisted = now;
+      chrome.storage.local.set({ partialResult: text }).catch(console.error);
+    }
+  };
+}
+
+/**
+ * Send a message to any open extension views (popup, side panel)
+ * @param {Object} message - Message to send
+ */
+function broadcastMessage(message) {
+  chrome.runtime.sendMessage(message).catch(() => {
+    // No extension views are open to receive the message
+  });
+}
+
+/**
+ * Send a job update to open extension views and to the job's in-page card
+ * @param {Object} job - Job the message is about
+ * @param {Object} message - Message to send
+ */
+function notifyJobViews(job, message) {
+  broadcastMessage(message);
+  
+  if (job.tabId !== null) {
+    chrome.tabs.sendMessage(job.tabId, message).catch(() => {
+      // The tab was closed or navigated away
+    });
   }
 }
 
@@ -189,10 +1156,21 @@ async function displayResult(result, metadata, displayLocation, tab) {
       }
       break;
       
+    case 'inpage':
+      // The card was opened in its loading state when processing started
+      await chrome.tabs.sendMessage(tab.id, {
+        action: ACTION_TYPES.SHOW_RESULT,
+        result,
+        metadata
+      });
+      break;
+      
     case 'sidepanel':
-      // TODO: Implement side panel display
-      // For now, fallback to popup
-      await chrome.action.openPopup();
+      // The panel itself was opened when the request was triggered
+      await deliverToSidePanel({
+        result,
+        metadata
+      });
       break;
       
     default:
@@ -206,7 +1184,7 @@ async function displayResult(result, metadata, displayLocation, tab) {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
     case ACTION_TYPES.GET_SELECTION:
-      chrome.storage.local.get(['lastSelection', 'lastResult', 'lastError', 'processing'])
+      chrome.storage.local.get(['lastSelection', 'lastResult', 'lastError', 'processing', 'activeJobId', 'partialResult'])
         .then(data => sendResponse(data))
         .catch(error => {
           console.error('Error getting selection:', error);
@@ -214,6 +1192,31 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
       return true;
       
+    case ACTION_TYPES.GET_PENDING_RESULTS:
+      takePendingResults()
+        .then(results => sendResponse({ results }))
+        .catch(error => {
+          console.error('Error getting pending results:', error);
+          sendResponse({ results: [], error: error.message });
+        });
+      return true;
+      
+    case ACTION_TYPES.CANCEL_REQUEST:
+      sendResponse({ cancelled: cancelJob(message.jobId) });
+      return false;
+      
+    case ACTION_TYPES.EXPLAIN_PAGE:
+      // Page requests from the popup run here, so closing the popup doesn't stop them and the
+      // result is saved like any other; the response is sent once the job has finished
+      chrome.tabs.get(message.tabId)
+        .then(tab => explainPage(tab, { question: message.question || '', bypassCache: Boolean(message.bypassCache) }))
+        .then(() => sendResponse({ done: true }))
+        .catch(error => {
+          console.error('Error explaining page:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+      
     case ACTION_TYPES.UPDATE_STATUS:
       updateExtensionStatus();
       sendResponse({ success: true });
@@ -231,11 +1234,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function updateExtensionStatus() {
   try {
     const config = await Storage.loadConfig();
-    const apiKey = await Storage.getApiKey(config.provider);
+    const apiKey = await Storage.getApiKey(config.profileId);
+    const requiresApiKey = getProvider(config.provider)?.capabilities.requiresApiKey ?? true;
     
-    if (apiKey) {
+    if (apiKey || !requiresApiKey) {
       chrome.action.setBadgeText({ text: '✓' });
       chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+    } else if (await KeyVault.isLocked()) {
+      chrome.action.setBadgeText({ text: '🔒' });
+      chrome.action.setBadgeBackgroundColor({ color: '#FF9800' });
     } else {
       chrome.action.setBadgeText({ text: '!' });
       chrome.action.setBadgeBackgroundColor({ color: '#f44336' });
@@ -0,0 +1,350 @@
+/**
+ * Chrome Copilot - History Database
+ *
+ * This module stores query history in IndexedDB so it can hold thousands of
+ * entries without rewriting the whole list on every save. Entries are keyed
+ * by an auto-incremented ID and indexed by timestamp, hostname and provider.
+ * History saved by older versions in chrome.storage.local is moved into the
+ * database the first time it is opened.
+ */
+
+import { STORAGE_KEYS } from '../core/constants.js';
+
+const DB_NAME = 'chrome-copilot';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+
+// Shared connection, opened on first use
+let dbPromise = null;
+
+/**
+ * History database class
+ */
+export class HistoryDB {
+  /**
+   * Open the database, creating the store and migrating legacy history if needed
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('hostname', 'hostname');
+          store.createIndex('provider', 'provider');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+        .then(async db => {
+          // Another version of the extension wants to upgrade; let it
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          
+          await this.migrateFromStorage(db);
+          return db;
+        })
+        .catch(error => {
+          dbPromise = null;
+          throw error;
+        });
+    }
+    
+    return dbPromise;
+  }
+  
+  /**
+   * Add an entry
+   * @param {Object} entry - History entry without an ID
+   * @returns {Promise<Object>} Stored entry with its new ID
+   */
+  static async add(entry) {
+    const record = { ...entry };
+    delete record.id;
+    
+    const id = await this.run('readwrite', store => store.add(record));
+    return { ...record, id };
+  }
+  
+  /**
+   * Get an entry by ID
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  static async get(id) {
+    const entry = await this.run('readonly', store => store.get(id));
+    return entry || null;
+  }
+  
+  /**
+   * Get entries, newest first
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Maximum number of entries to return
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getAll({ limit = Infinity } = {}) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const transaction = db.transaction(STORE_NAME, 'readonly');
+      const request = transaction.objectStore(STORE_NAME).index('timestamp').openCursor(null, 'prev');
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && entries.length < limit) {
+          entries.push(cursor.value);
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(entries);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  /**
+   * Merge fields into an entry
+   * @param {number} id - Entry ID
+   * @param {Object} updates - Fields to merge
+   * @returns {Promise<boolean>} True if the entry was found and updated
+   */
+  static async update(id, updates) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      let found = false;
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.get(id);
+      
+      request.onsuccess = () => {
+        if (request.result) {
+          found = true;
+          store.put({ ...request.result, ...updates, id });
+        }
+      };
+      transaction.oncomplete = () => resolve(found);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  /**
+   * Delete an entry
+   * @param {number} id - Entry ID
+   * @returns {Promise<void>}
+   */
+  static async delete(id) {
+    await this.run('readwrite', store => store.delete(id));
+  }
+  
+  /**
+   * Delete all entries
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await this.run('readwrite', store => store.clear());
+  }
+  
+  /**
+   * Count entries
+   * @returns {Promise<number>}
+   */
+  static count() {
+    return this.run('readonly', store => store.count());
+  }
+  
+  /**
+   * Delete the oldest entries beyond a maximum count
+   * @param {number} maxItems - Number of entries to keep
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  static async prune(maxItems) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      let deleted = 0;
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const countRequest = store.count();
+      
+      countRequest.onsuccess = () => {
+        const excess = countRequest.result - maxItems;
+        if (excess <= 0) return;
+        
+        // Walk from the oldest entry, deleting until only maxItems remain
+        const cursorRequest = store.index('timestamp').openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor && deleted < excess) {
+            cursor.delete();
+            deleted++;
+            cursor.continue();
+          }
+        };
+      };
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  /**
+   * Add imported entries under new IDs, so they never replace local entries
+   *
+   * Entries already in the database (same timestamp and text) are skipped, so
+   * importing a backup twice doesn't duplicate it. Entries without a timestamp
+   * are dated at import time, since the timestamp index lists and prunes entries.
+   * @param {Array<Object>} entries - History entries from an export
+   * @returns {Promise<number>} Number of entries added
+   */
+  static async importAll(entries) {
+    const db = await this.open();
+    const importedAt = new Date().toISOString();
+    
+    return new Promise((resolve, reject) => {
+      let added = 0;
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const existingRequest = store.getAll();
+      
+      existingRequest.onsuccess = () => {
+        const seen = new Set(existingRequest.result.map(getEntryKey));
+        
+        entries.filter(entry => entry && typeof entry === 'object').forEach(entry => {
+          const record = {
+            ...entry,
+            timestamp: typeof entry.timestamp === 'string' && entry.timestamp ? entry.timestamp : importedAt,
+            hostname: entry.hostname || getEntryHostname(entry)
+          };
+          delete record.id;
+          
+          const key = getEntryKey(record);
+          if (seen.has(key)) return;
+          
+          seen.add(key);
+          store.add(record);
+          added++;
+        });
+      };
+      transaction.oncomplete = () => resolve(added);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  /**
+   * Move history saved in chrome.storage.local by older versions into the database
+   * @param {IDBDatabase} db - Open database
+   * @returns {Promise<void>}
+   */
+  static async migrateFromStorage(db) {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
+      const legacyHistory = result[STORAGE_KEYS.HISTORY];
+      if (!Array.isArray(legacyHistory)) {
+        return;
+      }
+      
+      await this.putEntries(db, legacyHistory);
+      await chrome.storage.local.remove(STORAGE_KEYS.HISTORY);
+      console.debug(`Migrated ${legacyHistory.length} history entries to IndexedDB`);
+    } catch (error) {
+      // Leave the legacy history in place so the next open retries
+      console.error('Error migrating history:', error);
+    }
+  }
+  
+  /**
+   * Write entries in one transaction, keeping their IDs where possible
+   *
+   * Older versions used Date.now() as the ID, so entries saved in the same
+   * millisecond share one. Duplicates get the next free ID instead; this is
+   * deterministic, so running it twice writes the same records.
+   * @param {IDBDatabase} db - Open database
+   * @param {Array<Object>} entries - History entries
+   * @returns {Promise<void>}
+   */
+  static putEntries(db, entries) {
+    const usedIds = new Set();
+    const records = entries.map(entry => {
+      const record = { ...entry, hostname: entry.hostname || getEntryHostname(entry) };
+      
+      if (typeof record.id === 'number' && record.id > 0) {
+        while (usedIds.has(record.id)) {
+          record.id++;
+        }
+        usedIds.add(record.id);
+      } else {
+        delete record.id;
+      }
+      
+      return record;
+    });
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      records.forEach(record => store.put(record));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  /**
+   * Run a single request in its own transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} createRequest - Creates the request from the object store
+   * @returns {Promise<*>} Request result, once the transaction has completed
+   */
+  static async run(mode, createRequest) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Get the key that identifies an entry across exports, since IDs differ between databases
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+function getEntryKey(entry) {
+  return `${entry.timestamp}\n${entry.text}`;
+}
+
+/**
+ * Get the website an entry came from
+ * @param {Object} entry - History entry
+ * @returns {string} Hostname, or '' if unknown
+ */
+export function getEntryHostname(entry) {
+  if (entry.hostname) {
+    return entry.hostname;
+  }
+  
+  if (entry.context?.hostname) {
+    return entry.context.hostname;
+  }
+  
+  try {
+    return new URL(entry.context?.url).hostname;
+  } catch {
+    return '';
+  }
+}
\ No newline at end of file
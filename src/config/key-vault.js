@@ -0,0 +1,463 @@
+/**
+ * Chrome Copilot - API Key Vault
+ *
+ * This module optionally encrypts API keys with AES-GCM under a key derived
+ * from a user passphrase (PBKDF2). Only ciphertext is written to
+ * chrome.storage.local. Unlocking decrypts the keys into
+ * chrome.storage.session, which lives in memory, is not readable by content
+ * scripts and is cleared when the browser closes. The session also ends once
+ * the lock timeout passes without the keys being used.
+ */
+
+import { ERROR_MESSAGES, STORAGE_KEYS } from '../core/constants.js';
+
+/**
+ * Storage keys used by the vault
+ */
+const VAULT_KEY = STORAGE_KEYS.KEY_VAULT;
+const SESSION_KEY = STORAGE_KEYS.KEY_VAULT_SESSION;
+
+// Prefix of plain-text keys saved while the vault is off
+const PLAIN_KEY_PREFIX = 'apiKey_';
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Known plain text encrypted at setup, used to check a passphrase
+const VERIFIER_TEXT = 'chrome-copilot-key-vault';
+
+/**
+ * Lock timeout choices in minutes (0 locks only when the browser closes)
+ * @type {Array<{value: number, label: string}>}
+ */
+export const VAULT_LOCK_TIMEOUTS = [
+  { value: 5, label: '5 minutes' },
+  { value: 15, label: '15 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 240, label: '4 hours' },
+  { value: 0, label: 'When the browser closes' }
+];
+
+const DEFAULT_LOCK_MINUTES = 15;
+
+/**
+ * Key vault class
+ */
+export class KeyVault {
+  /**
+   * Check whether API keys are stored encrypted
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled() {
+    return Boolean(await this.loadVault());
+  }
+  
+  /**
+   * Check whether the vault is on but not unlocked
+   * @returns {Promise<boolean>}
+   */
+  static async isLocked() {
+    return (await this.isEnabled()) && !(await this.getSession());
+  }
+  
+  /**
+   * Get the vault state for display
+   * @returns {Promise<{enabled: boolean, unlocked: boolean, lockMinutes: number, expiresAt: number|null}>}
+   */
+  static async getStatus() {
+    const vault = await this.loadVault();
+    const session = vault ? await this.getSession() : null;
+    
+    return {
+      enabled: Boolean(vault),
+      unlocked: Boolean(session),
+      lockMinutes: vault?.lockMinutes ?? DEFAULT_LOCK_MINUTES,
+      expiresAt: session?.expiresAt ?? null
+    };
+  }
+  
+  /**
+   * Turn on encryption, moving any plain-text keys into the vault
+   * @param {string} passphrase - New passphrase
+   * @param {number} [lockMinutes] - Lock timeout in minutes
+   * @returns {Promise<void>}
+   */
+  static async enable(passphrase, lockMinutes = DEFAULT_LOCK_MINUTES) {
+    if (await this.isEnabled()) {
+      throw new Error('API key encryption is already on');
+    }
+    
+    // Encrypt the keys saved so far
+    const stored = await chrome.storage.local.get(null);
+    const plainKeys = {};
+    Object.keys(stored)
+      .filter(key => key.startsWith(PLAIN_KEY_PREFIX) && stored[key])
+      .forEach(key => {
+        plainKeys[key.slice(PLAIN_KEY_PREFIX.length)] = stored[key];
+      });
+    
+    const { vault, cryptoKey } = await createVault(passphrase, plainKeys, lockMinutes);
+    
+    await chrome.storage.local.set({ [VAULT_KEY]: vault });
+    await chrome.storage.local.remove(Object.keys(plainKeys).map(provider => `${PLAIN_KEY_PREFIX}${provider}`));
+    await this.startSession(cryptoKey, plainKeys, lockMinutes);
+    console.debug('API key encryption enabled');
+  }
+  
+  /**
+   * Turn off encryption, storing the keys in plain text again
+   * @param {string} passphrase - Current passphrase
+   * @returns {Promise<void>}
+   */
+  static async disable(passphrase) {
+    const vault = await this.requireVault();
+    const { keys } = await this.decryptVault(vault, passphrase);
+    
+    const plainKeys = {};
+    Object.entries(keys).forEach(([provider, apiKey]) => {
+      plainKeys[`${PLAIN_KEY_PREFIX}${provider}`] = apiKey;
+    });
+    
+    await chrome.storage.local.set(plainKeys);
+    await chrome.storage.local.remove(VAULT_KEY);
+    await this.lock();
+    console.debug('API key encryption disabled');
+  }
+  
+  /**
+   * Unlock the vault for the current browser session
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase is wrong
+   */
+  static async unlock(passphrase) {
+    const vault = await this.requireVault();
+    const { cryptoKey, keys } = await this.decryptVault(vault, passphrase);
+    
+    await this.startSession(cryptoKey, keys, vault.lockMinutes);
+    console.debug('Key vault unlocked');
+  }
+  
+  /**
+   * Lock the vault, removing decrypted keys from the session
+   * @returns {Promise<void>}
+   */
+  static async lock() {
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+  
+  /**
+   * Set how long the vault stays unlocked without use
+   * @param {number} lockMinutes - Minutes, or 0 to lock only when the browser closes
+   * @returns {Promise<void>}
+   */
+  static async setLockTimeout(lockMinutes) {
+    const vault = await this.requireVault();
+    await chrome.storage.local.set({ [VAULT_KEY]: { ...vault, lockMinutes } });
+    
+    const session = await this.getSession();
+    if (session) {
+      await this.saveSession({ ...session, expiresAt: getExpiry(lockMinutes) });
+    }
+  }
+  
+  /**
+   * Get a decrypted API key
+   * @param {string} provider - LLM provider
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.extend=false] - Restart the lock timer; only for requests the user started,
+   *   so status checks don't keep the vault unlocked
+   * @returns {Promise<string|null>} API key, or null if none is saved or the vault is locked
+   */
+  static async getKey(provider, { extend = false } = {}) {
+    const session = await this.getSession();
+    if (!session) {
+      return null;
+    }
+    
+    // Using a key for a request keeps the vault unlocked
+    if (extend) {
+      const vault = await this.loadVault();
+      await this.saveSession({ ...session, expiresAt: getExpiry(vault?.lockMinutes) });
+    }
+    
+    return session.keys[provider] || null;
+  }
+  
+  /**
+   * Encrypt and save an API key
+   * @param {string} provider - LLM provider
+   * @param {string} apiKey - API key
+   * @returns {Promise<void>}
+   * @throws {Error} If the vault is locked
+   */
+  static async setKey(provider, apiKey) {
+    const vault = await this.requireVault();
+    const session = await this.getSession();
+    if (!session) {
+      throw new Error(ERROR_MESSAGES.VAULT_LOCKED);
+    }
+    
+    const cryptoKey = await importKey(session.cryptoKey);
+    vault.keys[provider] = await encrypt(cryptoKey, apiKey, provider);
+    
+    await chrome.storage.local.set({ [VAULT_KEY]: vault });
+    await this.saveSession({
+      ...session,
+      keys: { ...session.keys, [provider]: apiKey },
+      expiresAt: getExpiry(vault.lockMinutes)
+    });
+  }
+  
+  /**
+   * Delete an API key (works while locked)
+   * @param {string} provider - LLM provider
+   * @returns {Promise<void>}
+   */
+  static async deleteKey(provider) {
+    const vault = await this.requireVault();
+    delete vault.keys[provider];
+    await chrome.storage.local.set({ [VAULT_KEY]: vault });
+    
+    const session = await this.getSession();
+    if (session) {
+      const keys = { ...session.keys };
+      delete keys[provider];
+      await this.saveSession({ ...session, keys });
+    }
+  }
+  
+  /**
+   * List the IDs that have an encrypted key (works while locked)
+   * @returns {Promise<Array<string>>}
+   */
+  static async getKeyIds() {
+    const vault = await this.loadVault();
+    return vault ? Object.keys(vault.keys) : [];
+  }
+  
+  /**
+   * Get the unlocked session, locking the vault if it has expired
+   * @returns {Promise<Object|null>} Session ({ cryptoKey, keys, expiresAt }) or null
+   */
+  static async getSession() {
+    const result = await chrome.storage.session.get(SESSION_KEY);
+    const session = result[SESSION_KEY];
+    if (!session) {
+      return null;
+    }
+    
+    if (session.expiresAt && Date.now() > session.expiresAt) {
+      await this.lock();
+      return null;
+    }
+    
+    return session;
+  }
+  
+  /**
+   * Store decrypted keys in the session
+   * @param {CryptoKey} cryptoKey - Vault encryption key
+   * @param {Object} keys - Decrypted API keys by provider
+   * @param {number} lockMinutes - Lock timeout in minutes
+   * @returns {Promise<void>}
+   */
+  static async startSession(cryptoKey, keys, lockMinutes) {
+    await this.saveSession({
+      cryptoKey: toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKey))),
+      keys,
+      expiresAt: getExpiry(lockMinutes)
+    });
+  }
+  
+  /**
+   * Write the session
+   * @param {Object} session - Session data
+   * @returns {Promise<void>}
+   */
+  static async saveSession(session) {
+    await chrome.storage.session.set({ [SESSION_KEY]: session });
+  }
+  
+  /**
+   * Derive the key from a passphrase and decrypt every API key
+   * @param {Object} vault - Stored vault
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<{cryptoKey: CryptoKey, keys: Object}>}
+   * @throws {Error} If the passphrase is wrong
+   */
+  static async decryptVault(vault, passphrase) {
+    const cryptoKey = await deriveKey(passphrase || '', fromBase64(vault.salt), vault.iterations);
+    
+    try {
+      await decrypt(cryptoKey, vault.verifier, VERIFIER_TEXT);
+    } catch {
+      throw new Error('Incorrect passphrase');
+    }
+    
+    const keys = {};
+    for (const [provider, encrypted] of Object.entries(vault.keys)) {
+      keys[provider] = await decrypt(cryptoKey, encrypted, provider);
+    }
+    
+    return { cryptoKey, keys };
+  }
+  
+  /**
+   * Load the stored vault
+   * @returns {Promise<Object|null>}
+   */
+  static async loadVault() {
+    const result = await chrome.storage.local.get(VAULT_KEY);
+    return result[VAULT_KEY] || null;
+  }
+  
+  /**
+   * Load the stored vault, failing if encryption is off
+   * @returns {Promise<Object>}
+   */
+  static async requireVault() {
+    const vault = await this.loadVault();
+    if (!vault) {
+      throw new Error('API key encryption is not turned on');
+    }
+    return vault;
+  }
+}
+
+/**
+ * Encrypt API keys under a new passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} plainKeys - API keys by provider
+ * @param {number} lockMinutes - Lock timeout in minutes
+ * @returns {Promise<{vault: Object, cryptoKey: CryptoKey}>}
+ */
+async function createVault(passphrase, plainKeys, lockMinutes) {
+  validatePassphrase(passphrase);
+  
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  
+  const vault = {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    lockMinutes,
+    verifier: await encrypt(cryptoKey, VERIFIER_TEXT, VERIFIER_TEXT),
+    keys: {}
+  };
+  for (const [provider, apiKey] of Object.entries(plainKeys)) {
+    vault.keys[provider] = await encrypt(cryptoKey, apiKey, provider);
+  }
+  
+  return { vault, cryptoKey };
+}
+
+/**
+ * Check that a passphrase is long enough to resist guessing
+ * @param {string} passphrase - Passphrase
+ * @throws {Error} If the passphrase is too short
+ */
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < 8) {
+    throw new Error('Passphrase must be at least 8 characters');
+  }
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  
+  // Extractable so the unlocked key can be kept in session storage
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Import a raw AES-GCM key saved in the session
+ * @param {string} rawKey - Base64-encoded key
+ * @returns {Promise<CryptoKey>}
+ */
+function importKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt text
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {string} text - Plain text
+ * @param {string} label - Bound to the ciphertext, so it can't be moved to another provider
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encrypt(cryptoKey, text, label) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(label) },
+    cryptoKey,
+    new TextEncoder().encode(text)
+  );
+  
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt text
+ * @param {CryptoKey} cryptoKey - AES-GCM key
+ * @param {{iv: string, data: string}} encrypted - Encrypted value
+ * @param {string} label - Label used when encrypting
+ * @returns {Promise<string>}
+ */
+async function decrypt(cryptoKey, encrypted, label) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(encrypted.iv), additionalData: new TextEncoder().encode(label) },
+    cryptoKey,
+    fromBase64(encrypted.data)
+  );
+  
+  return new TextDecoder().decode(data);
+}
+
+/**
+ * Get the time at which an unused session locks
+ * @param {number} [lockMinutes] - Lock timeout in minutes
+ * @returns {number|null} Timestamp, or null to stay unlocked until the browser closes
+ */
+function getExpiry(lockMinutes = DEFAULT_LOCK_MINUTES) {
+  return lockMinutes > 0 ? Date.now() + lockMinutes * 60 * 1000 : null;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
\ No newline at end of file
@@ -5,12 +5,19 @@
  */
 
 import { Storage } from './storage.js';
+import { KeyVault, VAULT_LOCK_TIMEOUTS } from './key-vault.js';
 import { LLMAPI } from '../api/api.js';
+import { ResponseCache } from '../api/cache.js';
+import { UsageLedger, formatDay } from '../api/usage.js';
+import { getProvider, getProviders, getProviderLabel } from '../api/registry.js';
+import { createProfile } from './profiles.js';
+import { FALLBACK_FAILURES } from '../api/fallback.js';
+import { createSiteRule } from './site-rules.js';
 import { 
-  PROVIDERS, 
   THEMES, 
   DISPLAY_LOCATIONS,
-  DEFAULT_CONFIG 
+  DEFAULT_CONFIG,
+  STORAGE_KEYS
 } from '../core/constants.js';
 
 /**
@@ -21,6 +28,13 @@ class OptionsController {
     this.currentConfig = null;
     this.unsavedChanges = false;
     this.customPrompts = [];
+    this.siteRules = [];
+    this.profiles = [];
+    this.profileId = null;
+    this.fallbackProfileIds = [];
+    // API keys typed for each profile, saved with the rest of the settings
+    this.apiKeys = {};
+    this.removedProfileIds = [];
     
     // Initialize when DOM is loaded
     document.addEventListener('DOMContentLoaded', () => this.init());
@@ -52,6 +66,10 @@ class OptionsController {
       
       // Load storage usage info
       await this.updateStorageInfo();
+      await this.updateShortcutsList();
+      await this.updateCacheStats();
+      await this.updateUsageDashboard();
+      await this.updateVaultStatus();
       
     } catch (error) {
       console.error('Failed to initialize options page:', error);
@@ -65,6 +83,12 @@ class OptionsController {
   async loadConfiguration() {
     this.currentConfig = await Storage.loadConfig();
     this.customPrompts = [...(this.currentConfig.customPrompts || [])];
+    this.siteRules = structuredClone(this.currentConfig.siteRules || []);
+    this.profiles = structuredClone(this.currentConfig.profiles || DEFAULT_CONFIG.profiles);
+    this.profileId = this.currentConfig.profileId || this.profiles[0].id;
+    this.fallbackProfileIds = [...(this.currentConfig.fallbackProfileIds || [])];
+    this.apiKeys = {};
+    this.removedProfileIds = [];
     this.unsavedChanges = false;
   }
   
@@ -103,15 +127,82 @@ class OptionsController {
    * Set up form elements and inputs
    */
   setupFormElements() {
-    // Provider dropdown change handler
+    // Profile dropdown switches the profile being edited
+    const profileSelect = document.getElementById('profile');
+    profileSelect.addEventListener('change', async () => {
+      this.saveProfileForm();
+      this.profileId = profileSelect.value;
+      await this.showProfile();
+    });
+    
+    document.getElementById('addProfile').addEventListener('click', () => {
+      this.addProfile();
+    });
+    
+    document.getElementById('deleteProfile').addEventListener('click', () => {
+      this.deleteProfile();
+    });
+    
+    // Profile name updates the dropdown as it is typed
+    const profileName = document.getElementById('profileName');
+    profileName.addEventListener('input', () => {
+      const profile = this.getCurrentProfile();
+      if (profile) {
+        profile.name = profileName.value;
+        profileSelect.options[profileSelect.selectedIndex].textContent = profileName.value || 'Unnamed profile';
+      }
+    });
+    
+    // Provider dropdown lists every registered provider
     const providerSelect = document.getElementById('provider');
-    providerSelect.addEventListener('change', async () => {
-      this.updateModelOptions();
+    getProviders().forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.label;
+      providerSelect.appendChild(option);
+    });
+    
+    // One checkbox per failure type that can trigger a fallback
+    const fallbackFailures = document.getElementById('fallbackFailures');
+    FALLBACK_FAILURES.forEach(failure => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      label.innerHTML = `
+        <input type="checkbox" class="form-checkbox fallback-failure" value="${failure.value}">
+        <span class="checkbox-text">${failure.label}</span>
+      `;
+      fallbackFailures.appendChild(label);
+    });
+    
+    // Provider dropdown change handler
+    providerSelect.addEventListener('change', () => {
       this.toggleEndpointField();
-      await this.loadApiKey();
+      this.updateModelOptions();
       this.markUnsavedChanges();
     });
     
+    // Local servers list the models installed at the entered address
+    document.getElementById('endpoint').addEventListener('change', () => {
+      if (getProvider(providerSelect.value)?.listModels) {
+        this.updateModelOptions();
+      }
+    });
+    
+    // A newly entered API key can load the provider's model list
+    document.getElementById('apiKey').addEventListener('change', () => {
+      if (getProvider(providerSelect.value)?.listModels) {
+        this.updateModelOptions();
+      }
+    });
+    
+    // Fetch the provider's current model list
+    const refreshModelsBtn = document.getElementById('refreshModels');
+    refreshModelsBtn.addEventListener('click', async () => {
+      refreshModelsBtn.disabled = true;
+      await this.updateModelOptions({ refresh: true });
+      refreshModelsBtn.disabled = !getProvider(providerSelect.value)?.listModels;
+    });
+    
     // API key visibility toggle
     const toggleBtn = document.getElementById('toggleApiKey');
     const apiKeyInput = document.getElementById('apiKey');
@@ -125,6 +216,14 @@ class OptionsController {
       }
     });
     
+    // Temperature range display
+    const temperatureRange = document.getElementById('temperature');
+    const temperatureValue = document.getElementById('temperatureValue');
+    temperatureRange.addEventListener('input', () => {
+      temperatureValue.textContent = temperatureRange.value;
+      this.markUnsavedChanges();
+    });
+    
     // History limit range display
     const historyRange = document.getElementById('maxHistoryItems');
     const historyValue = document.getElementById('historyValue');
@@ -133,6 +232,30 @@ class OptionsController {
       this.markUnsavedChanges();
     });
     
+    // Request timeout range display
+    const timeoutRange = document.getElementById('requestTimeout');
+    const timeoutValue = document.getElementById('timeoutValue');
+    timeoutRange.addEventListener('input', () => {
+      timeoutValue.textContent = timeoutRange.value;
+      this.markUnsavedChanges();
+    });
+    
+    // Retry attempts range display
+    const retryRange = document.getElementById('retryAttempts');
+    const retryValue = document.getElementById('retryValue');
+    retryRange.addEventListener('input', () => {
+      retryValue.textContent = retryRange.value;
+      this.markUnsavedChanges();
+    });
+    
+    // Cache lifetime range display
+    const cacheTtlRange = document.getElementById('cacheTtlHours');
+    const cacheTtlValue = document.getElementById('cacheTtlValue');
+    cacheTtlRange.addEventListener('input', () => {
+      cacheTtlValue.textContent = cacheTtlRange.value;
+      this.markUnsavedChanges();
+    });
+    
     // Import file handler
     const importFile = document.getElementById('importFile');
     const importBtn = document.getElementById('importData');
@@ -178,6 +301,15 @@ class OptionsController {
       this.addCustomPrompt();
     });
     
+    // Add site rule button
+    document.getElementById('addSiteRule').addEventListener('click', () => {
+      this.addSiteRule();
+    });
+    
+    document.getElementById('addFallback').addEventListener('click', () => {
+      this.addFallback();
+    });
+    
     // Export data button
     document.getElementById('exportData').addEventListener('click', () => {
       this.exportData();
@@ -188,6 +320,54 @@ class OptionsController {
       this.importData();
     });
     
+    // Keyboard shortcuts are edited on Chrome's own shortcuts page
+    document.getElementById('editShortcuts').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    
+    // API key encryption
+    document.getElementById('enableVault').addEventListener('click', () => {
+      this.enableVault();
+    });
+    
+    document.getElementById('unlockVault').addEventListener('click', () => {
+      this.unlockVault();
+    });
+    
+    document.getElementById('lockVault').addEventListener('click', () => {
+      this.lockVault();
+    });
+    
+    document.getElementById('disableVault').addEventListener('click', () => {
+      this.disableVault();
+    });
+    
+    document.getElementById('vaultLockTimeout').addEventListener('change', (e) => {
+      this.setVaultLockTimeout(Number(e.target.value));
+    });
+    
+    // The vault can lock itself while the page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const session = changes[STORAGE_KEYS.KEY_VAULT_SESSION];
+      if (areaName === 'session' && session && Boolean(session.oldValue) !== Boolean(session.newValue)) {
+        this.updateVaultStatus().catch(console.error);
+      }
+    });
+    
+    // Clear response cache button
+    document.getElementById('clearCache').addEventListener('click', () => {
+      this.clearCache();
+    });
+    
+    // Usage dashboard period and reset
+    document.getElementById('usageRange').addEventListener('change', () => {
+      this.updateUsageDashboard();
+    });
+    
+    document.getElementById('clearUsage').addEventListener('click', () => {
+      this.clearUsage();
+    });
+    
     // Clear history button
     document.getElementById('clearHistoryBtn').addEventListener('click', () => {
       this.clearHistory();
@@ -204,8 +384,10 @@ class OptionsController {
       chrome.tabs.create({ url: 'https://github.com/yourusername/chrome-copilot#readme' });
     });
     
-    // Form input listeners for change detection
-    const formInputs = document.querySelectorAll('input, select, textarea');
+    // Form input listeners for change detection (encryption controls apply immediately,
+    // and the usage period and fallback picker are not settings)
+    const formInputs = Array.from(document.querySelectorAll('input, select, textarea'))
+      .filter(input => !input.closest('.vault-controls') && !['usageRange', 'fallbackAdd'].includes(input.id));
     formInputs.forEach(input => {
       input.addEventListener('change', () => this.markUnsavedChanges());
       input.addEventListener('input', () => this.markUnsavedChanges());
@@ -218,26 +400,24 @@ class OptionsController {
   async updateUI() {
     if (!this.currentConfig) return;
     
-    // Provider selection
-    const providerSelect = document.getElementById('provider');
-    providerSelect.value = this.currentConfig.provider || DEFAULT_CONFIG.provider;
-    
-    // Model selection (will be populated by updateModelOptions)
-    await this.updateModelOptions();
-    
-    // API endpoint
-    const endpointInput = document.getElementById('endpoint');
-    endpointInput.value = this.currentConfig.endpoint || DEFAULT_CONFIG.endpoint;
-    this.toggleEndpointField();
-    
-    // Default prompt
-    const defaultPrompt = document.getElementById('defaultPrompt');
-    defaultPrompt.value = this.currentConfig.defaultPrompt || DEFAULT_CONFIG.defaultPrompt;
+    // Profiles (provider, model, endpoint, API key, temperature, default prompt)
+    this.updateProfileOptions();
+    await this.showProfile();
     
     // Custom prompts
     this.customPrompts = [...(this.currentConfig.customPrompts || DEFAULT_CONFIG.customPrompts)];
     this.updateCustomPromptsUI();
     
+    // Site rules
+    this.siteRules = structuredClone(this.currentConfig.siteRules || []);
+    this.updateSiteRulesUI();
+    
+    // Failures that trigger a fallback
+    const fallbackOn = this.currentConfig.fallbackOn || DEFAULT_CONFIG.fallbackOn;
+    document.querySelectorAll('.fallback-failure').forEach(checkbox => {
+      checkbox.checked = fallbackOn.includes(checkbox.value);
+    });
+    
     // Theme
     const themeSelect = document.getElementById('theme');
     themeSelect.value = this.currentConfig.theme || DEFAULT_CONFIG.theme;
@@ -245,10 +425,13 @@ class OptionsController {
     // Display location
     const displaySelect = document.getElementById('displayLocation');
     displaySelect.value = this.currentConfig.displayLocation || DEFAULT_CONFIG.displayLocation;
+    document.getElementById('mathCopyFormat').value = this.currentConfig.mathCopyFormat || DEFAULT_CONFIG.mathCopyFormat;
     
     // Checkboxes
     document.getElementById('autoCopy').checked = this.currentConfig.autoCopy || DEFAULT_CONFIG.autoCopy;
+    document.getElementById('streamResponses').checked = this.currentConfig.streamResponses ?? DEFAULT_CONFIG.streamResponses;
     document.getElementById('saveHistory').checked = this.currentConfig.saveHistory || DEFAULT_CONFIG.saveHistory;
+    document.getElementById('cacheResponses').checked = this.currentConfig.cacheResponses ?? DEFAULT_CONFIG.cacheResponses;
     document.getElementById('showNotifications').checked = this.currentConfig.showNotifications || false;
     
     // History limit
@@ -258,42 +441,208 @@ class OptionsController {
     historyRange.value = maxItems;
     historyValue.textContent = maxItems;
     
-    // Load API key for current provider
-    await this.loadApiKey();
+    // Request timeout
+    const timeoutRange = document.getElementById('requestTimeout');
+    const timeoutValue = document.getElementById('timeoutValue');
+    const timeout = this.currentConfig.requestTimeout || DEFAULT_CONFIG.requestTimeout;
+    timeoutRange.value = timeout;
+    timeoutValue.textContent = timeout;
+    
+    // Retry attempts
+    const retryRange = document.getElementById('retryAttempts');
+    const retryValue = document.getElementById('retryValue');
+    const retryAttempts = this.currentConfig.retryAttempts || DEFAULT_CONFIG.retryAttempts;
+    retryRange.value = retryAttempts;
+    retryValue.textContent = retryAttempts;
+    
+    // Cache lifetime
+    const cacheTtlRange = document.getElementById('cacheTtlHours');
+    const cacheTtlValue = document.getElementById('cacheTtlValue');
+    const cacheTtl = this.currentConfig.cacheTtlHours || DEFAULT_CONFIG.cacheTtlHours;
+    cacheTtlRange.value = cacheTtl;
+    cacheTtlValue.textContent = cacheTtl;
+    
+    // Monthly budget
+    document.getElementById('monthlyBudget').value = this.currentConfig.monthlyBudget ?? DEFAULT_CONFIG.monthlyBudget;
+    document.getElementById('budgetWarningPercent').value = this.currentConfig.budgetWarningPercent ?? DEFAULT_CONFIG.budgetWarningPercent;
     
     // Clear unsaved changes flag
     this.unsavedChanges = false;
   }
   
+  /**
+   * Get the profile being edited
+   * @returns {Object|null}
+   */
+  getCurrentProfile() {
+    return this.profiles.find(profile => profile.id === this.profileId) || null;
+  }
+  
+  /**
+   * Populate the profile dropdown
+   */
+  updateProfileOptions() {
+    const profileSelect = document.getElementById('profile');
+    profileSelect.innerHTML = '';
+    
+    this.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name || 'Unnamed profile';
+      profileSelect.appendChild(option);
+    });
+    
+    profileSelect.value = this.profileId;
+    document.getElementById('deleteProfile').disabled = this.profiles.length <= 1;
+    
+    // Site rules and fallbacks list the profiles by name
+    this.updateSiteRulesUI();
+    this.updateFallbackUI();
+  }
+  
+  /**
+   * Fill the profile fields from the profile being edited
+   */
+  async showProfile() {
+    const profile = this.getCurrentProfile();
+    if (!profile) return;
+    
+    document.getElementById('profileName').value = profile.name || '';
+    document.getElementById('provider').value = profile.provider;
+    
+    // API key and endpoint (local servers list their models with them)
+    await this.loadApiKey();
+    document.getElementById('endpoint').value = profile.endpoint || '';
+    this.toggleEndpointField();
+    
+    // Model selection (will be populated by updateModelOptions)
+    await this.updateModelOptions();
+    
+    // Temperature
+    const temperature = profile.temperature ?? DEFAULT_CONFIG.temperature;
+    document.getElementById('temperature').value = temperature;
+    document.getElementById('temperatureValue').textContent = temperature;
+    
+    // Default prompt
+    document.getElementById('defaultPrompt').value = profile.defaultPrompt || DEFAULT_CONFIG.defaultPrompt;
+  }
+  
+  /**
+   * Copy the profile fields back into the profile being edited
+   */
+  saveProfileForm() {
+    const profile = this.getCurrentProfile();
+    if (!profile) return;
+    
+    profile.name = document.getElementById('profileName').value.trim();
+    profile.provider = document.getElementById('provider').value;
+    profile.model = document.getElementById('model').value;
+    profile.endpoint = document.getElementById('endpoint').value.trim();
+    profile.temperature = parseFloat(document.getElementById('temperature').value);
+    profile.defaultPrompt = document.getElementById('defaultPrompt').value.trim() || DEFAULT_CONFIG.defaultPrompt;
+    
+    this.apiKeys[profile.id] = document.getElementById('apiKey').value.trim();
+  }
+  
+  /**
+   * Add a profile and start editing it
+   */
+  async addProfile() {
+    this.saveProfileForm();
+    
+    const profile = createProfile({ name: `New profile ${this.profiles.length + 1}` });
+    this.profiles.push(profile);
+    this.profileId = profile.id;
+    
+    this.updateProfileOptions();
+    await this.showProfile();
+    document.getElementById('profileName').select();
+    this.markUnsavedChanges();
+  }
+  
+  /**
+   * Delete the profile being edited
+   */
+  async deleteProfile() {
+    const profile = this.getCurrentProfile();
+    if (!profile || this.profiles.length <= 1) return;
+    
+    if (!confirm(`Delete the profile "${profile.name || 'Unnamed profile'}" and its API key?`)) {
+      return;
+    }
+    
+    this.profiles = this.profiles.filter(item => item !== profile);
+    this.fallbackProfileIds = this.fallbackProfileIds.filter(id => id !== profile.id);
+    this.removedProfileIds.push(profile.id);
+    delete this.apiKeys[profile.id];
+    this.profileId = this.profiles[0].id;
+    
+    this.updateProfileOptions();
+    await this.showProfile();
+    this.markUnsavedChanges();
+  }
+  
   /**
    * Update model dropdown based on selected provider
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh] - Fetch the provider's model list even if a cached one is fresh
    */
-  async updateModelOptions() {
+  async updateModelOptions({ refresh = false } = {}) {
     const providerSelect = document.getElementById('provider');
     const modelSelect = document.getElementById('model');
     const modelHint = document.getElementById('modelHint');
     
     const provider = providerSelect.value;
-    const providerInfo = PROVIDERS.find(p => p.value === provider);
+    const providerInfo = getProvider(provider);
+    
+    // Only providers that can list their models can be refreshed
+    document.getElementById('refreshModels').disabled = !providerInfo?.listModels;
     
     // Clear existing options
     modelSelect.innerHTML = '';
     
     if (providerInfo) {
+      let models = providerInfo.models;
+      let hint = `${providerInfo.label} models available`;
+      
+      // Ask the provider for its current models (cached for a day unless refreshing)
+      if (providerInfo.listModels) {
+        modelHint.textContent = `Loading models from ${providerInfo.label}...`;
+        const apiKey = document.getElementById('apiKey').value.trim();
+        const list = await LLMAPI.listModels(provider, {
+          apiKey,
+          endpoint: document.getElementById('endpoint').value.trim(),
+          refresh
+        });
+        
+        // The provider may have changed while the list was loading
+        if (providerSelect.value !== provider) return;
+        
+        models = list.models;
+        hint = this.getModelListHint(providerInfo, list, apiKey);
+      }
+      
+      // Keep the profile's model even if the list doesn't include it
+      const currentModel = this.getCurrentProfile()?.provider === provider ? this.getCurrentProfile().model : null;
+      if (currentModel && !models.includes(currentModel)) {
+        models = [currentModel, ...models];
+      }
+      
       // Add provider's models
-      providerInfo.models.forEach(model => {
+      modelSelect.innerHTML = '';
+      models.forEach(model => {
         const option = document.createElement('option');
         option.value = model;
         option.textContent = model;
         modelSelect.appendChild(option);
       });
       
-      // Set selected model
-      const currentModel = this.currentConfig?.model || DEFAULT_CONFIG.model;
-      modelSelect.value = currentModel;
+      modelSelect.value = models.includes(currentModel)
+        ? currentModel
+        : (models.includes(providerInfo.defaultModel) ? providerInfo.defaultModel : models[0]);
       
       // Update hint
-      modelHint.textContent = `${providerInfo.label} models available`;
+      modelHint.textContent = hint;
     } else {
       // Custom provider
       const option = document.createElement('option');
@@ -305,34 +654,69 @@ class OptionsController {
     }
   }
   
+  /**
+   * Describe where the model list came from
+   * @param {Object} providerInfo - Registered provider
+   * @param {Object} list - Result of LLMAPI.listModels
+   * @param {string} apiKey - API key entered for the profile
+   * @returns {string} Hint text
+   */
+  getModelListHint(providerInfo, list, apiKey) {
+    if (list.source === 'live') {
+      return `${list.models.length} models available from ${providerInfo.label}`;
+    }
+    
+    if (list.source === 'cache') {
+      return `${providerInfo.label} models as of ${new Date(list.fetchedAt).toLocaleString()}. Click Refresh to update.`;
+    }
+    
+    if (!apiKey && providerInfo.capabilities.requiresApiKey) {
+      return `Built-in ${providerInfo.label} model list. Enter your API key and click Refresh to load the current one.`;
+    }
+    
+    return `Could not reach ${providerInfo.label}; showing the built-in model list`;
+  }
+  
   /**
    * Toggle API endpoint field visibility
    */
   toggleEndpointField() {
     const providerSelect = document.getElementById('provider');
     const endpointGroup = document.getElementById('endpointGroup');
+    const endpointInput = document.getElementById('endpoint');
+    const endpointHint = document.getElementById('endpointHint');
+    const providerInfo = getProvider(providerSelect.value);
     
-    if (providerSelect.value === 'custom') {
+    if (providerInfo?.capabilities.requiresEndpoint) {
+      endpointGroup.classList.remove('hidden');
+      endpointInput.placeholder = 'https://api.example.com/v1/chat/completions';
+      endpointHint.textContent = 'Full URL to your custom API endpoint.';
+    } else if (providerInfo?.capabilities.customEndpoint) {
+      // Local servers have a default address that can be overridden
       endpointGroup.classList.remove('hidden');
+      endpointInput.placeholder = providerInfo.defaultEndpoint;
+      endpointHint.textContent = `Optional. Leave empty to use ${providerInfo.defaultEndpoint}.`;
     } else {
       endpointGroup.classList.add('hidden');
     }
   }
   
   /**
-   * Load API key for current provider
+   * Load API key for the profile being edited
    */
   async loadApiKey() {
-    const providerSelect = document.getElementById('provider');
     const apiKeyInput = document.getElementById('apiKey');
     const apiKeyHint = document.getElementById('apiKeyHint');
     
-    const apiKey = await Storage.getApiKey(providerSelect.value);
+    const apiKey = this.apiKeys[this.profileId] ?? await Storage.getApiKey(this.profileId);
     apiKeyInput.value = apiKey || '';
     
     if (apiKeyHint) {
-      if (!apiKey) {
-        apiKeyHint.textContent = `No API key configured for ${providerSelect.options[providerSelect.selectedIndex].text}. Please enter your API key.`;
+      if (!apiKey && await KeyVault.isLocked()) {
+        apiKeyHint.textContent = 'API keys are encrypted and locked. Unlock them below to view or change this key.';
+        apiKeyHint.style.color = 'var(--color-warning)';
+      } else if (!apiKey) {
+        apiKeyHint.textContent = `No API key configured for ${this.getCurrentProfile()?.name || 'this profile'}. Please enter your API key.`;
         apiKeyHint.style.color = 'var(--color-warning)';
       } else {
         apiKeyHint.textContent = 'API key configured. Click the eye icon to view.';
@@ -437,59 +821,349 @@ class OptionsController {
     }
   }
   
+  /**
+   * Update site rules UI
+   */
+  updateSiteRulesUI() {
+    const container = document.getElementById('siteRulesContainer');
+    container.innerHTML = '';
+    
+    if (this.siteRules.length === 0) {
+      container.innerHTML = `
+        <div class="empty-prompts">
+          <p>No site rules yet. Every site uses your global settings.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    this.siteRules.forEach((rule, index) => {
+      container.appendChild(this.createSiteRuleElement(rule, index));
+    });
+  }
+  
+  /**
+   * Create a site rule UI element
+   */
+  createSiteRuleElement(rule, index) {
+    const element = document.createElement('div');
+    element.className = 'site-rule';
+    element.innerHTML = `
+      <div class="site-rule-header">
+        <input type="text" class="form-input site-rule-pattern" placeholder="Site, e.g. github.com or *.intranet.example">
+        <button type="button" class="btn btn-small btn-danger delete-site-rule">
+          🗑️ Delete
+        </button>
+      </div>
+      <label class="checkbox-label">
+        <input type="checkbox" class="form-checkbox site-rule-disable">
+        <span class="checkbox-text">Turn off Chrome Copilot on this site</span>
+      </label>
+      <fieldset class="site-rule-overrides">
+        <div class="site-rule-row">
+          <label>Profile:</label>
+          <select class="form-select site-rule-profile">
+            <option value="">Active profile</option>
+          </select>
+        </div>
+        <div class="site-rule-row">
+          <label>Show results in:</label>
+          <select class="form-select site-rule-display">
+            <option value="">Default</option>
+          </select>
+        </div>
+        <div class="site-rule-row">
+          <label>History:</label>
+          <select class="form-select site-rule-history">
+            <option value="">Default</option>
+            <option value="save">Save</option>
+            <option value="skip">Don't save</option>
+          </select>
+        </div>
+        <textarea class="form-textarea site-rule-prompt" rows="3"
+                  placeholder="Prompt for this site, e.g. Explain this code: {text} (leave empty to use the default prompt)"></textarea>
+      </fieldset>
+    `;
+    
+    const patternInput = element.querySelector('.site-rule-pattern');
+    const disableInput = element.querySelector('.site-rule-disable');
+    const overrides = element.querySelector('.site-rule-overrides');
+    const profileSelect = element.querySelector('.site-rule-profile');
+    const displaySelect = element.querySelector('.site-rule-display');
+    const historySelect = element.querySelector('.site-rule-history');
+    const promptInput = element.querySelector('.site-rule-prompt');
+    
+    this.profiles.forEach(profile => {
+      profileSelect.appendChild(new Option(profile.name || 'Unnamed profile', profile.id));
+    });
+    
+    DISPLAY_LOCATIONS.forEach(location => {
+      displaySelect.appendChild(new Option(location.label, location.value));
+    });
+    
+    // Values are set as properties so user text never becomes markup
+    patternInput.value = rule.pattern || '';
+    disableInput.checked = Boolean(rule.disableExtension);
+    overrides.disabled = disableInput.checked;
+    profileSelect.value = this.profiles.some(profile => profile.id === rule.profileId) ? rule.profileId : '';
+    displaySelect.value = rule.displayLocation || '';
+    historySelect.value = rule.saveHistory === true ? 'save' : rule.saveHistory === false ? 'skip' : '';
+    promptInput.value = rule.promptTemplate || '';
+    
+    patternInput.addEventListener('input', () => {
+      this.updateSiteRule(index, 'pattern', patternInput.value);
+    });
+    
+    disableInput.addEventListener('change', () => {
+      overrides.disabled = disableInput.checked;
+      this.updateSiteRule(index, 'disableExtension', disableInput.checked);
+    });
+    
+    profileSelect.addEventListener('change', () => {
+      this.updateSiteRule(index, 'profileId', profileSelect.value);
+    });
+    
+    displaySelect.addEventListener('change', () => {
+      this.updateSiteRule(index, 'displayLocation', displaySelect.value);
+    });
+    
+    historySelect.addEventListener('change', () => {
+      const saveHistory = { save: true, skip: false }[historySelect.value];
+      this.updateSiteRule(index, 'saveHistory', saveHistory ?? null);
+    });
+    
+    promptInput.addEventListener('input', () => {
+      this.updateSiteRule(index, 'promptTemplate', promptInput.value);
+    });
+    
+    element.querySelector('.delete-site-rule').addEventListener('click', () => {
+      this.deleteSiteRule(index);
+    });
+    
+    return element;
+  }
+  
+  /**
+   * Add a new site rule
+   */
+  addSiteRule() {
+    this.siteRules.push(createSiteRule());
+    this.updateSiteRulesUI();
+    
+    const patterns = document.querySelectorAll('.site-rule-pattern');
+    patterns[patterns.length - 1]?.focus();
+    this.markUnsavedChanges();
+  }
+  
+  /**
+   * Update a site rule
+   */
+  updateSiteRule(index, field, value) {
+    if (this.siteRules[index]) {
+      this.siteRules[index][field] = value;
+      this.markUnsavedChanges();
+    }
+  }
+  
+  /**
+   * Delete a site rule
+   */
+  deleteSiteRule(index) {
+    if (confirm('Delete this site rule?')) {
+      this.siteRules.splice(index, 1);
+      this.updateSiteRulesUI();
+      this.markUnsavedChanges();
+    }
+  }
+  
+  /**
+   * Render the fallback profiles and the profiles that can still be added
+   */
+  updateFallbackUI() {
+    const list = document.getElementById('fallbackList');
+    const addSelect = document.getElementById('fallbackAdd');
+    list.innerHTML = '';
+    addSelect.innerHTML = '';
+    
+    this.fallbackProfileIds.forEach((profileId, index) => {
+      const profile = this.profiles.find(item => item.id === profileId);
+      if (!profile) return;
+      
+      const item = document.createElement('li');
+      item.className = 'fallback-item';
+      item.innerHTML = `
+        <span class="fallback-name"></span>
+        <button type="button" class="btn btn-small btn-secondary move-up" title="Try earlier">↑</button>
+        <button type="button" class="btn btn-small btn-secondary move-down" title="Try later">↓</button>
+        <button type="button" class="btn btn-small btn-danger remove-fallback" title="Remove">✕</button>
+      `;
+      item.querySelector('.fallback-name').textContent =
+        `${profile.name || 'Unnamed profile'} (${getProviderLabel(profile.provider)})`;
+      item.querySelector('.move-up').disabled = index === 0;
+      item.querySelector('.move-down').disabled = index === this.fallbackProfileIds.length - 1;
+      
+      item.querySelector('.move-up').addEventListener('click', () => this.moveFallback(index, -1));
+      item.querySelector('.move-down').addEventListener('click', () => this.moveFallback(index, 1));
+      item.querySelector('.remove-fallback').addEventListener('click', () => this.removeFallback(index));
+      list.appendChild(item);
+    });
+    
+    this.profiles
+      .filter(profile => !this.fallbackProfileIds.includes(profile.id))
+      .forEach(profile => {
+        addSelect.appendChild(new Option(profile.name || 'Unnamed profile', profile.id));
+      });
+    
+    addSelect.disabled = addSelect.options.length === 0;
+    document.getElementById('addFallback').disabled = addSelect.options.length === 0;
+  }
+  
+  /**
+   * Add the profile chosen in the picker to the end of the fallback list
+   */
+  addFallback() {
+    const profileId = document.getElementById('fallbackAdd').value;
+    if (!profileId) return;
+    
+    this.fallbackProfileIds.push(profileId);
+    this.updateFallbackUI();
+    this.markUnsavedChanges();
+  }
+  
+  /**
+   * Move a fallback profile up or down the list
+   * @param {number} index - Position in the list
+   * @param {number} offset - -1 to try it earlier, 1 to try it later
+   */
+  moveFallback(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.fallbackProfileIds.length) return;
+    
+    const ids = this.fallbackProfileIds;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    this.updateFallbackUI();
+    this.markUnsavedChanges();
+  }
+  
+  /**
+   * Remove a profile from the fallback list
+   * @param {number} index - Position in the list
+   */
+  removeFallback(index) {
+    this.fallbackProfileIds.splice(index, 1);
+    this.updateFallbackUI();
+    this.markUnsavedChanges();
+  }
+  
   /**
    * Save configuration to storage
    */
   async saveConfiguration() {
     try {
       // Collect form values
-      const provider = document.getElementById('provider').value;
-      const apiKey = document.getElementById('apiKey').value.trim();
-      const model = document.getElementById('model').value;
-      const endpoint = document.getElementById('endpoint').value.trim();
-      const defaultPrompt = document.getElementById('defaultPrompt').value.trim();
+      this.saveProfileForm();
+      const profile = this.getCurrentProfile();
       const theme = document.getElementById('theme').value;
       const displayLocation = document.getElementById('displayLocation').value;
+      const mathCopyFormat = document.getElementById('mathCopyFormat').value;
       const autoCopy = document.getElementById('autoCopy').checked;
+      const streamResponses = document.getElementById('streamResponses').checked;
       const saveHistory = document.getElementById('saveHistory').checked;
       const showNotifications = document.getElementById('showNotifications').checked;
       const maxHistoryItems = parseInt(document.getElementById('maxHistoryItems').value);
+      const requestTimeout = parseInt(document.getElementById('requestTimeout').value);
+      const retryAttempts = parseInt(document.getElementById('retryAttempts').value);
+      const cacheResponses = document.getElementById('cacheResponses').checked;
+      const cacheTtlHours = parseInt(document.getElementById('cacheTtlHours').value);
+      const monthlyBudget = parseFloat(document.getElementById('monthlyBudget').value) || 0;
+      const budgetWarningPercent = parseInt(document.getElementById('budgetWarningPercent').value);
       
-      // Validate required fields
-      if (!provider) {
-        throw new Error('Please select an LLM provider');
+      if (monthlyBudget < 0) {
+        throw new Error('The monthly budget cannot be negative');
       }
       
-      if (!apiKey && provider !== 'custom') {
-        throw new Error('API key is required for this provider');
+      if (!(budgetWarningPercent >= 1 && budgetWarningPercent <= 100)) {
+        throw new Error('The budget warning must be between 1 and 100 percent');
       }
       
-      if (!model) {
-        throw new Error('Please select a model');
+      // Validate every profile
+      for (const item of this.profiles) {
+        const providerInfo = getProvider(item.provider);
+        const label = item.name || 'Unnamed profile';
+        
+        if (!item.name) {
+          throw new Error('Every profile needs a name');
+        }
+        
+        if (!providerInfo) {
+          throw new Error(`Please select an LLM provider for ${label}`);
+        }
+        
+        if (!item.model) {
+          throw new Error(`Please select a model for ${label}`);
+        }
+        
+        if (providerInfo.capabilities.requiresEndpoint && !item.endpoint) {
+          throw new Error(`API endpoint is required for ${label}`);
+        }
       }
       
-      if (provider === 'custom' && !endpoint) {
-        throw new Error('API endpoint is required for custom provider');
+      // Site rules need a pattern; rules for deleted profiles fall back to the active one
+      const siteRules = this.siteRules.map((rule, index) => {
+        const pattern = rule.pattern.trim();
+        if (!pattern) {
+          throw new Error(`Site rule ${index + 1} needs a site pattern`);
+        }
+        
+        const profileId = this.profiles.some(item => item.id === rule.profileId) ? rule.profileId : '';
+        return { ...rule, pattern, profileId, promptTemplate: rule.promptTemplate.trim() };
+      });
+      
+      // The profile in use needs a key (a locked vault may already hold it)
+      if (!this.apiKeys[profile.id] && getProvider(profile.provider).capabilities.requiresApiKey && !(await KeyVault.isLocked())) {
+        throw new Error('API key is required for this provider');
       }
       
-      // Build config object
+      // Build config object; the profile being edited becomes the active one
       const config = {
-        provider,
-        model,
-        endpoint: provider === 'custom' ? endpoint : (endpoint || DEFAULT_CONFIG.endpoint),
-        defaultPrompt: defaultPrompt || DEFAULT_CONFIG.defaultPrompt,
+        provider: profile.provider,
+        model: profile.model,
+        endpoint: profile.endpoint,
+        temperature: profile.temperature,
+        defaultPrompt: profile.defaultPrompt,
+        profiles: this.profiles,
+        activeProfileId: profile.id,
+        profileId: profile.id,
         customPrompts: this.customPrompts,
+        siteRules,
+        fallbackProfileIds: this.fallbackProfileIds.filter(id => this.profiles.some(item => item.id === id)),
+        fallbackOn: Array.from(document.querySelectorAll('.fallback-failure:checked'), checkbox => checkbox.value),
         theme,
         displayLocation,
+        mathCopyFormat,
         autoCopy,
+        streamResponses,
         saveHistory,
         showNotifications,
-        maxHistoryItems
+        maxHistoryItems,
+        requestTimeout,
+        retryAttempts,
+        cacheResponses,
+        cacheTtlHours,
+        cacheMaxEntries: this.currentConfig.cacheMaxEntries || DEFAULT_CONFIG.cacheMaxEntries,
+        monthlyBudget,
+        budgetWarningPercent
       };
       
-      // Save API key separately
-      if (apiKey) {
-        await Storage.saveApiKey(provider, apiKey);
+      // Save API keys separately, one per profile
+      for (const [profileId, apiKey] of Object.entries(this.apiKeys)) {
+        if (apiKey) {
+          await Storage.saveApiKey(profileId, apiKey);
+        }
+      }
+      
+      for (const profileId of this.removedProfileIds) {
+        await Storage.deleteApiKey(profileId);
       }
       
       // Save configuration
@@ -497,7 +1171,10 @@ class OptionsController {
       
       // Update current config
       this.currentConfig = config;
+      this.apiKeys = {};
+      this.removedProfileIds = [];
       this.unsavedChanges = false;
+      await this.updateUsageDashboard();
       
       // Show success message
       this.showStatus('Settings saved successfully!', 'success');
@@ -551,7 +1228,7 @@ class OptionsController {
       const model = document.getElementById('model').value;
       const endpoint = document.getElementById('endpoint').value.trim();
       
-      if (!apiKey) {
+      if (!apiKey && getProvider(provider)?.capabilities.requiresApiKey !== false) {
         throw new Error('Please enter an API key first');
       }
       
@@ -598,22 +1275,8 @@ class OptionsController {
    * Show API key help
    */
   showApiKeyHelp() {
-    const provider = document.getElementById('provider').value;
-    let helpUrl = '';
-    
-    switch (provider) {
-      case 'openai':
-        helpUrl = 'https://platform.openai.com/api-keys';
-        break;
-      case 'anthropic':
-        helpUrl = 'https://console.anthropic.com/settings/keys';
-        break;
-      case 'deepseek':
-        helpUrl = 'https://platform.deepseek.com/api-keys';
-        break;
-      default:
-        helpUrl = 'https://github.com/yourusername/chrome-copilot#api-key-setup';
-    }
+    const provider = getProvider(document.getElementById('provider').value);
+    const helpUrl = provider?.apiKeyUrl || 'https://github.com/yourusername/chrome-copilot#api-key-setup';
     
     chrome.tabs.create({ url: helpUrl });
   }
@@ -694,6 +1357,189 @@ class OptionsController {
     }
   }
   
+  /**
+   * Show the keyboard commands and their current shortcuts
+   */
+  async updateShortcutsList() {
+    try {
+      const commands = await chrome.commands.getAll();
+      const list = document.getElementById('shortcutsList');
+      list.innerHTML = '';
+      
+      commands
+        .filter(command => command.description)
+        .forEach(command => {
+          const item = document.createElement('li');
+          item.className = 'shortcut-item';
+          
+          const description = document.createElement('span');
+          description.textContent = command.description;
+          
+          const shortcut = document.createElement('kbd');
+          shortcut.className = command.shortcut ? 'shortcut-key' : 'shortcut-key shortcut-unset';
+          shortcut.textContent = command.shortcut || 'Not set';
+          
+          item.append(description, shortcut);
+          list.appendChild(item);
+        });
+    } catch (error) {
+      console.error('Error loading keyboard shortcuts:', error);
+    }
+  }
+  
+  /**
+   * Clear cached responses
+   */
+  async clearCache() {
+    try {
+      await ResponseCache.clear();
+      await this.updateCacheStats();
+      this.showStatus('Response cache cleared', 'success');
+    } catch (error) {
+      console.error('Error clearing response cache:', error);
+      this.showStatus('Failed to clear response cache', 'error');
+    }
+  }
+  
+  /**
+   * Show the API key encryption controls for the current vault state
+   */
+  async updateVaultStatus() {
+    try {
+      const status = await KeyVault.getStatus();
+      const statusText = document.getElementById('vaultStatus');
+      
+      document.getElementById('vaultSetup').classList.toggle('hidden', status.enabled);
+      document.getElementById('vaultManage').classList.toggle('hidden', !status.enabled);
+      
+      if (!status.enabled) {
+        statusText.textContent = 'API keys are stored unencrypted. Set a passphrase to encrypt them; you will need it to unlock the keys each browser session.';
+        return;
+      }
+      
+      statusText.textContent = status.unlocked
+        ? 'API keys are encrypted and unlocked for this browser session.'
+        : 'API keys are encrypted and locked. Enter your passphrase to unlock them.';
+      
+      document.getElementById('unlockVault').classList.toggle('hidden', status.unlocked);
+      document.getElementById('lockVault').disabled = !status.unlocked;
+      
+      const timeoutSelect = document.getElementById('vaultLockTimeout');
+      timeoutSelect.innerHTML = '';
+      VAULT_LOCK_TIMEOUTS.forEach(timeout => {
+        const option = document.createElement('option');
+        option.value = timeout.value;
+        option.textContent = timeout.label;
+        timeoutSelect.appendChild(option);
+      });
+      timeoutSelect.value = status.lockMinutes;
+    } catch (error) {
+      console.error('Error loading key vault status:', error);
+    }
+  }
+  
+  /**
+   * Encrypt API keys under a new passphrase
+   */
+  async enableVault() {
+    const passphraseInput = document.getElementById('vaultNewPassphrase');
+    const confirmInput = document.getElementById('vaultConfirmPassphrase');
+    
+    try {
+      if (passphraseInput.value !== confirmInput.value) {
+        throw new Error('Passphrases do not match');
+      }
+      
+      await KeyVault.enable(passphraseInput.value);
+      passphraseInput.value = '';
+      confirmInput.value = '';
+      
+      await this.updateVaultStatus();
+      this.showStatus('API keys encrypted. Keep your passphrase safe; it cannot be recovered.', 'success');
+    } catch (error) {
+      console.error('Error enabling key vault:', error);
+      this.showStatus(`Failed to encrypt API keys: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Unlock API keys with the entered passphrase
+   */
+  async unlockVault() {
+    const passphraseInput = document.getElementById('vaultPassphrase');
+    
+    try {
+      await KeyVault.unlock(passphraseInput.value);
+      passphraseInput.value = '';
+      
+      await this.updateVaultStatus();
+      await this.loadApiKey();
+      chrome.runtime.sendMessage({ action: 'updateStatus' });
+      this.showStatus('API keys unlocked', 'success');
+    } catch (error) {
+      console.error('Error unlocking key vault:', error);
+      this.showStatus(error.message, 'error');
+    }
+  }
+  
+  /**
+   * Lock API keys now
+   */
+  async lockVault() {
+    try {
+      await KeyVault.lock();
+      await this.updateVaultStatus();
+      await this.loadApiKey();
+      this.showStatus('API keys locked', 'success');
+    } catch (error) {
+      console.error('Error locking key vault:', error);
+      this.showStatus('Failed to lock API keys', 'error');
+    }
+  }
+  
+  /**
+   * Decrypt API keys and store them unencrypted again
+   */
+  async disableVault() {
+    const passphraseInput = document.getElementById('vaultPassphrase');
+    
+    if (!passphraseInput.value) {
+      this.showStatus('Enter your passphrase to turn off encryption', 'error');
+      passphraseInput.focus();
+      return;
+    }
+    
+    if (!confirm('Store API keys unencrypted again?')) {
+      return;
+    }
+    
+    try {
+      await KeyVault.disable(passphraseInput.value);
+      passphraseInput.value = '';
+      
+      await this.updateVaultStatus();
+      await this.loadApiKey();
+      this.showStatus('API key encryption turned off', 'success');
+    } catch (error) {
+      console.error('Error disabling key vault:', error);
+      this.showStatus(`Failed to turn off encryption: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Change how long API keys stay unlocked without use
+   * @param {number} lockMinutes - Minutes, or 0 to lock when the browser closes
+   */
+  async setVaultLockTimeout(lockMinutes) {
+    try {
+      await KeyVault.setLockTimeout(lockMinutes);
+      this.showStatus('Lock timeout updated', 'success');
+    } catch (error) {
+      console.error('Error setting key vault lock timeout:', error);
+      this.showStatus('Failed to update lock timeout', 'error');
+    }
+  }
+  
   /**
    * Clear all data
    */
@@ -705,6 +1551,9 @@ class OptionsController {
         // Reload configuration
         await this.loadConfiguration();
         await this.updateUI();
+        await this.updateCacheStats();
+        await this.updateUsageDashboard();
+        await this.updateVaultStatus();
         
         this.showStatus('All data cleared', 'success');
       } catch (error) {
@@ -734,6 +1583,151 @@ class OptionsController {
     }
   }
   
+  /**
+   * Update response cache statistics
+   */
+  async updateCacheStats() {
+    try {
+      const stats = await ResponseCache.getStats();
+      const cacheStats = document.getElementById('cacheStats');
+      
+      if (stats.hits + stats.misses === 0) {
+        cacheStats.textContent = `${stats.entries} cached responses. No lookups yet.`;
+        return;
+      }
+      
+      const hitRate = Math.round(stats.hitRate * 100);
+      cacheStats.textContent = `${stats.entries} cached responses. ${stats.hits} hits, ${stats.misses} misses (${hitRate}% hit rate).`;
+      
+    } catch (error) {
+      console.error('Error updating cache stats:', error);
+    }
+  }
+  
+  /**
+   * Show usage totals for the selected period and this month's budget status
+   */
+  async updateUsageDashboard() {
+    try {
+      const summary = await UsageLedger.getSummary(this.getUsageRange());
+      const { total } = summary;
+      const usageTotals = document.getElementById('usageTotals');
+      
+      if (total.requests === 0) {
+        usageTotals.textContent = 'No usage recorded in this period.';
+      } else {
+        const unpriced = total.unpricedRequests > 0 ? ` (${total.unpricedRequests} without known pricing)` : '';
+        usageTotals.textContent = `${total.requests} requests, ${total.inputTokens.toLocaleString()} input and ` +
+          `${total.outputTokens.toLocaleString()} output tokens, ${this.formatCost(total.cost)} estimated cost${unpriced}.`;
+      }
+      
+      this.renderUsageTable('usageByDay', 'Day', summary.byDay, key => key);
+      this.renderUsageTable('usageByProvider', 'Provider', summary.byProvider, key => getProviderLabel(key));
+      this.renderUsageTable('usageByModel', 'Model', summary.byModel, key => {
+        const [provider, model] = key.split('|');
+        return `${model} (${getProviderLabel(provider)})`;
+      });
+      
+      // Budget status always covers the current month
+      const budgetStatus = document.getElementById('budgetStatus');
+      const status = await LLMAPI.getBudgetStatus(this.currentConfig);
+      budgetStatus.className = `budget-status budget-${status.state}`;
+      
+      if (status.state === 'none') {
+        budgetStatus.textContent = 'No monthly budget set.';
+      } else {
+        const percent = Math.round((status.spent / status.limit) * 100);
+        budgetStatus.textContent = `${this.formatCost(status.spent)} of ${this.formatCost(status.limit)} spent this month (${percent}%).` +
+          (status.state === 'exceeded' ? ' Requests to paid providers are blocked until next month.' : '');
+      }
+      
+    } catch (error) {
+      console.error('Error updating usage dashboard:', error);
+    }
+  }
+  
+  /**
+   * Get the day range selected for the usage dashboard
+   * @returns {{from?: string}} Range for UsageLedger.getSummary
+   */
+  getUsageRange() {
+    const range = document.getElementById('usageRange').value;
+    
+    if (range === 'month') {
+      return { from: `${formatDay().slice(0, 7)}-01` };
+    }
+    
+    if (range === 'all') {
+      return {};
+    }
+    
+    const from = new Date();
+    from.setDate(from.getDate() - (parseInt(range) - 1));
+    return { from: formatDay(from) };
+  }
+  
+  /**
+   * Fill a usage table with grouped totals
+   * @param {string} tableId - Table element ID
+   * @param {string} label - Heading of the group column
+   * @param {Array<Object>} rows - Grouped totals from UsageLedger.getSummary
+   * @param {Function} formatKey - Turns a group key into display text
+   */
+  renderUsageTable(tableId, label, rows, formatKey) {
+    const table = document.getElementById(tableId);
+    table.innerHTML = '';
+    table.classList.toggle('hidden', rows.length === 0);
+    if (rows.length === 0) return;
+    
+    const header = table.createTHead().insertRow();
+    [label, 'Requests', 'Input tokens', 'Output tokens', 'Cost'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      header.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    rows.forEach(row => {
+      const tableRow = body.insertRow();
+      [
+        formatKey(row.key),
+        row.requests,
+        row.inputTokens.toLocaleString(),
+        row.outputTokens.toLocaleString(),
+        this.formatCost(row.cost) + (row.unpricedRequests > 0 ? '*' : '')
+      ].forEach(text => {
+        tableRow.insertCell().textContent = text;
+      });
+    });
+  }
+  
+  /**
+   * Format a USD amount
+   * @param {number} cost - Cost in USD
+   * @returns {string} Formatted amount
+   */
+  formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+  }
+  
+  /**
+   * Reset the usage ledger
+   */
+  async clearUsage() {
+    if (!confirm('Reset all recorded usage? This also resets spending toward the monthly budget.')) {
+      return;
+    }
+    
+    try {
+      await UsageLedger.clear();
+      await this.updateUsageDashboard();
+      this.showStatus('Usage reset', 'success');
+    } catch (error) {
+      console.error('Error resetting usage:', error);
+      this.showStatus('Failed to reset usage', 'error');
+    }
+  }
+  
   /**
    * Show status message
    */
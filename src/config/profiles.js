@@ -0,0 +1,154 @@
+/**
+ * Chrome Copilot - Provider Profiles
+ * 
+ * A profile is a named provider setup: provider, endpoint, model,
+ * temperature and default prompt, plus its own API key (stored under the
+ * profile ID). The same provider can appear in several profiles, such as
+ * two custom endpoints. The active profile's fields are mirrored onto the
+ * top level of the config, so code that reads `config.provider` or
+ * `config.model` always sees the active profile.
+ */
+
+import { DEFAULT_CONFIG } from '../core/constants.js';
+import { getProvider, getProviderLabel } from '../api/registry.js';
+
+/**
+ * Config fields that belong to a profile
+ * @type {Array<string>}
+ */
+export const PROFILE_FIELDS = ['provider', 'endpoint', 'model', 'temperature', 'defaultPrompt'];
+
+/**
+ * Create a unique profile ID
+ * @returns {string}
+ */
+export function createProfileId() {
+  return `profile-${crypto.randomUUID()}`;
+}
+
+/**
+ * Create a profile with default settings
+ * @param {Object} [fields] - Fields to set (name, provider, model, ...)
+ * @returns {Object} Profile
+ */
+export function createProfile(fields = {}) {
+  const provider = getProvider(fields.provider || DEFAULT_CONFIG.provider);
+  
+  return {
+    id: createProfileId(),
+    name: provider?.label || 'New profile',
+    provider: provider?.id || DEFAULT_CONFIG.provider,
+    endpoint: '',
+    model: provider?.defaultModel || DEFAULT_CONFIG.model,
+    temperature: DEFAULT_CONFIG.temperature,
+    defaultPrompt: DEFAULT_CONFIG.defaultPrompt,
+    ...fields
+  };
+}
+
+/**
+ * Get a profile by ID
+ * @param {Object} config - Configuration with profiles
+ * @param {string} profileId - Profile ID
+ * @returns {Object|null}
+ */
+export function getProfile(config, profileId) {
+  return config.profiles?.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * Get the active profile, falling back to the first one
+ * @param {Object} config - Configuration with profiles
+ * @returns {Object|null}
+ */
+export function getActiveProfile(config) {
+  return getProfile(config, config.activeProfileId) || config.profiles?.[0] || null;
+}
+
+/**
+ * Get the effective configuration for a profile
+ * 
+ * Used for the active profile and for profiles chosen by other rules, e.g.
+ * a per-site default.
+ * @param {Object} config - Configuration with profiles
+ * @param {string} [profileId] - Profile to apply (defaults to the active profile)
+ * @returns {Object} Configuration with the profile's fields at the top level and `profileId` set
+ */
+export function applyProfile(config, profileId = config.activeProfileId) {
+  const profile = getProfile(config, profileId) || getActiveProfile(config);
+  if (!profile) {
+    return config;
+  }
+  
+  const effective = { ...config, profileId: profile.id };
+  PROFILE_FIELDS.forEach(field => {
+    effective[field] = profile[field] ?? DEFAULT_CONFIG[field];
+  });
+  
+  return effective;
+}
+
+/**
+ * Copy top-level profile fields back into the active profile
+ * 
+ * Lets callers change `config.model` and save without knowing about
+ * profiles.
+ * @param {Object} config - Configuration with profiles
+ * @returns {Array<Object>} Updated profiles
+ */
+export function syncActiveProfile(config) {
+  const active = getActiveProfile(config);
+  
+  return config.profiles.map(profile => {
+    if (profile !== active) {
+      return profile;
+    }
+    
+    const updated = { ...profile };
+    PROFILE_FIELDS.forEach(field => {
+      if (config[field] !== undefined) {
+        updated[field] = config[field];
+      }
+    });
+    return updated;
+  });
+}
+
+/**
+ * Build profiles for a configuration saved before profiles existed
+ * 
+ * API keys used to be stored per provider, so each provider with a saved
+ * key becomes a profile whose ID is the provider ID; the existing keys then
+ * belong to those profiles without being moved.
+ * @param {Object} config - Configuration without profiles
+ * @param {Array<string>} keyedProviders - Providers that have a saved API key
+ * @returns {{profiles: Array<Object>, activeProfileId: string}}
+ */
+export function migrateToProfiles(config, keyedProviders = []) {
+  const activeProvider = config.provider || DEFAULT_CONFIG.provider;
+  const providerIds = [activeProvider, ...keyedProviders.filter(id => id !== activeProvider)]
+    .filter(id => getProvider(id));
+  
+  const profiles = providerIds.map(providerId => {
+    const provider = getProvider(providerId);
+    const isActive = providerId === activeProvider;
+    
+    return {
+      id: providerId,
+      name: getProviderLabel(providerId),
+      provider: providerId,
+      endpoint: provider.capabilities.requiresEndpoint || provider.capabilities.customEndpoint
+        ? (config.endpoint || '')
+        : '',
+      model: isActive ? (config.model || provider.defaultModel) : provider.defaultModel,
+      temperature: config.temperature ?? DEFAULT_CONFIG.temperature,
+      defaultPrompt: config.defaultPrompt || DEFAULT_CONFIG.defaultPrompt
+    };
+  });
+  
+  if (profiles.length === 0) {
+    profiles.push({ ...createProfile(), id: DEFAULT_CONFIG.provider });
+  }
+  
+  return { profiles, activeProfileId: profiles[0].id };
+}
\ No newline at end of file
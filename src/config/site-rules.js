@@ -0,0 +1,141 @@
+/**
+ * Chrome Copilot - Per-Site Rules
+ * 
+ * A site rule matches pages by hostname or URL pattern and overrides
+ * settings for them: the default prompt, the provider profile, where
+ * results are shown, whether history is saved, or turns the extension off
+ * for the page entirely. Rules are checked in order and the first match
+ * wins.
+ */
+
+import { applyProfile, getProfile } from './profiles.js';
+
+/**
+ * Create a unique rule ID
+ * @returns {string}
+ */
+export function createSiteRuleId() {
+  return `rule-${crypto.randomUUID()}`;
+}
+
+/**
+ * Create a site rule that overrides nothing
+ * @param {Object} [fields] - Fields to set
+ * @returns {Object} Site rule
+ */
+export function createSiteRule(fields = {}) {
+  return {
+    id: createSiteRuleId(),
+    pattern: '',
+    disableExtension: false,
+    // Empty values and null keep the global setting
+    promptTemplate: '',
+    profileId: '',
+    displayLocation: '',
+    saveHistory: null,
+    ...fields
+  };
+}
+
+/**
+ * Convert a pattern with `*` wildcards to an anchored, case-insensitive RegExp
+ * @param {string} pattern - Pattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a page URL matches a site pattern
+ * 
+ * - `github.com` matches the host and its subdomains
+ * - `*.intranet.example` or `docs.*` match hostnames with wildcards
+ * - `github.com/myorg/*` matches host and path
+ * - `https://example.com/app/*` matches the full URL
+ * @param {string} pattern - Hostname or URL pattern
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function matchesSitePattern(pattern, url) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed || !url) {
+    return false;
+  }
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  
+  if (trimmed.includes('://')) {
+    return wildcardToRegExp(trimmed).test(parsed.href);
+  }
+  
+  if (trimmed.includes('/')) {
+    return wildcardToRegExp(trimmed).test(`${parsed.host}${parsed.pathname}${parsed.search}`);
+  }
+  
+  const hostname = parsed.hostname;
+  if (trimmed.includes('*')) {
+    return wildcardToRegExp(trimmed).test(hostname);
+  }
+  
+  const host = trimmed.toLowerCase();
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/**
+ * Find the first rule that matches a page
+ * @param {Array<Object>} rules - Site rules in priority order
+ * @param {string} url - Page URL
+ * @returns {Object|null} Matching rule
+ */
+export function findSiteRule(rules, url) {
+  if (!Array.isArray(rules)) {
+    return null;
+  }
+  
+  return rules.find(rule => matchesSitePattern(rule.pattern, url)) || null;
+}
+
+/**
+ * Get the effective configuration for a page
+ * 
+ * Callers must check `rule.disableExtension` before sending anything from
+ * the page to a provider.
+ * @param {Object} config - Configuration from Storage.loadConfig
+ * @param {string} url - Page URL
+ * @returns {{config: Object, rule: Object|null}} Configuration with the matching rule applied, and the rule
+ */
+export function applySiteRules(config, url) {
+  const rule = findSiteRule(config.siteRules, url);
+  if (!rule) {
+    return { config, rule: null };
+  }
+  
+  const effective = rule.profileId && getProfile(config, rule.profileId)
+    ? applyProfile(config, rule.profileId)
+    : { ...config };
+  
+  if (rule.promptTemplate) {
+    effective.defaultPrompt = rule.promptTemplate;
+  }
+  
+  if (rule.displayLocation) {
+    effective.displayLocation = rule.displayLocation;
+  }
+  
+  if (typeof rule.saveHistory === 'boolean') {
+    effective.saveHistory = rule.saveHistory;
+  }
+  
+  return { config: effective, rule };
+}
\ No newline at end of file
@@ -5,7 +5,14 @@
  * extension data using Chrome's storage API.
  */
 
-import { DEFAULT_CONFIG, STORAGE_KEYS } from '../core/constants.js';
+import { DEFAULT_CONFIG, ERROR_MESSAGES, STORAGE_KEYS } from '../core/constants.js';
+import { HistoryDB, getEntryHostname } from './history-db.js';
+import { KeyVault } from './key-vault.js';
+import { applyProfile, getProfile, migrateToProfiles, syncActiveProfile } from './profiles.js';
+
+// Config lists stored as one chrome.storage.sync item per entry, since each item may hold
+// only 8 KB (QUOTA_BYTES_PER_ITEM) and profiles and site rules can together exceed that
+const SPLIT_LISTS = ['profiles', 'siteRules'];
 
 /**
  * Storage manager class
@@ -13,6 +20,10 @@ import { DEFAULT_CONFIG, STORAGE_KEYS } from '../core/constants.js';
 export class Storage {
   /**
    * Save configuration to storage
+   * 
+   * If `config.profileId` is the active profile (as in a config returned by
+   * loadConfig), the top-level provider fields are copied into that profile,
+   * so changing `config.model` and saving updates the active profile.
    * @param {Object} config - Configuration object
    * @returns {Promise<void>}
    */
@@ -26,45 +37,87 @@ export class Storage {
         customPrompts: config.customPrompts || DEFAULT_CONFIG.customPrompts
       };
       
-      await chrome.storage.sync.set({ [STORAGE_KEYS.CONFIG]: completeConfig });
+      if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+        // Configs without profiles (e.g. older backups) get a profile for their provider
+        Object.assign(completeConfig, migrateToProfiles(config));
+      } else if (config.profileId && config.profileId === completeConfig.activeProfileId) {
+        completeConfig.profiles = syncActiveProfile(completeConfig);
+      }
+      
+      // Top-level provider fields always mirror the active profile
+      const storedConfig = applyProfile(completeConfig);
+      delete storedConfig.profileId;
+      
+      await writeConfig(storedConfig);
       console.debug('Configuration saved successfully');
     } catch (error) {
       console.error('Error saving configuration:', error);
-      throw error;
+      // chrome.storage.sync reports QUOTA_BYTES, QUOTA_BYTES_PER_ITEM and so on
+      throw /QUOTA_BYTES/.test(error.message) ? new Error(ERROR_MESSAGES.SETTINGS_TOO_LARGE) : error;
     }
   }
 
   /**
    * Load configuration from storage
-   * @returns {Promise<Object>} Configuration object
+   * @returns {Promise<Object>} Configuration object, with the active profile's
+   *   fields at the top level and its ID in `profileId`
    */
   static async loadConfig() {
     try {
-      const result = await chrome.storage.sync.get(STORAGE_KEYS.CONFIG);
-      const config = result[STORAGE_KEYS.CONFIG];
+      const config = await readConfig();
       
       if (!config) {
         // Return default config if none exists
-        return { ...DEFAULT_CONFIG };
+        return applyProfile({ ...DEFAULT_CONFIG, profiles: structuredClone(DEFAULT_CONFIG.profiles) });
+      }
+      
+      // Configs saved before profiles existed get one profile per configured provider
+      if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+        Object.assign(config, migrateToProfiles(config, await this.getApiKeyIds()));
+        await writeConfig(config);
+        console.debug('Configuration migrated to provider profiles');
       }
       
       // Merge with defaults to ensure new fields are added
-      return {
+      return applyProfile({
         ...DEFAULT_CONFIG,
         ...config,
         // Ensure arrays are properly merged
         customPrompts: config.customPrompts || DEFAULT_CONFIG.customPrompts
-      };
+      });
     } catch (error) {
       console.error('Error loading configuration:', error);
       // Return default config on error
-      return { ...DEFAULT_CONFIG };
+      return applyProfile({ ...DEFAULT_CONFIG, profiles: structuredClone(DEFAULT_CONFIG.profiles) });
+    }
+  }
+
+  /**
+   * Switch the active provider profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<Object>} Updated configuration
+   */
+  static async setActiveProfile(profileId) {
+    try {
+      const config = await this.loadConfig();
+      if (!getProfile(config, profileId)) {
+        throw new Error(`Unknown profile: ${profileId}`);
+      }
+      
+      await this.saveConfig({ ...config, profileId: null, activeProfileId: profileId });
+      return applyProfile(config, profileId);
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      throw error;
     }
   }
 
   /**
    * Save API key securely
-   * @param {string} provider - LLM provider
+   * 
+   * Keys belong to provider profiles and are stored under the profile ID.
+   * They are encrypted when the key vault is on, which must then be unlocked.
+   * @param {string} provider - Profile ID (the provider ID for migrated profiles)
    * @param {string} apiKey - API key
    * @returns {Promise<void>}
    */
@@ -74,6 +127,12 @@ export class Storage {
         throw new Error('Provider and API key are required');
       }
       
+      if (await KeyVault.isEnabled()) {
+        await KeyVault.setKey(provider, apiKey.trim());
+        console.debug(`API key encrypted for provider: ${provider}`);
+        return;
+      }
+      
       // Store in local storage (more secure than sync)
       await chrome.storage.local.set({ 
         [`apiKey_${provider}`]: apiKey.trim() 
@@ -86,16 +145,22 @@ export class Storage {
   }
 
   /**
-   * Get API key for provider
-   * @param {string} provider - LLM provider
-   * @returns {Promise<string|null>} API key or null if not found
+   * Get API key for a profile
+   * @param {string} provider - Profile ID (the provider ID for migrated profiles)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.extend=false] - Keep the key vault unlocked for longer (see KeyVault.getKey)
+   * @returns {Promise<string|null>} API key or null if not found (or the key vault is locked)
    */
-  static async getApiKey(provider) {
+  static async getApiKey(provider, { extend = false } = {}) {
     try {
       if (!provider) {
         return null;
       }
       
+      if (await KeyVault.isEnabled()) {
+        return await KeyVault.getKey(provider, { extend });
+      }
+      
       const result = await chrome.storage.local.get(`apiKey_${provider}`);
       const apiKey = result[`apiKey_${provider}`];
       
@@ -107,12 +172,16 @@ export class Storage {
   }
 
   /**
-   * Delete API key for provider
-   * @param {string} provider - LLM provider
+   * Delete API key for a profile
+   * @param {string} provider - Profile ID
    * @returns {Promise<void>}
    */
   static async deleteApiKey(provider) {
     try {
+      if (await KeyVault.isEnabled()) {
+        await KeyVault.deleteKey(provider);
+      }
+      
       await chrome.storage.local.remove(`apiKey_${provider}`);
       console.debug(`API key deleted for provider: ${provider}`);
     } catch (error) {
@@ -121,40 +190,56 @@ export class Storage {
     }
   }
 
+  /**
+   * List the IDs that have a saved API key
+   * @returns {Promise<Array<string>>}
+   */
+  static async getApiKeyIds() {
+    try {
+      if (await KeyVault.isEnabled()) {
+        return await KeyVault.getKeyIds();
+      }
+      
+      const stored = await chrome.storage.local.get(null);
+      return Object.keys(stored)
+        .filter(key => key.startsWith('apiKey_') && stored[key])
+        .map(key => key.slice('apiKey_'.length));
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      return [];
+    }
+  }
+
   /**
    * Save entry to history
    * @param {Object} entry - History entry
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.saveHistory] - Whether history is on for the entry's page, with any
+   *   site rule applied (see applySiteRules); defaults to the global setting
+   * @returns {Promise<Object|null>} Saved entry, or null if history is disabled
    */
-  static async saveToHistory(entry) {
+  static async saveToHistory(entry, { saveHistory } = {}) {
     try {
       const config = await this.loadConfig();
       
-      // Only save history if enabled
-      if (!config.saveHistory) {
-        return;
+      // Only save history if enabled; a site rule can turn it on for its pages even when it is off globally
+      if (!(saveHistory ?? config.saveHistory)) {
+        return null;
       }
       
-      const history = await this.getHistory();
-      
-      // Add new entry with ID and timestamp
-      const historyEntry = {
-        id: Date.now(),
+      // The database assigns a unique ID
+      const historyEntry = await HistoryDB.add({
         timestamp: new Date().toISOString(),
-        ...entry
-      };
-      
-      // Add to beginning of array
-      history.unshift(historyEntry);
+        ...entry,
+        hostname: getEntryHostname(entry)
+      });
       
-      // Limit history size
-      const maxItems = config.maxHistoryItems || 50;
-      if (history.length > maxItems) {
-        history.length = maxItems;
-      }
+      // Limit history size by deleting the oldest entries
+      await HistoryDB.prune(config.maxHistoryItems || DEFAULT_CONFIG.maxHistoryItems);
       
-      await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: history });
+      await this.notifyHistoryChanged();
       console.debug('Entry saved to history');
+      return historyEntry;
     } catch (error) {
       console.error('Error saving to history:', error);
       throw error;
@@ -162,23 +247,32 @@ export class Storage {
   }
 
   /**
-   * Get history entries
+   * Get history entries, newest first
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Maximum number of entries to return
    * @returns {Promise<Array>} Array of history entries
    */
-  static async getHistory() {
+  static async getHistory({ limit } = {}) {
     try {
-      const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
-      const history = result[STORAGE_KEYS.HISTORY] || [];
+      const history = await HistoryDB.getAll({ limit });
       
       // Ensure each entry has required fields
       return history.map(entry => ({
-        id: entry.id || Date.now(),
+        id: entry.id,
         timestamp: entry.timestamp || new Date().toISOString(),
         text: entry.text || '',
         result: entry.result || '',
         context: entry.context || {},
+        hostname: entry.hostname || '',
         provider: entry.provider || 'unknown',
-        model: entry.model || 'unknown'
+        model: entry.model || 'unknown',
+        profileId: entry.profileId || null,
+        fallback: Boolean(entry.fallback),
+        messages: Array.isArray(entry.messages) ? entry.messages : null,
+        cached: Boolean(entry.cached),
+        image: entry.image || null,
+        page: entry.page || null,
+        usage: entry.usage || null
       }));
     } catch (error) {
       console.error('Error loading history:', error);
@@ -186,13 +280,50 @@ export class Storage {
     }
   }
 
+  /**
+   * Update an existing history entry
+   * @param {number} id - History entry ID
+   * @param {Object} updates - Fields to merge into the entry
+   * @returns {Promise<boolean>} True if the entry was found and updated
+   */
+  static async updateHistoryEntry(id, updates) {
+    try {
+      const updated = await HistoryDB.update(id, updates);
+      if (updated) {
+        await this.notifyHistoryChanged();
+        console.debug('History entry updated');
+      }
+      return updated;
+    } catch (error) {
+      console.error('Error updating history entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a history entry
+   * @param {number} id - History entry ID
+   * @returns {Promise<void>}
+   */
+  static async deleteHistoryEntry(id) {
+    try {
+      await HistoryDB.delete(id);
+      await this.notifyHistoryChanged();
+      console.debug('History entry deleted');
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clear all history entries
    * @returns {Promise<void>}
    */
   static async clearHistory() {
     try {
-      await chrome.storage.local.remove(STORAGE_KEYS.HISTORY);
+      await HistoryDB.clear();
+      await this.notifyHistoryChanged();
       console.debug('History cleared');
     } catch (error) {
       console.error('Error clearing history:', error);
@@ -200,6 +331,17 @@ export class Storage {
     }
   }
 
+  /**
+   * Let open pages know the history changed
+   * 
+   * IndexedDB has no change events, so a timestamp is written to
+   * chrome.storage.local; pages watch it with chrome.storage.onChanged.
+   * @returns {Promise<void>}
+   */
+  static async notifyHistoryChanged() {
+    await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY_UPDATED]: Date.now() });
+  }
+
   /**
    * Clear all extension data
    * @returns {Promise<void>}
@@ -208,7 +350,9 @@ export class Storage {
     try {
       await Promise.all([
         chrome.storage.sync.clear(),
-        chrome.storage.local.clear()
+        chrome.storage.local.clear(),
+        chrome.storage.session.clear(),
+        HistoryDB.clear()
       ]);
       console.debug('All extension data cleared');
     } catch (error) {
@@ -257,20 +401,22 @@ export class Storage {
         chrome.storage.local.get(null)
       ]);
       
+      // Mask API keys of every provider in export, including the encrypted
+      // vault, which could otherwise be attacked offline
+      const maskedLocalData = { ...localData };
+      Object.keys(maskedLocalData)
+        .filter(key => (key.startsWith('apiKey_') || key === STORAGE_KEYS.KEY_VAULT) && maskedLocalData[key])
+        .forEach(key => {
+          maskedLocalData[key] = '[REDACTED]';
+        });
+      
       const exportData = {
         version: '1.0',
         timestamp: new Date().toISOString(),
         config,
         history,
         syncData,
-        localData: {
-          ...localData,
-          // Mask API keys in export
-          apiKey_openai: localData.apiKey_openai ? '[REDACTED]' : undefined,
-          apiKey_anthropic: localData.apiKey_anthropic ? '[REDACTED]' : undefined,
-          apiKey_deepseek: localData.apiKey_deepseek ? '[REDACTED]' : undefined,
-          apiKey_custom: localData.apiKey_custom ? '[REDACTED]' : undefined
-        }
+        localData: maskedLocalData
       };
       
       return JSON.stringify(exportData, null, 2);
@@ -299,9 +445,10 @@ export class Storage {
         await this.saveConfig(data.config);
       }
       
-      // Save history
+      // Add history under new IDs, skipping entries that are already here
       if (data.history && Array.isArray(data.history)) {
-        await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: data.history });
+        await HistoryDB.importAll(data.history);
+        await this.notifyHistoryChanged();
       }
       
       console.debug('Data imported successfully');
@@ -310,4 +457,64 @@ export class Storage {
       throw error;
     }
   }
+}
+
+/**
+ * Get the sync item holding one entry of a split config list
+ * @param {string} list - List name from SPLIT_LISTS
+ * @param {number} index - Entry index
+ * @returns {string} Storage key, e.g. 'config_profiles_0'
+ */
+function getListItemKey(list, index) {
+  return `${STORAGE_KEYS.CONFIG}_${list}_${index}`;
+}
+
+/**
+ * Read the stored configuration, joining its split lists back in
+ * @returns {Promise<Object|undefined>} Stored configuration, or undefined if none is saved
+ */
+async function readConfig() {
+  const stored = await chrome.storage.sync.get(null);
+  const config = stored[STORAGE_KEYS.CONFIG];
+  
+  // Configs saved before the lists were split still hold them inline
+  if (!config?.listLengths) {
+    return config;
+  }
+  
+  const { listLengths, ...joined } = config;
+  SPLIT_LISTS.forEach(list => {
+    joined[list] = Array.from({ length: listLengths[list] || 0 }, (_, index) => stored[getListItemKey(list, index)])
+      .filter(Boolean);
+  });
+  return joined;
+}
+
+/**
+ * Write the configuration, with each entry of its split lists in an item of its own
+ * @param {Object} config - Configuration to store
+ * @returns {Promise<void>}
+ */
+async function writeConfig(config) {
+  const stored = { ...config, listLengths: {} };
+  const items = {};
+  
+  SPLIT_LISTS.forEach(list => {
+    const entries = Array.isArray(config[list]) ? config[list] : [];
+    entries.forEach((entry, index) => {
+      items[getListItemKey(list, index)] = entry;
+    });
+    stored.listLengths[list] = entries.length;
+    delete stored[list];
+  });
+  
+  const existingKeys = Object.keys(await chrome.storage.sync.get(null));
+  await chrome.storage.sync.set({ [STORAGE_KEYS.CONFIG]: stored, ...items });
+  
+  // Entries beyond the new end of a list are left over from a longer one
+  const staleKeys = existingKeys.filter(key => !(key in items) &&
+    SPLIT_LISTS.some(list => key.startsWith(getListItemKey(list, ''))));
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,388 @@
+/**
+ * Chrome Copilot - Article Extraction
+ *
+ * This module finds the main text of a page so the whole page can be
+ * summarized or asked about. Like reader modes, it scores the containers of
+ * each paragraph, picks the best one and drops navigation, sidebars, comments
+ * and other boilerplate. The text keeps its headings, list items, code
+ * blocks and table rows so the model can follow the structure.
+ */
+
+/**
+ * Longest article text returned, in characters; longer pages are cut at a paragraph
+ */
+export const MAX_ARTICLE_LENGTH = 80000;
+
+// Shortest paragraph that counts towards a container's score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Below this length the best container probably missed the article, so the whole body is used
+const MIN_ARTICLE_LENGTH = 250;
+
+// Elements that hold paragraphs of text
+const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote, dd';
+
+// Elements that never belong to the article
+const SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'video', 'audio',
+  'nav', 'aside', 'footer', 'header', 'form', 'button', 'select', 'textarea', 'input', 'dialog',
+  '[hidden]', '[aria-hidden="true"]', '[style*="display:none"]', '[style*="display: none"]',
+  '[role="navigation"]', '[role="complementary"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]'
+].join(', ');
+
+// Class names and IDs of boilerplate containers, unless they also look like content
+const UNLIKELY_PATTERN = /-ad-|advert|banner|breadcrumb|combx|comment|community|cookie|disqus|footer|gdpr|header|menu|newsletter|pagination|pager|popup|related|remark|replies|share|sharing|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+const MAYBE_PATTERN = /and|article|body|column|content|main|post|shadow|story/i;
+
+// Class name and ID patterns that raise or lower a container's score
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /-ad-|comment|foot|footer|footnote|hidden|masthead|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Score given to a container by its tag
+const TAG_WEIGHTS = {
+  ARTICLE: 10,
+  MAIN: 10,
+  SECTION: 5,
+  DIV: 5,
+  PRE: 3,
+  TD: 3,
+  BLOCKQUOTE: 3,
+  FORM: -3,
+  OL: -3,
+  UL: -3,
+  TH: -5
+};
+
+// Elements that start a new block of text; anything else is read as part of the surrounding text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI',
+  'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD',
+  'TR', 'UL'
+]);
+const BLOCK_SELECTOR = [...BLOCK_TAGS].join(', ');
+
+/**
+ * Extract the main article of the page
+ * @param {Document} [root] - Document to read
+ * @returns {{title: string, byline: string, excerpt: string, content: string, length: number, truncated: boolean}}
+ *   `content` is plain text with blank lines between blocks; `length` is the length before truncation
+ */
+export function extractArticle(root = document) {
+  const body = root.body;
+  let content = '';
+  
+  if (body) {
+    const container = findArticleContainer(body);
+    content = container ? getReadableText(container) : '';
+    
+    if (content.length < MIN_ARTICLE_LENGTH) {
+      content = getReadableText(body);
+    }
+  }
+  
+  const length = content.length;
+  const truncated = length > MAX_ARTICLE_LENGTH;
+  
+  return {
+    title: getMetaContent(root, 'meta[property="og:title"]') || normalize(root.title),
+    byline: getByline(root),
+    excerpt: getMetaContent(root, 'meta[name="description"], meta[property="og:description"]'),
+    content: truncated ? cutAtParagraph(content, MAX_ARTICLE_LENGTH) : content,
+    length,
+    truncated
+  };
+}
+
+/**
+ * Find the element that most likely holds the article
+ *
+ * Each paragraph scores one point, one per comma and one per 100 characters
+ * (up to three). Its parent gets the full score and its grandparent half of
+ * it, so the element wrapping most of the prose wins. Scores are then reduced
+ * by the share of text that is links, which is high in menus and link lists.
+ * @param {HTMLElement} body - Page body
+ * @returns {Element|null} Best container, or null if the page has no paragraphs
+ */
+function findArticleContainer(body) {
+  const scores = new Map();
+  
+  const addScore = (element, score) => {
+    if (!element || element === body.parentElement) {
+      return;
+    }
+    
+    if (!scores.has(element)) {
+      scores.set(element, getInitialScore(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+  
+  for (const paragraph of body.querySelectorAll(PARAGRAPH_SELECTOR)) {
+    const text = normalize(paragraph.textContent);
+    if (text.length < MIN_PARAGRAPH_LENGTH || isInsideSkipped(paragraph, body)) {
+      continue;
+    }
+    
+    const commas = text.split(',').length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, score);
+    addScore(paragraph.parentElement?.parentElement, score / 2);
+  }
+  
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const finalScore = score * (1 - getLinkDensity(element));
+    scores.set(element, finalScore);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+  
+  // Articles split across sibling containers are read together
+  const parent = best?.parentElement;
+  if (parent && parent !== body.parentElement) {
+    const strongSiblings = [...parent.children]
+      .filter(sibling => sibling !== best && (scores.get(sibling) || 0) >= bestScore / 5);
+    if (strongSiblings.length > 0) {
+      return parent;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Get the score a container starts with, from its tag, class names and ID
+ * @param {Element} element - Container
+ * @returns {number}
+ */
+function getInitialScore(element) {
+  let score = TAG_WEIGHTS[element.tagName] || 0;
+  const names = getNames(element);
+  
+  if (POSITIVE_PATTERN.test(names)) {
+    score += 25;
+  }
+  if (NEGATIVE_PATTERN.test(names)) {
+    score -= 25;
+  }
+  
+  return score;
+}
+
+/**
+ * Get the share of an element's text that is inside links
+ * @param {Element} element - Container
+ * @returns {number} Between 0 and 1
+ */
+function getLinkDensity(element) {
+  const textLength = normalize(element.textContent).length;
+  if (textLength === 0) {
+    return 0;
+  }
+  
+  const linkLength = [...element.querySelectorAll('a')]
+    .reduce((total, link) => total + normalize(link.textContent).length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Read the text of an element as blocks separated by blank lines
+ * @param {Element} element - Container
+ * @returns {string}
+ */
+function getReadableText(element) {
+  const blocks = [];
+  collectBlocks(element, blocks);
+  return blocks.join('\n\n');
+}
+
+/**
+ * Collect the blocks of text inside an element, skipping boilerplate
+ *
+ * Headings become "#" lines, list items "- " lines and quotes "> " lines;
+ * code blocks are fenced and table cells are separated by " | ". Text and
+ * inline elements between blocks are joined into paragraphs.
+ * @param {Element} element - Element to read
+ * @param {string[]} blocks - Receives the blocks in page order
+ */
+function collectBlocks(element, blocks) {
+  let inline = '';
+  const flush = () => {
+    const text = normalize(inline);
+    if (text) {
+      blocks.push(text);
+    }
+    inline = '';
+  };
+  
+  for (const node of element.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      inline += node.textContent;
+      continue;
+    }
+    
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node)) {
+      continue;
+    }
+    
+    if (node.tagName === 'BR') {
+      flush();
+      continue;
+    }
+    
+    // Inline elements are read as text unless they wrap blocks (e.g. a link around a card)
+    if (!BLOCK_TAGS.has(node.tagName) && !node.querySelector(BLOCK_SELECTOR)) {
+      inline += node.textContent;
+      continue;
+    }
+    
+    flush();
+    collectBlock(node, blocks);
+  }
+  
+  flush();
+}
+
+/**
+ * Collect the text of a block element
+ * @param {Element} element - Block element
+ * @param {string[]} blocks - Receives the blocks in page order
+ */
+function collectBlock(element, blocks) {
+  const tag = element.tagName;
+  
+  if (/^H[1-6]$/.test(tag)) {
+    const text = normalize(element.textContent);
+    if (text) {
+      blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    }
+    return;
+  }
+  
+  if (tag === 'PRE') {
+    const code = element.textContent.replace(/^\n+|\s+$/g, '');
+    if (code) {
+      blocks.push(`\`\`\`\n${code}\n\`\`\``);
+    }
+    return;
+  }
+  
+  if (tag === 'TR') {
+    const cells = [...element.children]
+      .filter(cell => !isSkipped(cell))
+      .map(cell => normalize(cell.textContent))
+      .filter(Boolean);
+    if (cells.length > 0) {
+      blocks.push(cells.join(' | '));
+    }
+    return;
+  }
+  
+  if (tag === 'LI' || tag === 'BLOCKQUOTE') {
+    const inner = [];
+    collectBlocks(element, inner);
+    if (inner.length > 0) {
+      blocks.push(tag === 'LI' ? `- ${inner.join('\n  ')}` : inner.map(text => `> ${text}`).join('\n>\n'));
+    }
+    return;
+  }
+  
+  if (tag !== 'HR') {
+    collectBlocks(element, blocks);
+  }
+}
+
+/**
+ * Check whether an element is boilerplate that is left out of the article
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isSkipped(element) {
+  if (element.matches(SKIP_SELECTOR)) {
+    return true;
+  }
+  
+  // The page's main landmarks are never dropped for their class names
+  if (['BODY', 'ARTICLE', 'MAIN'].includes(element.tagName)) {
+    return false;
+  }
+  
+  const names = getNames(element);
+  return UNLIKELY_PATTERN.test(names) && !MAYBE_PATTERN.test(names);
+}
+
+/**
+ * Check whether an element is inside boilerplate
+ * @param {Element} element - Element to check
+ * @param {HTMLElement} body - Page body, where the search stops
+ * @returns {boolean}
+ */
+function isInsideSkipped(element, body) {
+  for (let current = element; current && current !== body; current = current.parentElement) {
+    if (isSkipped(current)) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Get an element's class names and ID as one string
+ * @param {Element} element - Element
+ * @returns {string}
+ */
+function getNames(element) {
+  // SVG elements have an object as className, so the attribute is read instead
+  return `${element.getAttribute('class') || ''} ${element.id || ''}`;
+}
+
+/**
+ * Get the author of the page
+ * @param {Document} root - Document to read
+ * @returns {string} Author, or '' if the page doesn't name one
+ */
+function getByline(root) {
+  const meta = getMetaContent(root, 'meta[name="author"], meta[property="article:author"]');
+  if (meta && !/^https?:/i.test(meta)) {
+    return meta;
+  }
+  
+  const element = root.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+  return normalize(element?.textContent).slice(0, 100);
+}
+
+/**
+ * Get the content of the first matching meta tag
+ * @param {Document} root - Document to read
+ * @param {string} selector - Meta tag selector
+ * @returns {string}
+ */
+function getMetaContent(root, selector) {
+  return normalize(root.querySelector(selector)?.getAttribute('content'));
+}
+
+/**
+ * Cut text at the last paragraph break before a length
+ * @param {string} text - Text to cut
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function cutAtParagraph(text, maxLength) {
+  const cut = text.slice(0, maxLength);
+  const breakIndex = cut.lastIndexOf('\n\n');
+  return breakIndex > maxLength / 2 ? cut.slice(0, breakIndex) : cut;
+}
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
\ No newline at end of file
@@ -6,6 +6,11 @@
  */
 
 import { ACTION_TYPES } from '../core/constants.js';
+import { FloatingCard } from './floating-card.js';
+import { extractSelectionContext } from './context.js';
+
+// In-page result card, used when the display location is 'inpage'
+const floatingCard = new FloatingCard();
 
 /**
  * Listen for messages from the background script
@@ -24,6 +29,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ selection: currentSelection });
       break;
       
+    case ACTION_TYPES.SHOW_CARD:
+      floatingCard.open({ jobId: message.jobId });
+      sendResponse({ received: true });
+      break;
+      
+    case ACTION_TYPES.STREAM_CHUNK:
+      floatingCard.update(message.text, message.jobId);
+      sendResponse({ received: true });
+      break;
+      
+    case ACTION_TYPES.STREAM_END:
+      floatingCard.showResult(message.data.result, message.jobId);
+      sendResponse({ received: true });
+      break;
+      
+    case ACTION_TYPES.SHOW_RESULT:
+      floatingCard.showResult(message.result, message.jobId);
+      sendResponse({ received: true });
+      break;
+      
+    case ACTION_TYPES.SHOW_ERROR:
+      floatingCard.showError(message.error);
+      sendResponse({ received: true });
+      break;
+      
+    case ACTION_TYPES.REQUEST_CANCELLED:
+      floatingCard.showCancelled(message.jobId);
+      sendResponse({ received: true });
+      break;
+      
     default:
       sendResponse({ error: 'Unknown action' });
   }
@@ -40,15 +75,27 @@ function enhanceSelection(text) {
   return {
     text: text.trim(),
     context: {
-      title: document.title,
-      url: window.location.href,
-      hostname: window.location.hostname,
-      timestamp: new Date().toISOString(),
-      language: document.documentElement.lang || 'en'
+      ...getPageContext(),
+      // Surrounding paragraph, headings, nearby text, code language and meta description
+      ...extractSelectionContext()
     }
   };
 }
 
+/**
+ * Get the details of the current page
+ * @returns {Object} Title, URL, hostname, timestamp and language
+ */
+function getPageContext() {
+  return {
+    title: document.title,
+    url: window.location.href,
+    hostname: window.location.hostname,
+    timestamp: new Date().toISOString(),
+    language: document.documentElement.lang || 'en'
+  };
+}
+
 /**
  * Get current text selection from the page
  * @returns {string|null} Selected text or null
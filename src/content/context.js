@@ -0,0 +1,274 @@
+/**
+ * Chrome Copilot - Selection Context Extraction
+ *
+ * This module collects the text around a selection so prompts can include
+ * the sentence, paragraph and section the selection came from. Every field
+ * is size-bounded to keep prompts small.
+ */
+
+// Maximum length of each context field, in characters
+const CONTEXT_LIMITS = {
+  paragraph: 1500,
+  before: 500,
+  after: 500,
+  headings: 300,
+  description: 300
+};
+
+// Elements that count as the selection's enclosing paragraph
+const BLOCK_SELECTOR = 'p, li, td, th, dd, dt, blockquote, pre, figcaption, h1, h2, h3, h4, h5, h6';
+
+// Elements that bound the text before and after the selection
+const SECTION_SELECTOR = 'article, section, main';
+
+// Class name patterns used by common syntax highlighters
+const CODE_CLASS_PATTERNS = [
+  /(?:^|\s)lang(?:uage)?-([\w+#-]+)/,
+  /(?:^|\s)highlight-source-([\w+#-]+)/,
+  /(?:^|\s)brush:\s*([\w+#-]+)/
+];
+
+// Fallback detection for code blocks without a language class; first match wins
+const CODE_HEURISTICS = [
+  { language: 'json', pattern: /^\s*[[{][\s\S]*"\s*:\s*[\s\S]*[\]}]\s*$/ },
+  { language: 'html', pattern: /^\s*<(!doctype|html|div|span|head|body|[a-z]+\s[^>]*>)/i },
+  { language: 'python', pattern: /^\s*(def|class)\s+\w+.*:\s*$|^\s*(import|from)\s+[\w.]+|print\(/m },
+  { language: 'javascript', pattern: /\b(const|let|function|=>|console\.log|require\(|import .* from)\b/ },
+  { language: 'java', pattern: /\b(public|private|protected)\s+(static\s+)?[\w<>[\]]+\s+\w+\s*\(/ },
+  { language: 'sql', pattern: /^\s*(select|insert|update|delete|create table)\b/im },
+  { language: 'shell', pattern: /^\s*(\$ |sudo |npm |git |cd |ls |echo |export )/m },
+  { language: 'css', pattern: /^\s*[.#]?[\w-]+(\s*[.#:][\w-]+)*\s*\{[^}]*:[^}]*\}/m }
+];
+
+/**
+ * Extract context around the current selection
+ * @param {Selection} selection - Page selection
+ * @returns {Object} Context fields (empty strings when unavailable)
+ */
+export function extractSelectionContext(selection = window.getSelection()) {
+  const context = {
+    paragraph: '',
+    before: '',
+    after: '',
+    headings: '',
+    codeLanguage: '',
+    description: getMetaDescription()
+  };
+  
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+    return context;
+  }
+  
+  try {
+    const range = selection.getRangeAt(0);
+    const anchor = toElement(range.commonAncestorContainer);
+    if (!anchor) {
+      return context;
+    }
+    
+    const block = anchor.closest(BLOCK_SELECTOR);
+    if (block) {
+      context.paragraph = limit(normalize(block.innerText || block.textContent), CONTEXT_LIMITS.paragraph);
+    }
+    
+    const section = anchor.closest(SECTION_SELECTOR) || document.body;
+    context.before = limit(getTextBefore(range, section, CONTEXT_LIMITS.before), CONTEXT_LIMITS.before, true);
+    context.after = limit(getTextAfter(range, section, CONTEXT_LIMITS.after), CONTEXT_LIMITS.after);
+    
+    context.headings = limit(getHeadingPath(anchor).join(' > '), CONTEXT_LIMITS.headings);
+    context.codeLanguage = detectCodeLanguage(anchor, selection.toString());
+  } catch (error) {
+    console.debug('Failed to extract selection context:', error);
+  }
+  
+  return context;
+}
+
+/**
+ * Get the text before the selection, within its section
+ * 
+ * Text nodes are read backwards from the selection until there is enough
+ * text, so pages without a section element don't have their whole body read.
+ * @param {Range} range - Selection range
+ * @param {Element} section - Enclosing section
+ * @param {number} maxLength - Number of characters needed
+ * @returns {string} Text before the selection (may be longer than maxLength)
+ */
+function getTextBefore(range, section, maxLength) {
+  const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT);
+  const { startContainer: container, startOffset: offset } = range;
+  const parts = [];
+  
+  if (container.nodeType === Node.TEXT_NODE) {
+    parts.push(container.data.slice(0, offset));
+    walker.currentNode = container;
+  } else if (container.childNodes[offset]) {
+    walker.currentNode = container.childNodes[offset];
+  } else {
+    // The selection starts after the container's last child, so its last text node comes first
+    walker.currentNode = container;
+    const last = walker.lastChild();
+    if (last) {
+      parts.push(last.data);
+    }
+  }
+  
+  return normalize(collectText(parts, () => walker.previousNode(), maxLength).reverse().join(''));
+}
+
+/**
+ * Get the text after the selection, within its section
+ * @param {Range} range - Selection range
+ * @param {Element} section - Enclosing section
+ * @param {number} maxLength - Number of characters needed
+ * @returns {string} Text after the selection (may be longer than maxLength)
+ */
+function getTextAfter(range, section, maxLength) {
+  const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT);
+  const { endContainer: container, endOffset: offset } = range;
+  const parts = [];
+  
+  if (container.nodeType === Node.TEXT_NODE) {
+    parts.push(container.data.slice(offset));
+    walker.currentNode = container;
+  } else if (container.childNodes[offset]) {
+    const next = container.childNodes[offset];
+    if (next.nodeType === Node.TEXT_NODE) {
+      parts.push(next.data);
+    }
+    walker.currentNode = next;
+  } else {
+    // The selection ends after the container's last child, so skip the text inside it
+    walker.currentNode = container;
+    walker.lastChild();
+  }
+  
+  return normalize(collectText(parts, () => walker.nextNode(), maxLength).join(''));
+}
+
+/**
+ * Add text nodes to a list until it holds enough text
+ * @param {Array<string>} parts - Text collected so far
+ * @param {Function} next - Returns the next text node, or null when there are no more
+ * @param {number} maxLength - Number of characters needed
+ * @returns {Array<string>} The same list
+ */
+function collectText(parts, next, maxLength) {
+  let length = normalize(parts.join('')).length;
+  
+  while (length <= maxLength) {
+    const node = next();
+    if (!node) {
+      break;
+    }
+    
+    parts.push(node.data);
+    length += normalize(node.data).length;
+  }
+  
+  return parts;
+}
+
+/**
+ * Get the headings the element falls under, outermost first
+ * @param {Element} element - Element inside the selection
+ * @returns {Array<string>} Heading texts, e.g. ['Guide', 'Installation', 'Linux']
+ */
+function getHeadingPath(element) {
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(heading => (heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)
+      || heading.contains(element));
+  
+  // Walk backwards, keeping each heading that is higher level than the last one kept
+  const path = [];
+  let level = 7;
+  for (let i = headings.length - 1; i >= 0 && level > 1; i--) {
+    const headingLevel = Number(headings[i].tagName[1]);
+    if (headingLevel < level) {
+      path.unshift(normalize(headings[i].textContent));
+      level = headingLevel;
+    }
+  }
+  
+  return path.filter(Boolean);
+}
+
+/**
+ * Detect the language of a selection inside a code block
+ * @param {Element} element - Element inside the selection
+ * @param {string} text - Selected text
+ * @returns {string} Language name, or '' if the selection isn't code
+ */
+function detectCodeLanguage(element, text) {
+  const codeBlock = element.closest('pre, code');
+  if (!codeBlock) {
+    return '';
+  }
+  
+  // Highlighters mark the language on the <code>, the <pre> or a wrapper
+  const candidates = [codeBlock, codeBlock.querySelector('code'), codeBlock.closest('pre'), codeBlock.parentElement];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    
+    const dataLanguage = candidate.getAttribute('data-lang') || candidate.getAttribute('data-language');
+    if (dataLanguage) {
+      return dataLanguage.toLowerCase();
+    }
+    
+    for (const pattern of CODE_CLASS_PATTERNS) {
+      const match = (candidate.className || '').toString().match(pattern);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+    }
+  }
+  
+  // Heuristics only need the start of the code
+  const code = (text || codeBlock.textContent).slice(0, 2000);
+  const guess = CODE_HEURISTICS.find(({ pattern }) => pattern.test(code));
+  return guess ? guess.language : 'unknown';
+}
+
+/**
+ * Get the page's meta description
+ * @returns {string} Description, or '' if the page has none
+ */
+function getMetaDescription() {
+  const meta = document.querySelector('meta[name="description"], meta[property="og:description"]');
+  return limit(normalize(meta?.getAttribute('content') || ''), CONTEXT_LIMITS.description);
+}
+
+/**
+ * Get the element for a node (text nodes resolve to their parent)
+ * @param {Node} node - DOM node
+ * @returns {Element|null}
+ */
+function toElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+}
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Limit text to a maximum length
+ * @param {string} text - Text to limit
+ * @param {number} maxLength - Maximum length
+ * @param {boolean} [fromEnd=false] - Keep the end of the text instead of the start
+ * @returns {string}
+ */
+function limit(text, maxLength, fromEnd = false) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  
+  return fromEnd
+    ? `…${text.slice(text.length - maxLength + 1)}`
+    : `${text.slice(0, maxLength - 1)}…`;
+}
\ No newline at end of file
@@ -0,0 +1,308 @@
+/**
+ * Chrome Copilot - In-Page Result Card
+ *
+ * This module renders results in a draggable card next to the selected text.
+ * The card lives in a closed Shadow DOM so page styles can't change it and its
+ * styles can't leak into the page.
+ */
+
+import { ACTION_TYPES, DEFAULT_CONFIG } from '../core/constants.js';
+import { Storage } from '../config/storage.js';
+import { Display } from '../display/display.js';
+import { Sanitize } from '../utils/sanitize.js';
+
+// Card width in pixels; the stylesheet uses the same value
+const CARD_WIDTH = 380;
+
+// Distance between the card and the selection or viewport edge
+const CARD_MARGIN = 12;
+
+/**
+ * Floating result card
+ */
+export class FloatingCard {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.card = null;
+    this.body = null;
+    this.jobId = null;
+    this.result = '';
+    this.state = null;
+  }
+  
+  /**
+   * Show the card in its loading state next to the current selection
+   * @param {Object} options - Card options
+   * @param {string} [options.jobId] - Job the card shows results for
+   */
+  async open({ jobId } = {}) {
+    const anchor = this.getSelectionRect();
+    const theme = await this.loadTheme();
+    
+    // A result or streamed text for this job already opened the card while the theme was loading
+    if (jobId && this.host && this.jobId === jobId && this.state) return;
+    
+    this.mount();
+    this.host.dataset.theme = theme;
+    this.jobId = jobId || null;
+    this.result = '';
+    this.setState('loading');
+    this.body.innerHTML = `
+      <div class="card-loading">
+        <span class="card-spinner"></span>
+        Processing with AI...
+      </div>
+    `;
+    this.position(anchor);
+  }
+  
+  /**
+   * Show partial text while the response streams in
+   * @param {string} text - Text received so far
+   * @param {string} [jobId] - Job the text belongs to
+   */
+  update(text, jobId) {
+    if (!this.isShowing(jobId)) return;
+    
+    this.result = text;
+    this.setState('streaming');
+    this.renderResult(text);
+    this.body.scrollTop = this.body.scrollHeight;
+  }
+  
+  /**
+   * Show the complete result
+   * @param {string} result - LLM response text
+   * @param {string} [jobId] - Job the result belongs to
+   */
+  async showResult(result, jobId) {
+    // Non-streamed results may arrive without the card having been opened
+    if (!this.host) {
+      await this.open({ jobId });
+    }
+    if (!this.isShowing(jobId)) return;
+    
+    this.result = result;
+    this.setState('result');
+    this.renderResult(result);
+  }
+  
+  /**
+   * Show an error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    if (!this.host) return;
+    
+    this.result = '';
+    this.setState('error');
+    this.body.innerHTML = `<div class="card-error">${Sanitize.escapeHtml(message)}</div>`;
+  }
+  
+  /**
+   * Mark the result as stopped
+   * @param {string} [jobId] - ID of the cancelled job
+   */
+  showCancelled(jobId) {
+    if (!this.isShowing(jobId) || this.state === 'result') return;
+    
+    if (this.result) {
+      this.setState('result');
+      this.body.insertAdjacentHTML('beforeend', '<div class="card-status">Stopped</div>');
+    } else {
+      this.close({ cancel: false });
+    }
+  }
+  
+  /**
+   * Remove the card, cancelling its request if it's still running
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.cancel=true] - Cancel an unfinished request
+   */
+  close({ cancel = true } = {}) {
+    if (!this.host) return;
+    
+    if (cancel && (this.state === 'loading' || this.state === 'streaming')) {
+      chrome.runtime.sendMessage({
+        action: ACTION_TYPES.CANCEL_REQUEST,
+        jobId: this.jobId
+      }).catch(error => {
+        console.debug('Failed to cancel request:', error);
+      });
+    }
+    
+    this.host.remove();
+    this.host = null;
+    this.root = null;
+    this.card = null;
+    this.body = null;
+    this.jobId = null;
+    this.state = null;
+  }
+  
+  /**
+   * Check whether the card is showing the given job
+   * @param {string} [jobId] - Job ID from a background message
+   * @returns {boolean}
+   */
+  isShowing(jobId) {
+    return Boolean(this.host) && (!jobId || !this.jobId || jobId === this.jobId);
+  }
+  
+  /**
+   * Create the card element and attach it to the page
+   */
+  mount() {
+    if (this.host) return;
+    
+    this.host = document.createElement('chrome-copilot-card');
+    this.host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647;';
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    
+    this.root.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('styles/card.css')}">
+      <div class="card" role="dialog" aria-label="Chrome Copilot">
+        <div class="card-header">
+          <span class="card-title">Chrome Copilot</span>
+          <div class="card-actions">
+            <button class="card-btn copy-btn" title="Copy result">📋</button>
+            <button class="card-btn close-btn" title="Close">×</button>
+          </div>
+        </div>
+        <div class="card-body"></div>
+      </div>
+    `;
+    
+    this.card = this.root.querySelector('.card');
+    this.body = this.root.querySelector('.card-body');
+    Display.bindCodeBlockActions(this.body);
+    
+    const copyBtn = this.root.querySelector('.copy-btn');
+    copyBtn.addEventListener('click', async () => {
+      if (!this.result) return;
+      
+      try {
+        await Display.copyResult(this.result);
+        copyBtn.textContent = '✓';
+        setTimeout(() => {
+          copyBtn.textContent = '📋';
+        }, 2000);
+      } catch (error) {
+        console.error('Copy failed:', error);
+      }
+    });
+    
+    this.root.querySelector('.close-btn').addEventListener('click', () => this.close());
+    this.enableDragging(this.root.querySelector('.card-header'));
+    
+    document.documentElement.appendChild(this.host);
+  }
+  
+  /**
+   * Render markdown result text into the card body
+   * @param {string} text - Result text
+   */
+  renderResult(text) {
+    // Model output is untrusted; formatResult sanitizes it before it enters the page's document
+    this.body.innerHTML = Display.formatResult(text);
+  }
+  
+  /**
+   * Set the card state, shown through a data attribute for styling
+   * @param {string} state - 'loading', 'streaming', 'result' or 'error'
+   */
+  setState(state) {
+    this.state = state;
+    this.card.dataset.state = state;
+  }
+  
+  /**
+   * Load the configured theme for the card
+   * @returns {Promise<string>} 'light' or 'dark'
+   */
+  async loadTheme() {
+    try {
+      const config = await Storage.loadConfig();
+      return Display.resolveTheme(config.theme || DEFAULT_CONFIG.theme);
+    } catch (error) {
+      console.error('Error loading card theme:', error);
+      return 'light';
+    }
+  }
+  
+  /**
+   * Get the viewport rectangle of the current selection
+   * @returns {DOMRect|null} Selection bounds, or null without a selection
+   */
+  getSelectionRect() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return null;
+    }
+    
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    return rect.width || rect.height ? rect : null;
+  }
+  
+  /**
+   * Place the card below the selection, or above it if there's no room
+   * @param {DOMRect|null} anchor - Selection bounds
+   */
+  position(anchor) {
+    if (!anchor) {
+      // Without a selection the card goes to the top right corner
+      this.moveTo(window.innerWidth, CARD_MARGIN);
+      return;
+    }
+    
+    const height = this.card.offsetHeight;
+    let top = anchor.bottom + CARD_MARGIN;
+    if (top + height > window.innerHeight && anchor.top - CARD_MARGIN - height > 0) {
+      top = anchor.top - CARD_MARGIN - height;
+    }
+    
+    this.moveTo(anchor.left, top);
+  }
+  
+  /**
+   * Move the card, keeping it inside the viewport
+   * @param {number} left - Left offset in pixels
+   * @param {number} top - Top offset in pixels
+   */
+  moveTo(left, top) {
+    const maxLeft = Math.max(CARD_MARGIN, window.innerWidth - CARD_WIDTH - CARD_MARGIN);
+    const maxTop = Math.max(CARD_MARGIN, window.innerHeight - CARD_MARGIN * 4);
+    
+    this.host.style.left = `${Math.min(Math.max(left, CARD_MARGIN), maxLeft)}px`;
+    this.host.style.top = `${Math.min(Math.max(top, CARD_MARGIN), maxTop)}px`;
+  }
+  
+  /**
+   * Let the card be dragged by its header
+   * @param {HTMLElement} handle - Element that starts a drag
+   */
+  enableDragging(handle) {
+    let offsetX = 0;
+    let offsetY = 0;
+    
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('button')) return;
+      
+      const rect = this.host.getBoundingClientRect();
+      offsetX = e.clientX - rect.left;
+      offsetY = e.clientY - rect.top;
+      handle.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+    
+    handle.addEventListener('pointermove', (e) => {
+      if (!handle.hasPointerCapture(e.pointerId)) return;
+      this.moveTo(e.clientX - offsetX, e.clientY - offsetY);
+    });
+    
+    handle.addEventListener('pointerup', (e) => {
+      handle.releasePointerCapture(e.pointerId);
+    });
+  }
+}
\ No newline at end of file
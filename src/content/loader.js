@@ -0,0 +1,15 @@
+/**
+ * Chrome Copilot - Content Script Loader
+ * 
+ * Chrome runs declared content scripts as classic scripts, so this loads the
+ * content script and its modules with a dynamic import. The modules are listed
+ * in the manifest's web_accessible_resources so the page can import them.
+ */
+
+(async () => {
+  try {
+    await import(chrome.runtime.getURL('src/content/content.js'));
+  } catch (error) {
+    console.error('Could not load the Chrome Copilot content script:', error);
+  }
+})();
\ No newline at end of file
@@ -4,58 +4,77 @@
  * This file contains default configuration values and constants used throughout the extension.
  */
 
+// Default prompt of the initial profile
+const DEFAULT_PROMPT = `Explain the following text in simple terms: {text}
+
+Context:
+- Source: {context.title}
+- URL: {context.url}
+- Time: {context.timestamp}`;
+
 /**
  * Default configuration for Chrome Copilot
  * @type {import('../config/storage.js').UserConfig}
  */
 export const DEFAULT_CONFIG = {
+  // Fields of the active profile, mirrored from `profiles`
   provider: 'openai',
   model: 'gpt-3.5-turbo',
-  endpoint: 'https://api.openai.com/v1/chat/completions',
-  defaultPrompt: `Explain the following text in simple terms: {text}
-
-Context:
-- Source: {context.title}
-- URL: {context.url}
-- Time: {context.timestamp}`,
+  endpoint: '',
+  temperature: 0.7,
+  defaultPrompt: DEFAULT_PROMPT,
+  profiles: [
+    {
+      id: 'openai',
+      name: 'OpenAI',
+      provider: 'openai',
+      endpoint: '',
+      model: 'gpt-3.5-turbo',
+      temperature: 0.7,
+      defaultPrompt: DEFAULT_PROMPT
+    }
+  ],
+  activeProfileId: 'openai',
   customPrompts: [
     { name: 'Summarize', template: 'Summarize this text: {text}' },
     { name: 'Translate to English', template: 'Translate to English: {text}' },
     { name: 'Explain like I\'m 5', template: 'Explain this like I\'m 5 years old: {text}' }
   ],
+  // Per-site overrides, checked in order (see config/site-rules.js)
+  siteRules: [],
   theme: 'system',
   displayLocation: 'popup',
   autoCopy: false,
+  // How copied results write formulas: 'latex' keeps the source, 'text' turns them into plain text
+  mathCopyFormat: 'latex',
+  streamResponses: true,
+  requestTimeout: 60,
+  // Attempts per request, including the first; rate limits and outages are retried
+  retryAttempts: 3,
+  // Profiles tried in order when a request fails in one of the listed ways (see api/fallback.js)
+  fallbackProfileIds: [],
+  fallbackOn: ['outage', 'quota', 'auth'],
+  cacheResponses: true,
+  cacheTtlHours: 24,
+  cacheMaxEntries: 100,
   saveHistory: true,
-  maxHistoryItems: 50
+  maxHistoryItems: 1000,
+  // Monthly spending limit in USD (0 turns it off); a warning is shown past the percentage
+  monthlyBudget: 0,
+  budgetWarningPercent: 80
 };
 
 /**
- * Supported LLM providers
- * @type {Array<{value: string, label: string, models: string[]}>}
+ * Prompt sent with images and screenshots; {text} is the image's label
+ * (e.g. "Image: chart.png") and page context is filled in as usual
+ * @type {string}
  */
-export const PROVIDERS = [
-  {
-    value: 'openai',
-    label: 'OpenAI',
-    models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-3.5-turbo-instruct']
-  },
-  {
-    value: 'anthropic',
-    label: 'Anthropic',
-    models: ['claude-3-opus-20240229', 'claude-3-sonnet-20240229', 'claude-3-haiku-20240307']
-  },
-  {
-    value: 'deepseek',
-    label: 'DeepSeek',
-    models: ['deepseek-chat', 'deepseek-coder', 'deepseek-reasoner']
-  },
-  {
-    value: 'custom',
-    label: 'Custom API',
-    models: ['custom']
-  }
-];
+export const IMAGE_PROMPT = `Explain what this image shows. Read out any text in it, and describe what charts, diagrams or screenshots mean.
+
+Context:
+- Image: {text}
+- Source: {context.title}
+- URL: {context.url}`;
 
 /**
  * Available themes
@@ -74,7 +93,8 @@ export const THEMES = [
 export const DISPLAY_LOCATIONS = [
   { value: 'popup', label: 'Popup' },
   { value: 'sidepanel', label: 'Side Panel' },
-  { value: 'notification', label: 'Notification' }
+  { value: 'notification', label: 'Notification' },
+  { value: 'inpage', label: 'In-Page Card' }
 ];
 
 /**
@@ -87,7 +107,19 @@ export const ACTION_TYPES = {
   GET_SELECTION: 'getSelection',
   SHOW_RESULT: 'showResult',
   SHOW_ERROR: 'showError',
-  UPDATE_STATUS: 'updateStatus'
+  UPDATE_STATUS: 'updateStatus',
+  STREAM_START: 'streamStart',
+  STREAM_CHUNK: 'streamChunk',
+  STREAM_END: 'streamEnd',
+  REQUEST_RETRY: 'requestRetry',
+  REQUEST_FALLBACK: 'requestFallback',
+  NEW_RESULT: 'newResult',
+  GET_PENDING_RESULTS: 'getPendingResults',
+  CANCEL_REQUEST: 'cancelRequest',
+  REQUEST_CANCELLED: 'requestCancelled',
+  REQUEST_PROGRESS: 'requestProgress',
+  SHOW_CARD: 'showCard',
+  EXPLAIN_PAGE: 'explainPage'
 };
 
 /**
@@ -99,7 +131,15 @@ export const ERROR_MESSAGES = {
   NETWORK_ERROR: 'Network error. Please check your connection and try again.',
   API_ERROR: 'API error. Please check your API key and configuration.',
   NO_SELECTION: 'No text selected. Please select some text first.',
-  INVALID_CONFIG: 'Invalid configuration. Please check your settings.'
+  REQUEST_TIMEOUT: 'The provider stopped responding. Please try again later.',
+  INVALID_CONFIG: 'Invalid configuration. Please check your settings.',
+  VAULT_LOCKED: 'Your API keys are locked. Open the Chrome Copilot popup and enter your passphrase to unlock them.',
+  SITE_DISABLED: 'Chrome Copilot is turned off for this site by a site rule.',
+  BUDGET_EXCEEDED: 'Your monthly budget has been spent. Raise it in extension settings to keep using paid providers this month.',
+  IMAGES_UNSUPPORTED: 'The selected provider can\'t read images. Switch to an OpenAI or Anthropic profile with a vision model to explain images.',
+  IMAGE_UNAVAILABLE: 'This image couldn\'t be loaded. The site may not allow it to be downloaded; try "Explain visible area" instead.',
+  NO_ARTICLE: 'No readable text was found on this page. Try selecting the part you want explained instead.',
+  SETTINGS_TOO_LARGE: 'Settings are too large to sync. Shorten long prompts, or remove profiles or site rules you no longer use, then save again.'
 };
 
 /**
@@ -108,7 +148,10 @@ export const ERROR_MESSAGES = {
  */
 export const STORAGE_KEYS = {
   CONFIG: 'config',
-  HISTORY: 'history'
+  HISTORY: 'history',
+  HISTORY_UPDATED: 'historyUpdated',
+  KEY_VAULT: 'keyVault',
+  KEY_VAULT_SESSION: 'keyVaultSession'
 };
 
 /**
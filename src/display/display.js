@@ -7,6 +7,9 @@
 
 import { Storage } from '../config/storage.js';
 import { DEFAULT_CONFIG } from '../core/constants.js';
+import { Sanitize } from '../utils/sanitize.js';
+import { renderMarkdown, replaceMath, MARKDOWN_SANITIZE_OPTIONS } from './markdown.js';
+import { latexToText } from './math.js';
 
 export class Display {
   /**
@@ -34,50 +37,58 @@ export class Display {
   
   /**
    * Format LLM response for display
-   * @param {string} text - Raw LLM response text
-   * @returns {string} HTML-formatted text
+   * @param {string} text - Raw LLM response text (markdown)
+   * @returns {string} Sanitized HTML wrapped in a markdown container
    */
   static formatResult(text) {
     if (!text) return '';
     
-    // Basic markdown-like formatting
-    let html = text;
-    
-    // Convert line breaks to <br>
-    html = html.replace(/\n/g, '<br>');
-    
-    // Convert **bold** to <strong>
-    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    
-    // Convert *italic* to <em>
-    html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-    
-    // Convert `code` to <code>
-    html = html.replace(/`(.*?)`/g, '<code>$1</code>');
-    
-    // Convert lists starting with - or *
-    html = html.replace(/^[*-]\s+(.*)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
-    
-    // Convert numbered lists (1., 2., etc.)
-    html = html.replace(/^\d+\.\s+(.*)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>)/s, '<ol>$1</ol>');
-    
-    // Convert headings (## Heading -> <h3>Heading</h3>)
-    html = html.replace(/^###\s+(.*)$/gm, '<h4>$1</h4>');
-    html = html.replace(/^##\s+(.*)$/gm, '<h3>$1</h3>');
-    html = html.replace(/^#\s+(.*)$/gm, '<h2>$1</h2>');
-    
-    // Convert blockquotes (> quote)
-    html = html.replace(/^>\s+(.*)$/gm, '<blockquote>$1</blockquote>');
-    
-    // Convert links [text](url) to <a> tags
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+    // The renderer escapes raw HTML; sanitizing again guards every view against renderer bugs
+    return Sanitize.sanitizeHtml(
+      `<div class="markdown-content">${renderMarkdown(text)}</div>`,
+      MARKDOWN_SANITIZE_OPTIONS
+    );
+  }
+  
+  /**
+   * Format the thumbnail of an explained image
+   * @param {Object|null} image - Image description saved with a result ({ thumbnail, source, url })
+   * @param {string} [className] - Class of the image element
+   * @returns {string} Image element, or '' if there is no usable thumbnail
+   */
+  static formatImageThumbnail(image, className = 'image-thumbnail') {
+    // Imported history may hold anything, so only inline raster images are shown
+    if (!/^data:image\/(png|jpeg|gif|webp);base64,[\w+/=]+$/.test(image?.thumbnail || '')) return '';
     
-    // Wrap the whole content in a markdown container
-    html = `<div class="markdown-content">${html}</div>`;
+    const alt = image.source === 'screenshot' ? 'Screenshot' : 'Image';
+    return `<img class="${Sanitize.escapeHtml(className)}" src="${image.thumbnail}" alt="${alt}">`;
+  }
+  
+  /**
+   * Format follow-up turns of a conversation for display
+   * @param {Array<{role: string, content: string}>} messages - Follow-up messages (after the initial result)
+   * @returns {string} HTML-formatted thread
+   */
+  static formatConversation(messages) {
+    if (!messages || messages.length === 0) return '';
     
-    return html;
+    return messages.map(message => {
+      if (message.role === 'user') {
+        return `
+          <div class="conversation-turn conversation-turn-user">
+            <div class="conversation-role">You</div>
+            <div class="conversation-text">${Sanitize.escapeHtml(message.content)}</div>
+          </div>
+        `;
+      }
+      
+      return `
+        <div class="conversation-turn conversation-turn-assistant">
+          <div class="conversation-role">Assistant</div>
+          ${this.formatResult(message.content)}
+        </div>
+      `;
+    }).join('');
   }
   
   /**
@@ -109,6 +120,58 @@ export class Display {
     }
   }
   
+  /**
+   * Copy a result, writing its formulas as the mathCopyFormat setting asks
+   * @param {string} text - Raw LLM response text
+   * @returns {Promise<void>}
+   */
+  static async copyResult(text) {
+    const config = await Storage.loadConfig();
+    const format = config.mathCopyFormat || DEFAULT_CONFIG.mathCopyFormat;
+    
+    await this.copyToClipboard(format === 'text' ? this.getPlainTextMath(text) : text);
+  }
+  
+  /**
+   * Replace LaTeX formulas with readable plain text (formulas that can't be parsed keep their source)
+   * @param {string} text - Raw LLM response text
+   * @returns {string} Text with plain-text math
+   */
+  static getPlainTextMath(text) {
+    return replaceMath(text, (latex, displayMode, source) => latexToText(latex) ?? source);
+  }
+  
+  /**
+   * Handle the copy and wrap buttons of code blocks rendered by formatResult
+   * 
+   * One listener on the container covers every block inside it, including
+   * blocks rendered later, so views bind once even while results stream in.
+   * @param {HTMLElement|ShadowRoot} container - Element that holds formatted results
+   */
+  static bindCodeBlockActions(container) {
+    container.addEventListener('click', async (event) => {
+      const button = event.target.closest('.code-action');
+      const block = button?.closest('.code-block');
+      if (!block) return;
+      
+      if (button.classList.contains('code-wrap')) {
+        const wrapped = block.classList.toggle('wrap');
+        button.setAttribute('aria-pressed', String(wrapped));
+        return;
+      }
+      
+      try {
+        await this.copyToClipboard(block.querySelector('code')?.textContent || '');
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+          button.textContent = 'Copy';
+        }, 2000);
+      } catch (error) {
+        console.error('Copy failed:', error);
+      }
+    });
+  }
+  
   /**
    * Show desktop notification
    * @param {string} title - Notification title
@@ -291,11 +354,7 @@ export class Display {
     document.documentElement.removeAttribute('data-theme');
     document.body.classList.remove('theme-light', 'theme-dark');
     
-    // Determine actual theme (handle 'system')
-    let actualTheme = theme;
-    if (theme === 'system') {
-      actualTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-    }
+    const actualTheme = this.resolveTheme(theme);
     
     // Apply theme
     document.documentElement.setAttribute('data-theme', actualTheme);
@@ -305,6 +364,18 @@ export class Display {
     chrome.storage.local.set({ currentTheme: actualTheme });
   }
   
+  /**
+   * Resolve a theme setting to the theme that is actually shown
+   * @param {string} theme - Theme name ('light', 'dark', 'system')
+   * @returns {string} 'light' or 'dark'
+   */
+  static resolveTheme(theme) {
+    if (theme === 'system') {
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    return theme === 'dark' ? 'dark' : 'light';
+  }
+  
   /**
    * Initialize theme based on user configuration
    * @returns {Promise<void>}
@@ -358,7 +429,7 @@ export class Display {
     if (copyBtn) {
       copyBtn.addEventListener('click', async () => {
         try {
-          await this.copyToClipboard(result);
+          await this.copyResult(result);
           copyBtn.innerHTML = '<span class="btn-icon">✓</span> Copied!';
           setTimeout(() => {
             copyBtn.innerHTML = '<span class="btn-icon">📋</span> Copy';
@@ -369,6 +440,8 @@ export class Display {
       });
     }
     
+    this.bindCodeBlockActions(container);
+    
     const closeBtn = container.querySelector('.close-btn');
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
@@ -380,7 +453,8 @@ export class Display {
   }
 }
 
-// Initialize theme when module loads (for popup and options pages)
-if (typeof document !== 'undefined') {
+// Initialize theme when module loads (for popup and options pages, not web pages
+// where the content script uses this module)
+if (typeof document !== 'undefined' && location.protocol === 'chrome-extension:') {
   Display.initTheme().catch(console.error);
 }
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Chrome Copilot - Syntax Highlighter
+ *
+ * This module colours code blocks in results. Each language is a list of
+ * token rules tried in order at every position; the first rule that matches
+ * wins and text no rule matches is left plain. It is much simpler than a real
+ * parser but small enough to bundle with the extension. Colours come from the
+ * --code-* variables in the stylesheets, which change with the theme.
+ */
+
+import { Sanitize } from '../utils/sanitize.js';
+
+/**
+ * Build a sticky pattern matching whole words
+ * @param {string} list - Space-separated words
+ * @param {string} [flags] - Extra regex flags
+ * @returns {RegExp}
+ */
+function words(list, flags = '') {
+  return new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, `y${flags}`);
+}
+
+// Rules shared by several languages
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+const DOUBLE_QUOTED = /"(?:\\.|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^\\'\n])*'?/y;
+const LINE_COMMENT = /\/\/.*/y;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const FUNCTION_CALL = /[A-Za-z_$][\w$]*(?=\s*\()/y;
+
+// Identifiers are consumed whole so keywords never match inside them
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * Build the rules of a C-style language
+ * @param {string} keywords - Space-separated keywords
+ * @param {string} [literals] - Space-separated literal values
+ * @returns {Array<[string|null, RegExp]>}
+ */
+function cLike(keywords, literals = 'true false null') {
+  return [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['number', NUMBER],
+    ['keyword', words(keywords)],
+    ['literal', words(literals)],
+    ['function', FUNCTION_CALL],
+    [null, IDENTIFIER]
+  ];
+}
+
+const GRAMMARS = {
+  javascript: [
+    ['comment', LINE_COMMENT],
+    ['comment', BLOCK_COMMENT],
+    ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['number', NUMBER],
+    ['keyword', words('abstract as async await break case catch class const continue debugger declare default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of private protected public readonly return set static super switch this throw try type typeof var void while with yield')],
+    ['literal', words('true false null undefined NaN Infinity')],
+    ['function', FUNCTION_CALL],
+    [null, IDENTIFIER]
+  ],
+  python: [
+    ['comment', /#.*/y],
+    ['string', /[rbfuRBFU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y],
+    ['string', /[rbfuRBFU]{0,2}(?:"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y],
+    ['number', NUMBER],
+    ['meta', /@[\w.]+/y],
+    ['keyword', words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield')],
+    ['literal', words('True False None self')],
+    ['function', FUNCTION_CALL],
+    [null, IDENTIFIER]
+  ],
+  json: [
+    ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+    ['string', DOUBLE_QUOTED],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ['literal', words('true false null')]
+  ],
+  css: [
+    ['comment', BLOCK_COMMENT],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['keyword', /@[\w-]+/y],
+    ['property', /-{0,2}[A-Za-z][\w-]*(?=\s*:[^{}]*[;}])/y],
+    ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y],
+    ['function', /[A-Za-z-][\w-]*(?=\()/y],
+    [null, /[A-Za-z_-][\w-]*/y]
+  ],
+  markup: [
+    ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+    ['tag', /<\/?[A-Za-z][\w:-]*|\/?>/y],
+    ['attribute', /[A-Za-z_:@][\w:.-]*(?==)/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED]
+  ],
+  bash: [
+    ['comment', /(?<![^\s])#.*/y],
+    ['string', DOUBLE_QUOTED],
+    ['string', SINGLE_QUOTED],
+    ['variable', /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/y],
+    ['keyword', words('case do done elif else esac export fi for function if in local return then until while')],
+    ['number', /\b\d+\b/y],
+    [null, /[\w-]+/y]
+  ],
+  sql: [
+    ['comment', /--.*/y],
+    ['comment', BLOCK_COMMENT],
+    ['string', SINGLE_QUOTED],
+    ['string', DOUBLE_QUOTED],
+    ['number', NUMBER],
+    ['keyword', words('add all alter and as asc begin between by case check column commit constraint create cross database default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not offset on or order outer primary references right rollback select set table then union unique update values view when where with', 'i')],
+    ['literal', words('null true false', 'i')],
+    ['function', FUNCTION_CALL],
+    [null, IDENTIFIER]
+  ],
+  c: cLike('auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class namespace template typename using public private protected virtual new delete this throw try catch', 'true false NULL nullptr'),
+  java: cLike('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws try var void volatile while record sealed'),
+  csharp: cLike('abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit in int interface internal is lock long namespace new object out override params private protected public readonly record ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void volatile while'),
+  go: cLike('break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var', 'true false nil iota'),
+  rust: cLike('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while', 'true false None Some Ok Err'),
+  diff: [
+    ['inserted', /(?<=^|\n)\+.*/y],
+    ['deleted', /(?<=^|\n)-.*/y],
+    ['meta', /(?<=^|\n)@@.*/y]
+  ]
+};
+
+// Info strings models use for each grammar
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+  py: 'python', python3: 'python',
+  jsonc: 'json',
+  scss: 'css', less: 'css',
+  html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c',
+  kotlin: 'java', kt: 'java',
+  cs: 'csharp', 'c#': 'csharp',
+  golang: 'go',
+  rs: 'rust',
+  patch: 'diff'
+};
+
+/**
+ * Highlight code
+ * @param {string} code - Code text
+ * @param {string} language - Fence info string
+ * @returns {string} Escaped HTML with <span class="hl-*"> tokens (plain escaped text for unknown languages)
+ */
+export function highlightCode(code, language) {
+  const grammar = getGrammar(language);
+  if (!grammar || !code) {
+    return Sanitize.escapeHtml(code || '');
+  }
+  
+  const html = [];
+  let plain = '';
+  let index = 0;
+  
+  while (index < code.length) {
+    const token = matchToken(grammar, code, index);
+    
+    if (!token) {
+      plain += code[index];
+      index++;
+      continue;
+    }
+    
+    if (token.type) {
+      html.push(Sanitize.escapeHtml(plain), `<span class="hl-${token.type}">${Sanitize.escapeHtml(token.text)}</span>`);
+      plain = '';
+    } else {
+      plain += token.text;
+    }
+    
+    index += token.text.length;
+  }
+  
+  html.push(Sanitize.escapeHtml(plain));
+  return html.join('');
+}
+
+/**
+ * Find the rule that matches at a position
+ * @returns {{type: string|null, text: string}|null}
+ */
+function matchToken(grammar, code, index) {
+  for (const [type, pattern] of grammar) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(code);
+    if (match && match[0]) {
+      return { type, text: match[0] };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Look up the grammar for a fence info string
+ * @param {string} language - Fence info string
+ * @returns {Array|null}
+ */
+function getGrammar(language) {
+  const name = (language || '').toLowerCase();
+  const key = Object.hasOwn(ALIASES, name) ? ALIASES[name] : name;
+  return Object.hasOwn(GRAMMARS, key) ? GRAMMARS[key] : null;
+}
\ No newline at end of file
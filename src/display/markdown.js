@@ -0,0 +1,627 @@
+/**
+ * Chrome Copilot - Markdown Renderer
+ *
+ * This module turns model output into HTML. It covers the parts of CommonMark
+ * that models produce (headings, paragraphs, emphasis, links, block quotes,
+ * nested lists, fenced and indented code) and the GitHub extensions for
+ * tables, task lists, strikethrough and bare URLs. HTML in the text is always
+ * escaped, never passed through, and callers still run the output through
+ * Sanitize.sanitizeHtml with MARKDOWN_SANITIZE_OPTIONS.
+ */
+
+import { Sanitize } from '../utils/sanitize.js';
+import { highlightCode } from './highlight.js';
+import { renderMath, MATH_SANITIZE_TAGS, MATH_SANITIZE_ATTRIBUTES } from './math.js';
+
+/**
+ * Tags and attributes the renderer produces, for Sanitize.sanitizeHtml
+ */
+export const MARKDOWN_SANITIZE_OPTIONS = {
+  allowedTags: [
+    'div', 'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'span', 'a', 'button',
+    'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'ul', 'ol', 'li', 'input',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    ...MATH_SANITIZE_TAGS
+  ],
+  allowedAttributes: {
+    'div': ['class'],
+    'code': ['class'],
+    'span': ['class', 'title'],
+    'li': ['class'],
+    'ol': ['start'],
+    'input': ['type', 'checked', 'disabled'],
+    'button': ['type', 'class', 'title', 'aria-pressed'],
+    'th': ['align'],
+    'td': ['align'],
+    'a': ['href', 'title', 'target', 'rel'],
+    ...MATH_SANITIZE_ATTRIBUTES
+  },
+  // Long answers are expected; the limit only stops runaway output
+  maxLength: 500000
+};
+
+// Block-level patterns
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const TASK = /^\[([ xX])\][ \t]+/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE = /^ {4}/;
+const MATH_BLOCK = /^ {0,3}(\$\$|\\\[)(.*)$/;
+
+// Block quotes and lists nested deeper than this are shown as plain text, so a
+// reply of thousands of ">" can't exhaust the stack
+const MAX_NESTING_DEPTH = 16;
+
+// $$display$$, \[display\], \(inline\) and $inline$; a single $ must hug a formula on one line, so prices aren't math
+const INLINE_MATH = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$\w])\$(?![\s$])((?:\\.|[^\\$\n`])+?)(?<!\s)\$(?![\d$])/g;
+
+// Fenced code and code spans, skipped when looking for math in the source
+const CODE_OR_MATH = new RegExp(`(^ {0,3}(\`{3,}|~{3,})[\\s\\S]*?(?:^ {0,3}\\2[ \\t]*$|(?![\\s\\S]))|(?<!\`)(\`+)(?!\`)[\\s\\S]*?(?<!\`)\\3(?!\`))|${INLINE_MATH.source}`, 'gm');
+
+// Characters a backslash can escape
+const ESCAPABLE = /\\([!-/:-@[-`{-~])/g;
+
+// Stashed inline HTML is marked with private-use characters, which are removed from the text first
+const PLACEHOLDER = /\uE000(\d+)\uE001/g;
+
+/**
+ * Render markdown as HTML
+ * @param {string} text - Markdown text
+ * @returns {string} HTML (not yet sanitized)
+ */
+export function renderMarkdown(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  
+  const lines = text
+    .replace(/[\uE000\uE001]/g, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+  
+  return renderBlocks(lines, false);
+}
+
+/**
+ * Replace the math in markdown text, leaving code blocks and code spans as they are
+ * @param {string} text - Markdown text
+ * @param {Function} replacer - Called with (latex, displayMode, source); returns the replacement
+ * @returns {string} Text with each formula replaced
+ */
+export function replaceMath(text, replacer) {
+  if (!text) {
+    return '';
+  }
+  
+  return text.replace(CODE_OR_MATH, (match, code, fence, ticks, dollars, brackets, parens, dollar) => {
+    if (code !== undefined) {
+      return match;
+    }
+    
+    const displayMode = dollars !== undefined || brackets !== undefined;
+    return replacer(dollars ?? brackets ?? parens ?? dollar, displayMode, match);
+  });
+}
+
+/**
+ * Render a sequence of lines as blocks
+ * @param {string[]} lines - Lines, already stripped of any container indentation
+ * @param {boolean} tight - Render paragraphs without <p> (items of tight lists)
+ * @param {number} [depth=0] - Number of block quotes and lists the lines are inside
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, tight, depth = 0) {
+  if (depth > MAX_NESTING_DEPTH) {
+    const text = lines.map(line => line.trim()).filter(Boolean).join('\n');
+    const content = renderInline(text);
+    return tight || !text ? content : `<p>${content}</p>`;
+  }
+  
+  const html = [];
+  let index = 0;
+  
+  while (index < lines.length) {
+    const line = lines[index];
+    
+    if (isBlank(line)) {
+      index++;
+      continue;
+    }
+    
+    const fence = line.match(FENCE);
+    if (fence) {
+      index = readFence(lines, index, fence, html);
+      continue;
+    }
+    
+    const math = matchMathBlock(line);
+    if (math) {
+      index = readMathBlock(lines, index, math, html);
+      continue;
+    }
+    
+    const heading = line.match(HEADING);
+    if (heading) {
+      // Headings start at <h2>, so a model's "#" doesn't outrank the page's own title
+      const tag = `h${Math.min(heading[1].length + 1, 6)}`;
+      html.push(`<${tag}>${renderInline(heading[2] || '')}</${tag}>`);
+      index++;
+      continue;
+    }
+    
+    if (THEMATIC_BREAK.test(line)) {
+      html.push('<hr>');
+      index++;
+      continue;
+    }
+    
+    if (BLOCKQUOTE.test(line)) {
+      index = readBlockquote(lines, index, html, depth);
+      continue;
+    }
+    
+    if (isTableStart(lines, index)) {
+      index = readTable(lines, index, html);
+      continue;
+    }
+    
+    const item = line.match(LIST_ITEM);
+    if (item && item[1].length < 4) {
+      index = readList(lines, index, html, depth);
+      continue;
+    }
+    
+    if (INDENTED_CODE.test(line)) {
+      index = readIndentedCode(lines, index, html);
+      continue;
+    }
+    
+    index = readParagraph(lines, index, html, tight);
+  }
+  
+  return html.join('');
+}
+
+/**
+ * Read a fenced code block; an unclosed fence runs to the end, as it does while streaming
+ * @returns {number} Index of the first line after the block
+ */
+function readFence(lines, start, fence, html) {
+  const [, indent, marker, language] = fence;
+  const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+  const removeIndent = new RegExp(`^ {0,${indent.length}}`);
+  const code = [];
+  let index = start + 1;
+  
+  while (index < lines.length && !closing.test(lines[index])) {
+    code.push(lines[index].replace(removeIndent, ''));
+    index++;
+  }
+  
+  html.push(renderCodeBlock(code.join('\n'), language));
+  return index + 1;
+}
+
+/**
+ * Read an indented code block
+ * @returns {number} Index of the first line after the block
+ */
+function readIndentedCode(lines, start, html) {
+  const code = [];
+  let index = start;
+  
+  while (index < lines.length && (INDENTED_CODE.test(lines[index]) || isBlank(lines[index]))) {
+    code.push(lines[index].slice(4));
+    index++;
+  }
+  
+  // Blank lines after the code belong to the document, not the block
+  while (code.length > 0 && isBlank(code[code.length - 1])) {
+    code.pop();
+  }
+  
+  html.push(renderCodeBlock(code.join('\n'), ''));
+  return index;
+}
+
+/**
+ * Check whether a line opens a display math block ($$ or \[ at the start of the line)
+ * @param {string} line - Line to check
+ * @returns {{close: string, rest: string}|null} Closing delimiter and the text after the opening one
+ */
+function matchMathBlock(line) {
+  const match = line.match(MATH_BLOCK);
+  if (!match) {
+    return null;
+  }
+  
+  // "$$x$$ and more" is a paragraph with math in it
+  const close = match[1] === '$$' ? '$$' : '\\]';
+  const end = match[2].indexOf(close);
+  if (end !== -1 && match[2].slice(end + close.length).trim()) {
+    return null;
+  }
+  
+  return { close, rest: match[2] };
+}
+
+/**
+ * Read a display math block; an unclosed block runs to the end, as it does while streaming
+ * @returns {number} Index of the first line after the block
+ */
+function readMathBlock(lines, start, math, html) {
+  const latex = [];
+  let text = math.rest;
+  let index = start;
+  
+  while (index < lines.length) {
+    const end = text.indexOf(math.close);
+    index++;
+    
+    if (end !== -1) {
+      latex.push(text.slice(0, end));
+      break;
+    }
+    
+    latex.push(text);
+    text = lines[index];
+  }
+  
+  const source = lines.slice(start, index).join('\n').trim();
+  html.push(`<div class="math-block">${renderMath(latex.join('\n'), true, source)}</div>`);
+  return index;
+}
+
+/**
+ * Render a highlighted code block with its language label and actions
+ *
+ * The copy and wrap buttons only work once Display.bindCodeBlockActions has
+ * been called on a container of the block.
+ * @param {string} code - Code text
+ * @param {string} language - Info string of the fence
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, language) {
+  const name = (language || '').toLowerCase().replace(/[^\w+#-]/g, '');
+  const className = name ? ` class="language-${name}"` : '';
+  const toolbar = '<div class="code-toolbar">' +
+    `<span class="code-language">${name}</span>` +
+    '<button type="button" class="code-action code-wrap" title="Wrap long lines" aria-pressed="false">Wrap</button>' +
+    '<button type="button" class="code-action code-copy" title="Copy code">Copy</button>' +
+    '</div>';
+  
+  return `<div class="code-block">${toolbar}<pre><code${className}>${highlightCode(code, name)}</code></pre></div>`;
+}
+
+/**
+ * Read a block quote, including lazy continuation lines of a quoted paragraph
+ * @returns {number} Index of the first line after the quote
+ */
+function readBlockquote(lines, start, html, depth) {
+  const quoted = [];
+  let index = start;
+  
+  while (index < lines.length) {
+    const line = lines[index];
+    
+    if (BLOCKQUOTE.test(line)) {
+      quoted.push(line.replace(BLOCKQUOTE, ''));
+    } else if (!isBlank(line) && !isBlank(quoted[quoted.length - 1]) && !startsBlock(line)) {
+      quoted.push(line);
+    } else {
+      break;
+    }
+    
+    index++;
+  }
+  
+  html.push(`<blockquote>${renderBlocks(quoted, false, depth + 1)}</blockquote>`);
+  return index;
+}
+
+/**
+ * Check whether a table starts at a line (a header row followed by a delimiter row)
+ * @returns {boolean}
+ */
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  
+  return header.includes('|') &&
+    delimiter !== undefined &&
+    TABLE_DELIMITER.test(delimiter) &&
+    splitRow(header).length === splitRow(delimiter).length;
+}
+
+/**
+ * Read a table
+ * @returns {number} Index of the first line after the table
+ */
+function readTable(lines, start, html) {
+  const headers = splitRow(lines[start]);
+  const alignments = splitRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    return left ? 'left' : '';
+  });
+  
+  const renderCell = (tag, content, column) => {
+    const align = alignments[column] ? ` align="${alignments[column]}"` : '';
+    return `<${tag}${align}>${renderInline(content || '')}</${tag}>`;
+  };
+  
+  const rows = [];
+  let index = start + 2;
+  while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+    const cells = splitRow(lines[index]);
+    rows.push(`<tr>${headers.map((header, column) => renderCell('td', cells[column], column)).join('')}</tr>`);
+    index++;
+  }
+  
+  const head = `<thead><tr>${headers.map((header, column) => renderCell('th', header, column)).join('')}</tr></thead>`;
+  const body = rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '';
+  html.push(`<div class="table-wrapper"><table>${head}${body}</table></div>`);
+  return index;
+}
+
+/**
+ * Split a table row into cells
+ * @param {string} line - Row with cells separated by unescaped pipes
+ * @returns {string[]} Trimmed cell contents
+ */
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) {
+    row = row.slice(1);
+  }
+  if (row.endsWith('|') && !row.endsWith('\\|')) {
+    row = row.slice(0, -1);
+  }
+  
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Read a list and the lists nested in its items
+ *
+ * Nested lists only need to be indented past the parent's marker rather than
+ * to its content, because models often indent them by two spaces under
+ * numbered items.
+ * @returns {number} Index of the first line after the list
+ */
+function readList(lines, start, html, depth) {
+  const first = lines[start].match(LIST_ITEM);
+  const ordered = /\d/.test(first[2]);
+  const delimiter = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let index = start;
+  
+  while (index < lines.length) {
+    const marker = lines[index].match(LIST_ITEM);
+    if (!marker || THEMATIC_BREAK.test(lines[index]) || /\d/.test(marker[2]) !== ordered || marker[2].slice(-1) !== delimiter) {
+      break;
+    }
+    
+    // A blank line between items makes the whole list loose
+    if (items.length > 0 && items[items.length - 1].trailingBlank) {
+      loose = true;
+    }
+    
+    const markerIndent = marker[1].length;
+    const contentIndent = markerIndent + marker[2].length + Math.min(marker[3]?.length || 1, 4);
+    const itemLines = [marker[4] || ''];
+    index++;
+    
+    while (index < lines.length) {
+      const line = lines[index];
+      const indent = line.match(/^ */)[0].length;
+      
+      if (isBlank(line)) {
+        itemLines.push('');
+      } else if (indent <= markerIndent && LIST_ITEM.test(line)) {
+        break;
+      } else if (indent >= contentIndent) {
+        itemLines.push(line.slice(contentIndent));
+      } else if (indent > markerIndent) {
+        itemLines.push(line.slice(indent));
+      } else if (!isBlank(itemLines[itemLines.length - 1]) && !startsBlock(line)) {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trimStart());
+      } else {
+        break;
+      }
+      
+      index++;
+    }
+    
+    let trailingBlank = false;
+    while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+      itemLines.pop();
+      trailingBlank = true;
+    }
+    
+    if (itemLines.some(isBlank)) {
+      loose = true;
+    }
+    
+    const task = itemLines[0].match(TASK);
+    if (task) {
+      itemLines[0] = itemLines[0].slice(task[0].length);
+    }
+    
+    items.push({ lines: itemLines, task, trailingBlank });
+  }
+  
+  const listItems = items.map(item => {
+    const content = renderBlocks(item.lines, !loose, depth + 1);
+    if (!item.task) {
+      return `<li>${content}</li>`;
+    }
+    
+    const checked = item.task[1] === ' ' ? '' : ' checked';
+    return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ${content}</li>`;
+  }).join('');
+  
+  const number = parseInt(first[2], 10);
+  html.push(ordered
+    ? `<ol${number !== 1 ? ` start="${number}"` : ''}>${listItems}</ol>`
+    : `<ul>${listItems}</ul>`);
+  return index;
+}
+
+/**
+ * Read a paragraph
+ * @returns {number} Index of the first line after the paragraph
+ */
+function readParagraph(lines, start, html, tight) {
+  const text = [lines[start].trim()];
+  let index = start + 1;
+  
+  while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines[index]) && !isTableStart(lines, index)) {
+    text.push(lines[index].trim());
+    index++;
+  }
+  
+  const content = renderInline(text.join('\n'));
+  html.push(tight ? content : `<p>${content}</p>`);
+  return index;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ * @param {string} line - Line to check
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  const item = line.match(LIST_ITEM);
+  
+  return FENCE.test(line) ||
+    Boolean(matchMathBlock(line)) ||
+    HEADING.test(line) ||
+    THEMATIC_BREAK.test(line) ||
+    BLOCKQUOTE.test(line) ||
+    Boolean(item && item[1].length < 4 && item[4]);
+}
+
+/**
+ * Check whether a line is empty or whitespace
+ * @param {string} [line] - Line to check
+ * @returns {boolean}
+ */
+function isBlank(line) {
+  return line === undefined || line.trim() === '';
+}
+
+/**
+ * Render inline markdown
+ * @param {string} text - Text of a paragraph, heading or table cell
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const stash = [];
+  const keep = html => `\uE000${stash.push(html) - 1}\uE001`;
+  let html = formatInline(text, keep, true);
+  
+  // Stashed HTML can hold placeholders of its own (e.g. code inside a link)
+  while (html.includes('\uE000')) {
+    html = html.replace(PLACEHOLDER, (match, index) => stash[index]);
+  }
+  
+  return html;
+}
+
+/**
+ * Format inline markdown, stashing finished HTML so later steps leave it alone
+ * @param {string} text - Text to format
+ * @param {Function} keep - Stashes HTML and returns its placeholder
+ * @param {boolean} allowLinks - False inside link text, since links can't nest
+ * @returns {string} HTML with placeholders
+ */
+function formatInline(text, keep, allowLinks) {
+  let result = text;
+  
+  // Nothing inside a code span is formatted
+  result = result.replace(/(?<!`)(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    let content = code.replace(/\n/g, ' ');
+    if (/^ [\s\S]*\S[\s\S]* $/.test(content)) {
+      content = content.slice(1, -1);
+    }
+    return keep(`<code>${Sanitize.escapeHtml(content)}</code>`);
+  });
+  
+  // Math goes before backslash escapes, which would eat LaTeX commands
+  result = result.replace(INLINE_MATH, (match, dollars, brackets, parens, dollar) => {
+    const displayMode = dollars !== undefined || brackets !== undefined;
+    return keep(renderMath(dollars ?? brackets ?? parens ?? dollar, displayMode, match));
+  });
+  
+  result = result.replace(/\\\n/g, '\n');
+  result = result.replace(ESCAPABLE, (match, char) => keep(Sanitize.escapeHtml(char)));
+  
+  if (allowLinks) {
+    // <https://example.com>
+    result = result.replace(/<(https?:\/\/[^\s<>]+)>/gi, (match, url) => keep(renderLink(url, Sanitize.escapeHtml(url))));
+    
+    // [text](url "title"); images become links so model output never loads remote content
+    result = result.replace(
+      /!?\[((?:\\.|[^\]\\])*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+      (match, label, url, title) => keep(renderLink(url, formatInline(label || url, keep, false), title))
+    );
+    
+    // Bare URLs, without trailing punctuation or an unbalanced closing parenthesis
+    result = result.replace(/\b(?:https?:\/\/|www\.)[^\s<]+/gi, match => {
+      let url = match;
+      while (/[.,:;"'!?*_~]$/.test(url) || (url.endsWith(')') && count(url, '(') < count(url, ')'))) {
+        url = url.slice(0, -1);
+      }
+      
+      const href = url.toLowerCase().startsWith('www.') ? `https://${url}` : url;
+      return keep(renderLink(href, Sanitize.escapeHtml(url))) + match.slice(url.length);
+    });
+  }
+  
+  // Everything that is left is plain text
+  result = Sanitize.escapeHtml(result);
+  
+  return result
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * Render a link that opens in a new tab, or just its text if the URL is unsafe
+ * @param {string} url - Link target
+ * @param {string} label - Link text as HTML
+ * @param {string} [title] - Link title
+ * @returns {string} HTML
+ */
+function renderLink(url, label, title) {
+  if (!Sanitize.isSafeUrl(url)) {
+    return label;
+  }
+  
+  const titleAttribute = title ? ` title="${Sanitize.escapeHtml(title)}"` : '';
+  return `<a href="${Sanitize.escapeHtml(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * Count the occurrences of a character
+ * @param {string} text - Text to search
+ * @param {string} char - Character to count
+ * @returns {number}
+ */
+function count(text, char) {
+  return text.split(char).length - 1;
+}
\ No newline at end of file
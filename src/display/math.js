@@ -0,0 +1,835 @@
+/**
+ * Chrome Copilot - Math Renderer
+ *
+ * This module typesets LaTeX from results as MathML, which Chrome draws
+ * natively, so formulas render offline without a bundled font or script. It
+ * understands the commands models commonly use: fractions, roots, scripts,
+ * Greek letters, operators, accents, font styles, \left...\right, matrices
+ * and cases. Anything else is a parse error, and the formula is shown as its
+ * source instead. latexToText turns a formula into readable plain text.
+ */
+
+import { Sanitize } from '../utils/sanitize.js';
+
+/**
+ * MathML tags and attributes produced by renderMath, for Sanitize.sanitizeHtml
+ */
+export const MATH_SANITIZE_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace',
+  'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mfrac', 'msqrt', 'mroot',
+  'mtable', 'mtr', 'mtd'
+];
+
+export const MATH_SANITIZE_ATTRIBUTES = {
+  'math': ['display'],
+  'annotation': ['encoding'],
+  'mi': ['mathvariant'],
+  'mo': ['stretchy', 'fence', 'largeop'],
+  'mspace': ['width'],
+  'mfrac': ['linethickness'],
+  'mover': ['accent'],
+  'munder': ['accentunder']
+};
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+  eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+  xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+  Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// Symbols that behave like letters but are drawn upright
+const SYMBOLS = {
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', ell: 'ℓ', hbar: 'ℏ',
+  aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', wp: '℘', imath: 'ı', jmath: 'ȷ', '%': '%', '$': '$', '#': '#',
+  '&': '&', '_': '_'
+};
+
+const OPERATORS = {
+  cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘',
+  bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', cup: '∪', cap: '∩',
+  setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', leqslant: '⩽', geqslant: '⩾',
+  ll: '≪', gg: '≫', approx: '≈', sim: '∼', simeq: '≃', cong: '≅', equiv: '≡', propto: '∝',
+  doteq: '≐', in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃',
+  supseteq: '⊇', mid: '∣', nmid: '∤', parallel: '∥', perp: '⊥', to: '→', rightarrow: '→',
+  leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', longrightarrow: '⟶',
+  longleftarrow: '⟵', mapsto: '↦', uparrow: '↑', downarrow: '↓', forall: '∀', exists: '∃',
+  nexists: '∄', therefore: '∴', because: '∵', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮',
+  ddots: '⋱', prime: '′', angle: '∠', triangle: '△', degree: '°', vdash: '⊢', models: '⊨',
+  top: '⊤', bot: '⊥', dagger: '†', backslash: '∖', colon: ':', '{': '{', '}': '}', '|': '‖',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|',
+  Vert: '‖', lvert: '|', rvert: '|', lVert: '‖', rVert: '‖', lbrace: '{', rbrace: '}'
+};
+
+// Delimiters accepted after \left, \right and \big
+const DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '<': '⟨', '>': '⟩', '.': '',
+  '\\{': '{', '\\}': '}', '\\|': '‖', '\\langle': '⟨', '\\rangle': '⟩', '\\lfloor': '⌊',
+  '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉', '\\vert': '|', '\\Vert': '‖', '\\lvert': '|',
+  '\\rvert': '|', '\\lVert': '‖', '\\rVert': '‖', '\\lbrace': '{', '\\rbrace': '}'
+};
+
+// Large operators; integrals keep their limits beside them
+const BIG_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+  bigvee: '⋁', bigwedge: '⋀', int: '∫', iint: '∬', iiint: '∭', oint: '∮'
+};
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+  'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'arg', 'gcd', 'lcm',
+  'hom', 'Pr'
+];
+
+// Functions whose subscripts go underneath in display math
+const LIMIT_FUNCTIONS = {
+  lim: 'lim', liminf: 'lim inf', limsup: 'lim sup', max: 'max', min: 'min', sup: 'sup',
+  inf: 'inf', argmax: 'arg max', argmin: 'arg min'
+};
+
+// [character, stretches to fit the base]
+const ACCENTS = {
+  hat: ['^', false], widehat: ['^', true], bar: ['¯', false], overline: ['¯', true],
+  vec: ['→', false], overrightarrow: ['→', true], dot: ['˙', false], ddot: ['¨', false],
+  tilde: ['˜', false], widetilde: ['˜', true], check: ['ˇ', false], breve: ['˘', false],
+  acute: ['´', false], grave: ['`', false], overbrace: ['⏞', true]
+};
+
+const UNDER_ACCENTS = {
+  underline: ['_', true], underbrace: ['⏟', true]
+};
+
+// Combining marks used for single-letter accents in plain text
+const COMBINING = {
+  '^': '̂', '¯': '̄', '→': '⃗', '˙': '̇', '¨': '̈', '˜': '̃',
+  'ˇ': '̌', '˘': '̆', '´': '́', '`': '̀', '_': '̲'
+};
+
+const SPACES = {
+  ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.3333em',
+  '!': '0em', enspace: '0.5em', thinspace: '0.1667em', quad: '1em', qquad: '2em'
+};
+
+// \begin{...} environments and the fences around them
+const ENVIRONMENTS = {
+  matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+  Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''],
+  array: ['', ''], aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', ''],
+  gather: ['', ''], 'gather*': ['', ''], split: ['', ''], equation: ['', ''], 'equation*': ['', '']
+};
+
+// Commands with no visible output
+const IGNORED = ['displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'nonumber', 'notag'];
+const IGNORED_WITH_ARGUMENT = ['label', 'tag'];
+
+// Styled alphabets: [first capital, first small letter, first digit, letters that live elsewhere in Unicode]
+const ALPHABETS = {
+  bold: [0x1D400, 0x1D41A, 0x1D7CE, {}],
+  italic: [0x1D434, 0x1D44E, null, { h: 'ℎ' }],
+  'double-struck': [0x1D538, 0x1D552, 0x1D7D8, { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }],
+  script: [0x1D49C, 0x1D4B6, null, { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }],
+  fraktur: [0x1D504, 0x1D51E, null, { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }],
+  'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2, {}],
+  monospace: [0x1D670, 0x1D68A, 0x1D7F6, {}]
+};
+
+const FONTS = {
+  mathrm: 'normal', mathbf: 'bold', boldsymbol: 'bold', bm: 'bold',
+  mathit: 'italic', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+  mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace'
+};
+
+const TEXT_COMMANDS = ['text', 'textrm', 'textit', 'textbf', 'textsf', 'texttt', 'mbox', 'textnormal'];
+
+// Operators written with spaces around them in plain text
+const SPACED_OPERATORS = new Set('+−±∓×÷⋅=≠<>≤≥⩽⩾≪≫≈∼≃≅≡∝∈∉∋⊂⊆⊃⊇∪∩∧∨→←↔⇒⇐⇔⟹⟸⟺⟶⟵↦∣'.split(''));
+
+const SUPERSCRIPTS = {
+  '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸',
+  '9': '⁹', '+': '⁺', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ', '′': '′'
+};
+
+const SUBSCRIPTS = {
+  '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈',
+  '9': '₉', '+': '₊', '−': '₋', '=': '₌', '(': '₍', ')': '₎', 'a': 'ₐ', 'e': 'ₑ', 'o': 'ₒ',
+  'x': 'ₓ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'n': 'ₙ', 'm': 'ₘ', 't': 'ₜ'
+};
+
+// Brackets that keep their natural size unless written with \left and \right
+const FENCE_CHARACTERS = '()[]{}|‖⟨⟩⌊⌋⌈⌉';
+
+// Symbols that end an operand, so an operator after them is binary
+const CLOSING_CHARACTERS = ')]}|‖⟩⌋⌉′!';
+
+const TOKEN = /\\([A-Za-z]+|[\s\S])|(\d+(?:\.\d+)?)|([\s\S])/y;
+
+/**
+ * Render LaTeX as MathML
+ * @param {string} latex - Formula without its delimiters
+ * @param {boolean} displayMode - Typeset as a centred block rather than inline
+ * @param {string} source - Formula as written, with delimiters, shown if it can't be parsed
+ * @returns {string} HTML
+ */
+export function renderMath(latex, displayMode, source) {
+  let tree;
+  try {
+    tree = parseLatex(latex);
+  } catch (error) {
+    return `<span class="math-error" title="${Sanitize.escapeHtml(error.message)}">${Sanitize.escapeHtml(source)}</span>`;
+  }
+  
+  const annotation = `<annotation encoding="application/x-tex">${Sanitize.escapeHtml(latex.trim())}</annotation>`;
+  return `<math display="${displayMode ? 'block' : 'inline'}"><semantics>` +
+    `<mrow>${toMathML(tree, displayMode)}</mrow>${annotation}</semantics></math>`;
+}
+
+/**
+ * Convert LaTeX to readable plain text (e.g. "\frac{1}{2} x^2" becomes "1/2 x²")
+ * @param {string} latex - Formula without its delimiters
+ * @returns {string|null} Plain text, or null if the formula can't be parsed
+ */
+export function latexToText(latex) {
+  try {
+    return toText(parseLatex(latex)).replace(/ {2,}/g, ' ').trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a formula
+ * @param {string} latex - Formula without its delimiters
+ * @returns {Object} Row node
+ * @throws {Error} If the formula uses unsupported or malformed syntax
+ */
+function parseLatex(latex) {
+  const parser = new MathParser(latex);
+  const tree = parser.parseExpression();
+  const token = parser.next();
+  
+  if (token.type !== 'end') {
+    throw new Error(`Unexpected ${describe(token)}`);
+  }
+  
+  return tree;
+}
+
+/**
+ * Recursive-descent parser producing a small tree of nodes
+ * ({ type: 'mi' | 'mn' | 'mo' | 'mtext' | 'space' | 'row' | 'frac' | 'sqrt' | 'scripts' | 'accent' | 'fenced' | 'table', ... })
+ */
+class MathParser {
+  constructor(source) {
+    this.source = source;
+    this.index = 0;
+  }
+  
+  /**
+   * Read the next token
+   * @returns {{type: string, value: string}} Token of type 'command', 'number', 'char' or 'end'
+   */
+  next() {
+    while (this.index < this.source.length && /\s/.test(this.source[this.index])) {
+      this.index++;
+    }
+    
+    if (this.index >= this.source.length) {
+      return { type: 'end', value: '' };
+    }
+    
+    TOKEN.lastIndex = this.index;
+    const [match, command, number, char] = TOKEN.exec(this.source);
+    this.index += match.length;
+    
+    if (command !== undefined) return { type: 'command', value: command };
+    if (number !== undefined) return { type: 'number', value: number };
+    return { type: 'char', value: char };
+  }
+  
+  /**
+   * Look at the next token without reading it
+   */
+  peek() {
+    const index = this.index;
+    const token = this.next();
+    this.index = index;
+    return token;
+  }
+  
+  /**
+   * Parse atoms until a closing brace, bracket, cell or row separator, \right, \end or the end
+   * @param {string} [closing] - Extra character that ends the expression (']' for optional arguments)
+   * @returns {Object} Row node
+   */
+  parseExpression(closing) {
+    const children = [];
+    
+    while (true) {
+      const token = this.peek();
+      if (token.type === 'end' ||
+        (token.type === 'char' && (token.value === '}' || token.value === '&' || token.value === closing)) ||
+        (token.type === 'command' && ['\\', 'right', 'end'].includes(token.value))) {
+        break;
+      }
+      
+      children.push(this.parseScripts(this.parseAtom()));
+    }
+    
+    return { type: 'row', children };
+  }
+  
+  /**
+   * Attach any sub- and superscripts (and primes) that follow an atom
+   */
+  parseScripts(base) {
+    let sub = null;
+    let sup = null;
+    let primes = '';
+    
+    while (true) {
+      const token = this.peek();
+      if (token.type !== 'char' || !['^', '_', '\''].includes(token.value)) {
+        break;
+      }
+      
+      this.next();
+      if (token.value === '\'') {
+        primes += '′';
+      } else if (token.value === '^') {
+        if (sup) throw new Error('Double superscript');
+        sup = this.parseArgument();
+      } else {
+        if (sub) throw new Error('Double subscript');
+        sub = this.parseArgument();
+      }
+    }
+    
+    if (primes) {
+      const prime = { type: 'mo', text: primes };
+      sup = sup ? { type: 'row', children: [prime, sup] } : prime;
+    }
+    
+    return sub || sup ? { type: 'scripts', base, sub, sup } : base;
+  }
+  
+  /**
+   * Parse a braced group or a single token (as in \frac12 or x^2)
+   */
+  parseArgument() {
+    const token = this.peek();
+    
+    if (token.type === 'char' && token.value === '{') {
+      return this.parseGroup();
+    }
+    
+    if (token.type === 'number') {
+      // Only the first digit is the argument
+      this.next();
+      this.index -= token.value.length - 1;
+      return { type: 'mn', text: token.value[0] };
+    }
+    
+    if (token.type === 'end') {
+      throw new Error('Missing argument');
+    }
+    
+    return this.parseAtom();
+  }
+  
+  /**
+   * Parse {...}
+   */
+  parseGroup() {
+    this.expect('{');
+    const body = this.parseExpression();
+    this.expect('}');
+    return body;
+  }
+  
+  /**
+   * Read a braced argument as raw text (for \text and environment names)
+   * @returns {string}
+   */
+  parseRawGroup() {
+    this.expect('{');
+    let depth = 1;
+    const start = this.index;
+    
+    while (this.index < this.source.length) {
+      const char = this.source[this.index];
+      if (char === '\\') {
+        this.index += 2;
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) {
+        this.index++;
+        return this.source.slice(start, this.index - 1);
+      }
+      this.index++;
+    }
+    
+    throw new Error('Missing }');
+  }
+  
+  /**
+   * Read a specific character
+   */
+  expect(char) {
+    const token = this.next();
+    if (token.type !== 'char' || token.value !== char) {
+      throw new Error(`Expected ${char} but found ${describe(token)}`);
+    }
+  }
+  
+  /**
+   * Parse one atom: a symbol, a number or a command with its arguments
+   */
+  parseAtom() {
+    const token = this.next();
+    
+    if (token.type === 'number') {
+      return { type: 'mn', text: token.value };
+    }
+    
+    if (token.type === 'char') {
+      return this.parseChar(token.value);
+    }
+    
+    return this.parseCommand(token.value);
+  }
+  
+  /**
+   * Parse a plain character
+   */
+  parseChar(char) {
+    if (char === '{') {
+      this.index--;
+      return this.parseGroup();
+    }
+    if (char === '^' || char === '_') {
+      // A script with no base, as in {}^{14}C
+      this.index--;
+      return { type: 'row', children: [] };
+    }
+    if (/[A-Za-z]/.test(char)) {
+      return { type: 'mi', text: char };
+    }
+    if (char === '~') {
+      return { type: 'space', width: SPACES[' '] };
+    }
+    if (char === '-') {
+      return { type: 'mo', text: '−' };
+    }
+    if (char === '}' || char === '&') {
+      throw new Error(`Unexpected ${char}`);
+    }
+    
+    return { type: 'mo', text: char === '*' ? '∗' : char, stretchy: FENCE_CHARACTERS.includes(char) ? false : undefined };
+  }
+  
+  /**
+   * Parse a command and its arguments
+   */
+  parseCommand(name) {
+    const lookup = (table) => (Object.hasOwn(table, name) ? table[name] : undefined);
+    
+    if (lookup(GREEK)) {
+      // Capital Greek letters are upright, like digits
+      return { type: 'mi', text: GREEK[name], variant: /^[A-Z]/.test(name) ? 'normal' : undefined };
+    }
+    if (lookup(SYMBOLS)) {
+      return { type: 'mi', text: SYMBOLS[name], variant: 'normal' };
+    }
+    if (lookup(OPERATORS)) {
+      const text = OPERATORS[name];
+      return { type: 'mo', text, stretchy: FENCE_CHARACTERS.includes(text) ? false : undefined };
+    }
+    if (lookup(BIG_OPERATORS)) {
+      return { type: 'mo', text: BIG_OPERATORS[name], largeop: true, limits: !/int$/.test(name) };
+    }
+    if (FUNCTIONS.includes(name)) {
+      return { type: 'mi', text: name, variant: 'normal' };
+    }
+    if (lookup(LIMIT_FUNCTIONS)) {
+      return { type: 'mi', text: LIMIT_FUNCTIONS[name], variant: 'normal', limits: true };
+    }
+    if (lookup(SPACES)) {
+      return { type: 'space', width: SPACES[name] };
+    }
+    if (lookup(ACCENTS) || lookup(UNDER_ACCENTS)) {
+      const [char, stretchy] = ACCENTS[name] || UNDER_ACCENTS[name];
+      return { type: 'accent', base: this.parseArgument(), char, stretchy, under: Boolean(lookup(UNDER_ACCENTS)) };
+    }
+    if (name === 'operatorname') {
+      // Letters become one upright word, like the built-in function names
+      const argument = this.parseArgument();
+      const letters = argument.children?.every(child => child.type === 'mi' && /^[A-Za-z]$/.test(child.text));
+      return letters && argument.children.length > 0
+        ? { type: 'mi', text: argument.children.map(child => child.text).join(''), variant: 'normal' }
+        : applyFont(argument, 'normal');
+    }
+    if (lookup(FONTS)) {
+      return applyFont(this.parseArgument(), FONTS[name]);
+    }
+    if (TEXT_COMMANDS.includes(name)) {
+      return { type: 'mtext', text: this.parseRawGroup().replace(/\\([{}$%&#_ ])/g, '$1') };
+    }
+    if (IGNORED.includes(name)) {
+      return { type: 'row', children: [] };
+    }
+    if (IGNORED_WITH_ARGUMENT.includes(name)) {
+      this.parseRawGroup();
+      return { type: 'row', children: [] };
+    }
+    
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac':
+        return { type: 'frac', num: this.parseArgument(), den: this.parseArgument() };
+      
+      case 'binom':
+      case 'dbinom':
+      case 'tbinom':
+        return { type: 'frac', num: this.parseArgument(), den: this.parseArgument(), binom: true };
+      
+      case 'sqrt': {
+        let index = null;
+        if (this.peek().value === '[') {
+          this.next();
+          index = this.parseExpression(']');
+          this.expect(']');
+        }
+        return { type: 'sqrt', body: this.parseArgument(), index };
+      }
+      
+      case 'left': {
+        const open = this.parseDelimiter();
+        const body = this.parseExpression();
+        const token = this.next();
+        if (token.type !== 'command' || token.value !== 'right') {
+          throw new Error('Missing \\right');
+        }
+        return { type: 'fenced', open, close: this.parseDelimiter(), body, stretchy: true };
+      }
+      
+      case 'big':
+      case 'Big':
+      case 'bigg':
+      case 'Bigg':
+      case 'bigl':
+      case 'bigr':
+      case 'Bigl':
+      case 'Bigr':
+      case 'biggl':
+      case 'biggr':
+      case 'Biggl':
+      case 'Biggr':
+        return { type: 'mo', text: this.parseDelimiter(), stretchy: false };
+      
+      case 'not': {
+        const negated = { '=': '≠', '∈': '∉', '≡': '≢', '⊂': '⊄', '⊆': '⊈', '∣': '∤', '<': '≮', '>': '≯', '≤': '≰', '≥': '≱' };
+        const atom = this.parseAtom();
+        if (atom.type !== 'mo' || !negated[atom.text]) {
+          throw new Error('Unsupported \\not');
+        }
+        return { type: 'mo', text: negated[atom.text] };
+      }
+      
+      case 'begin':
+        return this.parseEnvironment();
+      
+      default:
+        throw new Error(`Unknown command \\${name}`);
+    }
+  }
+  
+  /**
+   * Parse the delimiter after \left, \right or \big
+   * @returns {string} Delimiter character ('' for an invisible one)
+   */
+  parseDelimiter() {
+    const token = this.next();
+    const key = token.type === 'command' ? `\\${token.value}` : token.value;
+    
+    if (!Object.hasOwn(DELIMITERS, key)) {
+      throw new Error(`Bad delimiter ${describe(token)}`);
+    }
+    
+    return DELIMITERS[key];
+  }
+  
+  /**
+   * Parse \begin{name} ... \end{name} into a table, reading & and \\ as cell and row separators
+   */
+  parseEnvironment() {
+    const name = this.parseRawGroup();
+    if (!Object.hasOwn(ENVIRONMENTS, name)) {
+      throw new Error(`Unknown environment ${name}`);
+    }
+    if (name === 'array') {
+      // Column alignment isn't supported, so the column spec is skipped
+      this.parseRawGroup();
+    }
+    
+    const rows = [[]];
+    while (true) {
+      rows[rows.length - 1].push(this.parseExpression());
+      
+      const token = this.next();
+      if (token.type === 'char' && token.value === '&') {
+        continue;
+      }
+      if (token.type === 'command' && token.value === '\\') {
+        rows.push([]);
+        continue;
+      }
+      if (token.type === 'command' && token.value === 'end') {
+        if (this.parseRawGroup() !== name) {
+          throw new Error(`Mismatched \\end for ${name}`);
+        }
+        break;
+      }
+      
+      throw new Error(`Missing \\end{${name}}`);
+    }
+    
+    // A trailing \\ leaves an empty last row
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0].children.length === 0) {
+      rows.pop();
+    }
+    
+    const [open, close] = ENVIRONMENTS[name];
+    return { type: 'table', rows, open, close };
+  }
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describe(token) {
+  if (token.type === 'end') return 'end of formula';
+  return token.type === 'command' ? `\\${token.value}` : token.value;
+}
+
+/**
+ * Apply a font command (\mathbb, \mathbf, ...) to the letters and digits of a node
+ * @param {Object} node - Parsed argument
+ * @param {string} font - Font name from FONTS
+ * @returns {Object} Restyled node
+ */
+function applyFont(node, font) {
+  if (node.type === 'mi' || node.type === 'mn') {
+    if (font === 'normal') {
+      return { ...node, variant: 'normal' };
+    }
+    return { ...node, text: Array.from(node.text).map(char => styleCharacter(char, font)).join(''), variant: undefined };
+  }
+  
+  const restyled = { ...node };
+  for (const key of ['children', 'base', 'sub', 'sup', 'num', 'den', 'body']) {
+    if (Array.isArray(node[key])) {
+      restyled[key] = node[key].map(child => applyFont(child, font));
+    } else if (node[key]) {
+      restyled[key] = applyFont(node[key], font);
+    }
+  }
+  
+  return restyled;
+}
+
+/**
+ * Map a letter or digit to its styled Unicode form (e.g. R to ℝ for double-struck)
+ */
+function styleCharacter(char, font) {
+  const [capitals, smalls, digits, exceptions] = ALPHABETS[font];
+  
+  if (Object.hasOwn(exceptions, char)) return exceptions[char];
+  if (/[A-Z]/.test(char)) return String.fromCodePoint(capitals + char.charCodeAt(0) - 65);
+  if (/[a-z]/.test(char)) return String.fromCodePoint(smalls + char.charCodeAt(0) - 97);
+  if (/[0-9]/.test(char) && digits) return String.fromCodePoint(digits + char.charCodeAt(0) - 48);
+  return char;
+}
+
+/**
+ * Serialize a node as MathML
+ * @param {Object} node - Parsed node
+ * @param {boolean} displayMode - Whether limits go above and below large operators
+ * @returns {string} MathML
+ */
+function toMathML(node, displayMode) {
+  const render = child => toMathML(child, displayMode);
+  // Elements with a fixed number of children need each one wrapped in a single element
+  const single = child => (child.type === 'row' ? `<mrow>${render(child)}</mrow>` : render(child));
+  
+  switch (node.type) {
+    case 'row':
+      return node.children.map(render).join('');
+    
+    case 'mi': {
+      const variant = node.variant === 'normal' && Array.from(node.text).length === 1 ? ' mathvariant="normal"' : '';
+      return `<mi${variant}>${Sanitize.escapeHtml(node.text)}</mi>`;
+    }
+    
+    case 'mn':
+      return `<mn>${Sanitize.escapeHtml(node.text)}</mn>`;
+    
+    case 'mo': {
+      const stretchy = node.stretchy === false ? ' stretchy="false"' : '';
+      const largeop = node.largeop ? ' largeop="true"' : '';
+      return `<mo${stretchy}${largeop}>${Sanitize.escapeHtml(node.text)}</mo>`;
+    }
+    
+    case 'mtext':
+      return `<mtext>${Sanitize.escapeHtml(node.text)}</mtext>`;
+    
+    case 'space':
+      return `<mspace width="${node.width}"></mspace>`;
+    
+    case 'frac': {
+      const fraction = `<mfrac${node.binom ? ' linethickness="0"' : ''}>${single(node.num)}${single(node.den)}</mfrac>`;
+      return node.binom ? `<mrow><mo>(</mo>${fraction}<mo>)</mo></mrow>` : fraction;
+    }
+    
+    case 'sqrt':
+      return node.index
+        ? `<mroot>${single(node.body)}${single(node.index)}</mroot>`
+        : `<msqrt>${render(node.body)}</msqrt>`;
+    
+    case 'scripts': {
+      const limits = displayMode && node.base.limits;
+      const [subTag, supTag, bothTag] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+      if (node.sub && node.sup) {
+        return `<${bothTag}>${single(node.base)}${single(node.sub)}${single(node.sup)}</${bothTag}>`;
+      }
+      return node.sub
+        ? `<${subTag}>${single(node.base)}${single(node.sub)}</${subTag}>`
+        : `<${supTag}>${single(node.base)}${single(node.sup)}</${supTag}>`;
+    }
+    
+    case 'accent': {
+      const mark = `<mo stretchy="${node.stretchy}">${Sanitize.escapeHtml(node.char)}</mo>`;
+      return node.under
+        ? `<munder accentunder="true">${single(node.base)}${mark}</munder>`
+        : `<mover accent="true">${single(node.base)}${mark}</mover>`;
+    }
+    
+    case 'fenced':
+      return `<mrow>${fence(node.open, node.stretchy)}${render(node.body)}${fence(node.close, node.stretchy)}</mrow>`;
+    
+    case 'table': {
+      const rows = node.rows.map(row => `<mtr>${row.map(cell => `<mtd>${render(cell)}</mtd>`).join('')}</mtr>`).join('');
+      return `<mrow>${fence(node.open, true)}<mtable>${rows}</mtable>${fence(node.close, true)}</mrow>`;
+    }
+    
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render a fence character, or nothing for an invisible one
+ */
+function fence(char, stretchy) {
+  return char ? `<mo fence="true" stretchy="${Boolean(stretchy)}">${Sanitize.escapeHtml(char)}</mo>` : '';
+}
+
+/**
+ * Serialize a node as plain text
+ * @param {Object} node - Parsed node
+ * @returns {string}
+ */
+function toText(node) {
+  switch (node.type) {
+    case 'row':
+      // An operator at the start or after another operator is a sign (as in -x), not a binary operator
+      return node.children.map((child, index) => {
+        const previous = node.children[index - 1];
+        const sign = child.type === 'mo' && !child.largeop &&
+          (!previous || (previous.type === 'mo' && !CLOSING_CHARACTERS.includes(previous.text)));
+        return sign ? child.text : toText(child);
+      }).join('');
+    
+    case 'mi':
+      // Function names are words and need a space before their argument
+      return Array.from(node.text).length > 1 ? `${node.text} ` : node.text;
+    
+    case 'mn':
+    case 'mtext':
+      return node.text;
+    
+    case 'mo':
+      if (node.largeop) {
+        return `${node.text} `;
+      }
+      return SPACED_OPERATORS.has(node.text) ? ` ${node.text} ` : node.text;
+    
+    case 'space':
+      return ' ';
+    
+    case 'frac':
+      return node.binom
+        ? `C(${toText(node.num).trim()}, ${toText(node.den).trim()})`
+        : `${group(toText(node.num))}/${group(toText(node.den))} `;
+    
+    case 'sqrt': {
+      const index = node.index ? toText(node.index).trim() : '';
+      const radical = { '': '√', '3': '∛', '4': '∜' }[index] || `${script(index, SUPERSCRIPTS, '^')}√`;
+      return `${radical}${group(toText(node.body))}`;
+    }
+    
+    case 'scripts': {
+      const baseText = toText(node.base);
+      const base = baseText.trimEnd();
+      const sub = node.sub ? script(toText(node.sub).trim(), SUBSCRIPTS, '_') : '';
+      const sup = node.sup ? script(toText(node.sup).trim(), SUPERSCRIPTS, '^') : '';
+      // Words such as function names and large operators keep their space after the scripts
+      return `${base}${sub}${sup}${baseText === base ? '' : ' '}`;
+    }
+    
+    case 'accent': {
+      const base = toText(node.base).trim();
+      const mark = COMBINING[node.char];
+      return Array.from(base).length === 1 && mark ? `${base}${mark}` : base;
+    }
+    
+    case 'fenced':
+      return `${node.open}${toText(node.body).trim()}${node.close}`;
+    
+    case 'table': {
+      const rows = node.rows.map(row => row.map(cell => toText(cell).trim()).join(', ')).join('; ');
+      return `${node.open}${rows}${node.close}`;
+    }
+    
+    default:
+      return '';
+  }
+}
+
+/**
+ * Parenthesize text unless it is a single symbol or word
+ */
+function group(text) {
+  const trimmed = text.trim();
+  return /^[\p{L}\p{N}.′]+$/u.test(trimmed) || Array.from(trimmed).length === 1 ? trimmed : `(${trimmed})`;
+}
+
+/**
+ * Write a script with Unicode super- or subscript characters where they all exist
+ * @param {string} text - Script text
+ * @param {Object} characters - SUPERSCRIPTS or SUBSCRIPTS
+ * @param {string} marker - '^' or '_' used when some character has no script form
+ */
+function script(text, characters, marker) {
+  const chars = Array.from(text.replace(/\s+/g, ''));
+  return chars.every(char => Object.hasOwn(characters, char))
+    ? chars.map(char => characters[char]).join('')
+    : `${marker}${group(text)}`;
+}
\ No newline at end of file
@@ -7,7 +7,10 @@
 
 import { Storage } from '../config/storage.js';
 import { Display } from './display.js';
+import { Conversation } from '../api/conversation.js';
 import { logger } from '../utils/logger.js';
+import { ACTION_TYPES } from '../core/constants.js';
+import { describeProgress } from '../api/summarize.js';
 
 export class SidePanelController {
   constructor() {
@@ -15,6 +18,7 @@ export class SidePanelController {
     this.history = [];
     this.filteredHistory = [];
     this.searchQuery = '';
+    this.streamingItem = null;
     
     // Initialize when DOM is loaded
     document.addEventListener('DOMContentLoaded', () => this.init());
@@ -91,6 +95,8 @@ export class SidePanelController {
     document.getElementById('exportData').addEventListener('click', () => {
       this.exportData();
     });
+    
+    Display.bindCodeBlockActions(document.body);
   }
   
   /**
@@ -99,10 +105,24 @@ export class SidePanelController {
   setupMessageListeners() {
     // Listen for new results
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.action === 'newResult') {
+      if (message.action === ACTION_TYPES.NEW_RESULT) {
         this.handleNewResult(message.data);
-      } else if (message.action === 'showResult') {
+        sendResponse({ received: true });
+      } else if (message.action === ACTION_TYPES.SHOW_RESULT) {
         this.showResult(message.result, message.metadata);
+      } else if (message.action === ACTION_TYPES.STREAM_START) {
+        this.startStreamingResult(message);
+      } else if (message.action === ACTION_TYPES.STREAM_CHUNK) {
+        this.updateStreamingResult(message.text, message.jobId);
+      } else if (message.action === ACTION_TYPES.REQUEST_PROGRESS) {
+        this.showStreamingProgress(message);
+      } else if (message.action === ACTION_TYPES.STREAM_END) {
+        this.finishStreamingResult(message.data);
+        sendResponse({ received: true });
+      } else if (message.action === ACTION_TYPES.SHOW_ERROR) {
+        this.showError(message.error);
+      } else if (message.action === ACTION_TYPES.REQUEST_CANCELLED) {
+        this.cancelStreamingResult(message.jobId);
       }
       
       // Return true to indicate we want to send a response asynchronously
@@ -111,6 +131,36 @@ export class SidePanelController {
     
     // Request any pending results
     this.requestPendingResults();
+    
+    // Pick up a request that started streaming before the panel opened
+    this.restoreActiveJob();
+  }
+  
+  /**
+   * Show the job that is currently streaming, with the text received so far
+   */
+  async restoreActiveJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: ACTION_TYPES.GET_SELECTION
+      });
+      
+      // A chunk that arrived in the meantime has already started the placeholder
+      if (!response?.processing || !response.activeJobId || this.streamingItem) {
+        return;
+      }
+      
+      this.startStreamingResult({
+        jobId: response.activeJobId,
+        selection: response.lastSelection
+      });
+      
+      if (response.partialResult) {
+        this.updateStreamingResult(response.partialResult, response.activeJobId);
+      }
+    } catch (error) {
+      logger.debug('Could not restore the active request:', error);
+    }
   }
   
   /**
@@ -119,7 +169,7 @@ export class SidePanelController {
   async requestPendingResults() {
     try {
       const response = await chrome.runtime.sendMessage({
-        action: 'getPendingResults'
+        action: ACTION_TYPES.GET_PENDING_RESULTS
       });
       
       if (response && response.results) {
@@ -280,10 +330,12 @@ export class SidePanelController {
   createResultElement(item) {
     const element = document.createElement('div');
     element.className = 'history-item-large';
+    element.dataset.id = item.id;
     
     const timeStr = this.formatTime(item.timestamp);
     const textPreview = this.truncateText(item.text, 150);
-    const resultPreview = this.truncateText(item.result, 300);
+    // Streaming results are shown in full so the text can be followed as it arrives
+    const resultPreview = item.streaming ? item.result : this.truncateText(item.result, 300);
     
     element.innerHTML = `
       <div class="history-item-header">
@@ -291,8 +343,19 @@ export class SidePanelController {
           <span class="meta-time">${timeStr}</span>
           <span class="meta-provider">${item.provider || 'Unknown'}</span>
           <span class="meta-model">${item.model || 'Unknown'}</span>
+          ${item.cancelled ? '<span class="meta-status">Stopped</span>' : ''}
+          ${item.cached ? '<span class="meta-status">Cached</span>' : ''}
+          ${item.fallback ? '<span class="meta-status" title="The configured profile failed, so a fallback profile answered">Fallback</span>' : ''}
         </div>
         <div class="history-item-actions">
+          ${item.streaming ? `
+          <button class="btn btn-small btn-text stop-btn" title="Stop generating">
+            <span class="btn-icon">⏹️</span>
+          </button>` : ''}
+          ${item.streaming || item.cancelled ? '' : `
+          <button class="btn btn-small btn-text follow-up-btn" title="Ask a follow-up question">
+            <span class="btn-icon">💬</span>
+          </button>`}
           <button class="btn btn-small btn-text copy-btn" title="Copy result">
             <span class="btn-icon">📋</span>
           </button>
@@ -306,17 +369,23 @@ export class SidePanelController {
           <strong>Query:</strong> ${this.escapeHtml(textPreview)}
         </div>
         <div class="history-item-result markdown-content">
-          ${Display.formatResult(resultPreview)}
+          ${item.streaming && !item.result && item.status
+            ? `<p class="stream-status">${this.escapeHtml(item.status)}</p>`
+            : Display.formatResult(resultPreview)}
         </div>
       </div>
     `;
     
+    if (!item.streaming && !item.cancelled) {
+      element.appendChild(this.createFollowUpElement(item));
+    }
+    
     // Add event listeners
     const copyBtn = element.querySelector('.copy-btn');
     if (copyBtn) {
       copyBtn.addEventListener('click', async () => {
         try {
-          await Display.copyToClipboard(item.result);
+          await Display.copyResult(item.result);
           copyBtn.innerHTML = '<span class="btn-icon">✓</span>';
           setTimeout(() => {
             copyBtn.innerHTML = '<span class="btn-icon">📋</span>';
@@ -334,10 +403,29 @@ export class SidePanelController {
       });
     }
     
+    const stopBtn = element.querySelector('.stop-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({
+          action: ACTION_TYPES.CANCEL_REQUEST,
+          jobId: item.jobId
+        }).catch(error => logger.error('Failed to cancel request:', error));
+      });
+    }
+    
+    const followUpBtn = element.querySelector('.follow-up-btn');
+    if (followUpBtn) {
+      followUpBtn.addEventListener('click', () => {
+        const followUp = element.querySelector('.history-item-follow-up');
+        followUp.classList.remove('hidden');
+        followUp.querySelector('.follow-up-input').focus();
+      });
+    }
+    
     // Click on the result to show full view
     element.addEventListener('click', (e) => {
-      // Don't trigger if clicking buttons
-      if (!e.target.closest('.history-item-actions')) {
+      // Don't trigger if clicking buttons or the follow-up thread
+      if (!e.target.closest('.history-item-actions, .code-action') && !e.target.closest('.history-item-follow-up')) {
         this.showFullResult(item);
       }
     });
@@ -345,6 +433,82 @@ export class SidePanelController {
     return element;
   }
   
+  /**
+   * Create the follow-up thread and question form for a result
+   * @param {Object} item - Result item
+   * @returns {HTMLElement} Follow-up element
+   */
+  createFollowUpElement(item) {
+    const conversation = Conversation.fromResult(item);
+    const element = document.createElement('div');
+    element.className = 'history-item-follow-up';
+    element.classList.toggle('hidden', conversation.followUps.length === 0);
+    
+    element.innerHTML = `
+      <div class="conversation-thread">${Display.formatConversation(conversation.followUps)}</div>
+      <form class="follow-up-form">
+        <input type="text" class="form-input follow-up-input" placeholder="Ask a follow-up question..." autocomplete="off">
+        <button type="submit" class="btn btn-small btn-primary">Ask</button>
+      </form>
+    `;
+    
+    const thread = element.querySelector('.conversation-thread');
+    const form = element.querySelector('.follow-up-form');
+    const input = form.querySelector('.follow-up-input');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    const render = (pending = null) => {
+      const messages = [...conversation.followUps];
+      if (pending) {
+        messages.push({ role: 'user', content: pending.question });
+        if (pending.answer) {
+          messages.push({ role: 'assistant', content: pending.answer });
+        }
+      }
+      
+      thread.innerHTML = Display.formatConversation(messages);
+      thread.classList.toggle('streaming', Boolean(pending && !pending.error));
+      
+      if (pending?.error) {
+        thread.insertAdjacentHTML('beforeend', `<div class="conversation-error">${this.escapeHtml(pending.error)}</div>`);
+      }
+    };
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const question = input.value.trim();
+      if (!question) return;
+      
+      input.disabled = true;
+      submitBtn.disabled = true;
+      render({ question });
+      
+      try {
+        const config = await Storage.loadConfig();
+        await conversation.ask(question, {
+          onToken: config.streamResponses
+            ? (delta, partialText) => render({ question, answer: partialText })
+            : undefined
+        });
+        
+        // Keep the thread when the list is re-rendered
+        item.messages = conversation.messages;
+        input.value = '';
+        render();
+      } catch (error) {
+        logger.error('Failed to ask follow-up question:', error);
+        render({ question, error: error.message });
+      } finally {
+        input.disabled = false;
+        submitBtn.disabled = false;
+        input.focus();
+      }
+    });
+    
+    return element;
+  }
+  
   /**
    * Create a history element (simplified)
    */
@@ -417,13 +581,22 @@ export class SidePanelController {
    * Show a new result
    */
   showResult(result, metadata) {
+    // A queued result may already be in the history loaded on open
+    if (metadata?.historyId && this.history.some(entry => entry.id === metadata.historyId)) {
+      return;
+    }
+    
     const item = {
-      id: Date.now(),
+      id: metadata?.historyId || Date.now(),
       text: metadata?.text || '',
       result,
       context: metadata?.context || {},
       provider: metadata?.provider || 'unknown',
       model: metadata?.model || 'unknown',
+      messages: metadata?.messages || null,
+      historyId: metadata?.historyId || null,
+      cached: Boolean(metadata?.cached),
+      fallback: Boolean(metadata?.fallback),
       timestamp: new Date().toISOString()
     };
     
@@ -433,6 +606,157 @@ export class SidePanelController {
     this.updateFooter();
   }
   
+  /**
+   * Add a placeholder result that is filled in as the response streams
+   * @param {Object} message - Stream start message from the background script
+   */
+  startStreamingResult(message) {
+    // A newer selection supersedes the one still streaming
+    if (this.streamingItem) {
+      this.cancelStreamingResult(this.streamingItem.jobId);
+    }
+    
+    this.streamingItem = {
+      id: `streaming-${Date.now()}`,
+      jobId: message.jobId || null,
+      text: message.selection?.text || '',
+      result: '',
+      context: message.selection?.context || {},
+      provider: message.provider || 'unknown',
+      model: message.model || 'unknown',
+      timestamp: new Date().toISOString(),
+      streaming: true
+    };
+    
+    this.history.unshift(this.streamingItem);
+    this.filterHistory();
+    this.updateView();
+    this.updateFooter();
+  }
+  
+  /**
+   * Update the streaming result with the text received so far
+   * @param {string} text - Response text received so far
+   * @param {string} [jobId] - ID of the job producing the stream
+   */
+  updateStreamingResult(text, jobId) {
+    // The panel may have opened after the stream started
+    if (!this.streamingItem) {
+      this.startStreamingResult({ jobId });
+    }
+    
+    this.streamingItem.result = text;
+    
+    // Only touch the streaming element to avoid re-rendering the whole list per chunk
+    const element = document.querySelector(`.history-item-large[data-id="${this.streamingItem.id}"] .history-item-result`);
+    if (element) {
+      element.innerHTML = Display.formatResult(text);
+    }
+  }
+  
+  /**
+   * Show how far a page summary has got in the streaming placeholder, until its text arrives
+   * @param {Object} message - Progress message from the background script (see describeProgress)
+   */
+  showStreamingProgress(message) {
+    const item = this.streamingItem;
+    if (!item || item.result || (message.jobId && item.jobId && item.jobId !== message.jobId)) {
+      return;
+    }
+    
+    item.status = describeProgress(message);
+    
+    const element = document.querySelector(`.history-item-large[data-id="${item.id}"] .history-item-result`);
+    if (element) {
+      element.innerHTML = `<p class="stream-status">${this.escapeHtml(item.status)}</p>`;
+    }
+  }
+  
+  /**
+   * Replace the streaming placeholder with the final result
+   * @param {Object} data - Final result data
+   */
+  finishStreamingResult(data) {
+    if (!this.streamingItem) {
+      this.showResult(data.result, data);
+      return;
+    }
+    
+    Object.assign(this.streamingItem, {
+      text: data.text || this.streamingItem.text,
+      context: data.context || this.streamingItem.context,
+      result: data.result,
+      // A fallback profile may have answered instead of the one the stream started with
+      provider: data.provider || this.streamingItem.provider,
+      model: data.model || this.streamingItem.model,
+      messages: data.messages || null,
+      historyId: data.historyId || null,
+      cached: Boolean(data.cached),
+      fallback: Boolean(data.fallback),
+      timestamp: data.timestamp || this.streamingItem.timestamp,
+      streaming: false
+    });
+    this.streamingItem = null;
+    
+    this.filterHistory();
+    this.updateView();
+    this.updateFooter();
+  }
+  
+  /**
+   * Stop showing a streaming result whose request was cancelled
+   * 
+   * Text received before the cancellation is kept; an empty placeholder is removed.
+   * @param {string} [jobId] - ID of the cancelled job
+   */
+  cancelStreamingResult(jobId) {
+    const item = this.streamingItem;
+    if (!item || (jobId && item.jobId && item.jobId !== jobId)) {
+      return;
+    }
+    
+    this.streamingItem = null;
+    
+    if (item.result) {
+      item.streaming = false;
+      item.cancelled = true;
+    } else {
+      this.history = this.history.filter(entry => entry !== item);
+    }
+    
+    this.filterHistory();
+    this.updateView();
+    this.updateFooter();
+  }
+  
+  /**
+   * Show an error at the top of the results view
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    // Drop the placeholder of a stream that failed
+    if (this.streamingItem) {
+      this.history = this.history.filter(item => item !== this.streamingItem);
+      this.streamingItem = null;
+      this.filterHistory();
+    }
+    
+    this.switchView('results');
+    this.updateView();
+    this.updateFooter();
+    
+    const container = document.querySelector('#resultsView .result-history');
+    if (!container) return;
+    
+    const errorElement = document.createElement('div');
+    errorElement.className = 'error-state';
+    errorElement.innerHTML = `
+      <div class="error-icon">⚠️</div>
+      <p class="error-message">${this.escapeHtml(message || 'Something went wrong')}</p>
+    `;
+    container.prepend(errorElement);
+  }
+  
   /**
    * Handle new result from message
    */
@@ -477,8 +801,8 @@ export class SidePanelController {
    */
   async deleteHistoryItem(id) {
     try {
+      await Storage.deleteHistoryEntry(id);
       this.history = this.history.filter(item => item.id !== id);
-      await Storage.saveToHistory(this.history);
       this.filterHistory();
       this.updateView();
       this.updateFooter();
@@ -496,8 +820,8 @@ export class SidePanelController {
     }
     
     try {
+      await Storage.clearHistory();
       this.history = [];
-      await Storage.saveToHistory([]);
       this.filterHistory();
       this.updateView();
       this.updateFooter();
@@ -5,6 +5,9 @@
  */
 
 import { Storage } from '../../config/storage.js';
+import { Sanitize } from '../../utils/sanitize.js';
+import { getEntryHostname } from '../../config/history-db.js';
+import { Display } from '../../display/display.js';
 
 export class HistoryList {
   /**
@@ -20,6 +23,9 @@ export class HistoryList {
       subMessage: 'Select text and right-click to get started!',
       showProvider: true,
       showTimestamp: true,
+      showHostname: false,
+      showReRun: true,
+      textLength: 80,
       clickable: true,
       ...options
     };
@@ -52,6 +58,24 @@ export class HistoryList {
     }
   }
   
+  /**
+   * Display the given entries instead of loading them from storage
+   * @param {Array} items - History entries, e.g. one page of filtered results
+   */
+  setItems(items) {
+    this.items = [...items];
+    this.render();
+  }
+  
+  /**
+   * Get the website an entry came from
+   * @param {Object} item - History entry
+   * @returns {string} Hostname, or '' if unknown
+   */
+  getHostname(item) {
+    return getEntryHostname(item);
+  }
+  
   /**
    * Render the history list
    */
@@ -92,19 +116,23 @@ export class HistoryList {
     
     // Format timestamp
     const timeText = this.formatTime(item.timestamp);
+    const hostname = this.getHostname(item);
     
-    // Create HTML structure
+    // Create HTML structure (selected text comes from web pages and is escaped)
     itemElement.innerHTML = `
+      ${Display.formatImageThumbnail(item.image, 'history-thumbnail')}
       <div class="history-item-content">
-        <div class="history-text">${this.truncateText(item.text, 80)}</div>
+        <div class="history-text">${Sanitize.escapeHtml(this.truncateText(item.text, this.options.textLength))}</div>
         <div class="history-meta">
           ${this.options.showTimestamp ? `<span class="history-timestamp">${timeText}</span>` : ''}
-          ${this.options.showProvider ? `<span class="history-provider">${item.provider}</span>` : ''}
+          ${this.options.showProvider ? `<span class="history-provider">${Sanitize.escapeHtml(item.provider)}${item.fallback ? ' (fallback)' : ''}</span>` : ''}
+          ${this.options.showHostname && hostname ? `<span class="history-hostname">${Sanitize.escapeHtml(hostname)}</span>` : ''}
         </div>
       </div>
+      ${this.options.showReRun ? `
       <button class="history-action-btn" title="Re-run this query">
         <span class="action-icon">↻</span>
-      </button>
+      </button>` : ''}
     `;
     
     // Add click handlers
@@ -119,7 +147,7 @@ export class HistoryList {
     
     // Add re-run button handler
     const reRunBtn = itemElement.querySelector('.history-action-btn');
-    reRunBtn.addEventListener('click', (e) => {
+    reRunBtn?.addEventListener('click', (e) => {
       e.stopPropagation();
       this.handleReRun(item);
     });
@@ -169,7 +197,7 @@ export class HistoryList {
    */
   async clear() {
     try {
-      await Storage.saveToHistory([]); // Clear history
+      await Storage.clearHistory();
       await this.load(); // Reload to update display
     } catch (error) {
       console.error('Error clearing history:', error);
@@ -1,25 +1,33 @@
 /**
  * Quick Settings Component
  * 
- * Manages the quick settings dropdowns in the popup for model and prompt selection.
+ * Manages the quick settings dropdowns in the popup for profile, model and prompt selection.
  */
 
 import { Storage } from '../../config/storage.js';
-import { PROVIDERS, DEFAULT_CONFIG } from '../../core/constants.js';
+import { DEFAULT_CONFIG } from '../../core/constants.js';
+import { getProvider } from '../../api/registry.js';
+import { LLMAPI } from '../../api/api.js';
+import { applyProfile } from '../../config/profiles.js';
 
 export class QuickSettings {
   /**
    * Create a new quick settings component
    * @param {Object} elements - Object containing element references
+   * @param {HTMLElement} elements.profileSelect - Profile dropdown element
    * @param {HTMLElement} elements.modelSelect - Model dropdown element
+   * @param {HTMLElement} [elements.refreshModelsButton] - Button that fetches the provider's current models
    * @param {HTMLElement} elements.promptSelect - Prompt template dropdown element
    * @param {Object} options - Configuration options
    */
   constructor(elements, options = {}) {
+    this.profileSelect = elements.profileSelect;
     this.modelSelect = elements.modelSelect;
+    this.refreshModelsButton = elements.refreshModelsButton;
     this.promptSelect = elements.promptSelect;
     
     this.options = {
+      showProfiles: true,
       showModel: true,
       showPrompts: true,
       includeDefaultPrompt: true,
@@ -46,6 +54,7 @@ export class QuickSettings {
       this.setupEventListeners();
       
       // Populate dropdowns
+      await this.populateProfileDropdown();
       await this.populateModelDropdown();
       await this.populatePromptDropdown();
       
@@ -58,12 +67,26 @@ export class QuickSettings {
    * Set up event listeners for dropdowns
    */
   setupEventListeners() {
+    if (this.profileSelect) {
+      this.profileSelect.addEventListener('change', (e) => {
+        this.handleProfileChange(e.target.value);
+      });
+    }
+    
     if (this.modelSelect) {
       this.modelSelect.addEventListener('change', (e) => {
         this.handleModelChange(e.target.value);
       });
     }
     
+    if (this.refreshModelsButton) {
+      this.refreshModelsButton.addEventListener('click', async () => {
+        this.refreshModelsButton.disabled = true;
+        await this.populateModelDropdown({ refresh: true });
+        this.refreshModelsButton.disabled = !getProvider(this.config?.provider)?.listModels;
+      });
+    }
+    
     if (this.promptSelect) {
       this.promptSelect.addEventListener('change', (e) => {
         this.handlePromptChange(e.target.value);
@@ -71,21 +94,58 @@ export class QuickSettings {
     }
   }
   
+  /**
+   * Populate the profile dropdown
+   */
+  async populateProfileDropdown() {
+    if (!this.profileSelect || !this.options.showProfiles) return;
+    
+    try {
+      const config = this.config || await Storage.loadConfig();
+      
+      // Clear existing options
+      this.profileSelect.innerHTML = '';
+      
+      (config.profiles || []).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === config.profileId;
+        this.profileSelect.appendChild(option);
+      });
+      
+    } catch (error) {
+      console.error('Error populating profile dropdown:', error);
+      
+      // Add error option
+      this.profileSelect.innerHTML = '';
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'Error loading profiles';
+      this.profileSelect.appendChild(option);
+    }
+  }
+  
   /**
    * Populate the model dropdown based on current provider
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh] - Fetch the provider's model list even if a cached one is fresh
    */
-  async populateModelDropdown() {
+  async populateModelDropdown({ refresh = false } = {}) {
     if (!this.modelSelect || !this.options.showModel) return;
     
     try {
       const config = this.config || await Storage.loadConfig();
-      const provider = PROVIDERS.find(p => p.value === config.provider);
+      const provider = getProvider(config.provider);
       
-      // Clear existing options
-      this.modelSelect.innerHTML = '';
+      // Only providers that can list their models can be refreshed
+      if (this.refreshModelsButton) {
+        this.refreshModelsButton.disabled = !provider?.listModels;
+      }
       
       if (!provider) {
         // Provider not found, show current model
+        this.modelSelect.innerHTML = '';
         const option = document.createElement('option');
         option.value = config.model || DEFAULT_CONFIG.model;
         option.textContent = config.model || DEFAULT_CONFIG.model;
@@ -94,8 +154,21 @@ export class QuickSettings {
         return;
       }
       
+      // Use the provider's current model list, falling back to the known models
+      const models = await LLMAPI.getAvailableModels(provider.id, {
+        apiKey: await Storage.getApiKey(config.profileId || provider.id),
+        endpoint: config.endpoint,
+        refresh
+      });
+      
+      // Clear existing options once the list has loaded
+      this.modelSelect.innerHTML = '';
+      
+      // Keep a model the list doesn't know about selectable
+      const choices = config.model && !models.includes(config.model) ? [config.model, ...models] : models;
+      
       // Add provider models
-      provider.models.forEach(model => {
+      choices.forEach(model => {
         const option = document.createElement('option');
         option.value = model;
         option.textContent = model;
@@ -158,6 +231,31 @@ export class QuickSettings {
     }
   }
   
+  /**
+   * Handle profile selection change
+   * @param {string} profileId - Selected profile ID
+   */
+  async handleProfileChange(profileId) {
+    try {
+      if (this.options.autoSave) {
+        await Storage.setActiveProfile(profileId);
+      }
+      
+      // The model list depends on the profile's provider
+      this.config = await Storage.loadConfig();
+      if (!this.options.autoSave) {
+        this.config = applyProfile(this.config, profileId);
+      }
+      await this.populateModelDropdown();
+      
+      if (this.onChange) {
+        this.onChange({ type: 'profile', value: profileId });
+      }
+    } catch (error) {
+      console.error('Error saving profile change:', error);
+    }
+  }
+  
   /**
    * Handle model selection change
    * @param {string} model - Selected model
@@ -213,6 +311,7 @@ export class QuickSettings {
     this.config = config;
     
     // Update dropdowns
+    await this.populateProfileDropdown();
     await this.populateModelDropdown();
     await this.populatePromptDropdown();
   }
@@ -223,6 +322,7 @@ export class QuickSettings {
   async refresh() {
     try {
       this.config = await Storage.loadConfig();
+      await this.populateProfileDropdown();
       await this.populateModelDropdown();
       await this.populatePromptDropdown();
     } catch (error) {
@@ -313,6 +413,10 @@ export class QuickSettings {
    * @param {boolean} enabled - Whether to enable the component
    */
   setEnabled(enabled) {
+    if (this.profileSelect) {
+      this.profileSelect.disabled = !enabled;
+    }
+    
     if (this.modelSelect) {
       this.modelSelect.disabled = !enabled;
     }
@@ -326,7 +430,9 @@ export class QuickSettings {
 /**
  * Create a quick settings component
  * @param {Object} elementIds - Object containing element IDs
+ * @param {string} elementIds.profileSelect - ID of profile dropdown element
  * @param {string} elementIds.modelSelect - ID of model dropdown element
+ * @param {string} [elementIds.refreshModelsButton] - ID of the button that refreshes the model list
  * @param {string} elementIds.promptSelect - ID of prompt dropdown element
  * @param {Object} options - Configuration options
  * @returns {QuickSettings} Initialized quick settings component
@@ -334,10 +440,18 @@ export class QuickSettings {
 export function createQuickSettings(elementIds, options = {}) {
   const elements = {};
   
+  if (elementIds.profileSelect) {
+    elements.profileSelect = document.getElementById(elementIds.profileSelect);
+  }
+  
   if (elementIds.modelSelect) {
     elements.modelSelect = document.getElementById(elementIds.modelSelect);
   }
   
+  if (elementIds.refreshModelsButton) {
+    elements.refreshModelsButton = document.getElementById(elementIds.refreshModelsButton);
+  }
+  
   if (elementIds.promptSelect) {
     elements.promptSelect = document.getElementById(elementIds.promptSelect);
   }
@@ -45,7 +45,7 @@ export class StatusIndicator {
   async update() {
     try {
       const config = await Storage.loadConfig();
-      const apiKey = await Storage.getApiKey(config.provider);
+      const apiKey = await Storage.getApiKey(config.profileId);
       
       if (apiKey) {
         this.setConnected(config.provider);
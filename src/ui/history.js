@@ -0,0 +1,340 @@
+/**
+ * Chrome Copilot - History Page Controller
+ *
+ * This file handles the full history view: searching and filtering saved
+ * queries, paging through them, and showing an entry with its context.
+ */
+
+import { Storage } from '../config/storage.js';
+import { Conversation } from '../api/conversation.js';
+import { getProviderLabel } from '../api/registry.js';
+import { formatUsage } from '../api/usage.js';
+import { Display } from '../display/display.js';
+import { Sanitize } from '../utils/sanitize.js';
+import { debounce } from '../utils/debounce.js';
+import { createHistoryList } from './components/history-list.js';
+
+// Number of entries shown per page
+const PAGE_SIZE = 20;
+
+/**
+ * History page controller class
+ */
+class HistoryPageController {
+  constructor() {
+    this.entries = [];
+    this.filteredEntries = [];
+    this.page = 0;
+    this.selectedId = null;
+    this.historyList = null;
+    this.filters = {
+      query: '',
+      provider: '',
+      model: '',
+      hostname: '',
+      from: '',
+      to: ''
+    };
+    
+    // Initialize when DOM is loaded
+    document.addEventListener('DOMContentLoaded', () => this.init());
+  }
+  
+  /**
+   * Initialize history page
+   */
+  async init() {
+    try {
+      this.historyList = createHistoryList('historyList', {
+        maxItems: PAGE_SIZE,
+        textLength: 160,
+        showHostname: true,
+        showReRun: false,
+        emptyMessage: 'No matching queries.',
+        subMessage: 'Try a different search or clear the filters.'
+      });
+      this.historyList.setOnItemClick(entry => this.showDetail(entry));
+      
+      this.setupEventListeners();
+      await this.loadHistory();
+      
+      // Refresh when new queries are saved while the page is open
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.historyUpdated) {
+          this.loadHistory().catch(console.error);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize history page:', error);
+      document.getElementById('historyList').textContent = 'Failed to load history.';
+    }
+  }
+  
+  /**
+   * Set up filter, search and pagination controls
+   */
+  setupEventListeners() {
+    const searchInput = document.getElementById('searchInput');
+    const applySearch = debounce(() => {
+      this.filters.query = searchInput.value.trim();
+      this.applyFilters();
+    }, 200);
+    searchInput.addEventListener('input', applySearch);
+    
+    const selectFilters = {
+      providerFilter: 'provider',
+      modelFilter: 'model',
+      hostnameFilter: 'hostname',
+      dateFrom: 'from',
+      dateTo: 'to'
+    };
+    Object.entries(selectFilters).forEach(([elementId, filter]) => {
+      document.getElementById(elementId).addEventListener('change', (e) => {
+        this.filters[filter] = e.target.value;
+        this.applyFilters();
+      });
+    });
+    
+    document.getElementById('clearFilters').addEventListener('click', () => {
+      this.clearFilters();
+    });
+    
+    document.getElementById('prevPage').addEventListener('click', () => {
+      this.goToPage(this.page - 1);
+    });
+    
+    document.getElementById('nextPage').addEventListener('click', () => {
+      this.goToPage(this.page + 1);
+    });
+    
+    Display.bindCodeBlockActions(document.getElementById('historyDetail'));
+  }
+  
+  /**
+   * Load history entries from storage
+   */
+  async loadHistory() {
+    this.entries = await Storage.getHistory();
+    this.populateFilterOptions();
+    this.applyFilters({ keepPage: true });
+  }
+  
+  /**
+   * Fill the provider, model and website filters from the loaded entries
+   */
+  populateFilterOptions() {
+    this.fillSelect('providerFilter', this.uniqueValues(entry => entry.provider), getProviderLabel);
+    this.fillSelect('modelFilter', this.uniqueValues(entry => entry.model));
+    this.fillSelect('hostnameFilter', this.uniqueValues(entry => this.historyList.getHostname(entry)));
+  }
+  
+  /**
+   * Replace the options of a filter select, keeping its "all" option and selection
+   * @param {string} elementId - Select element ID
+   * @param {Array<string>} values - Option values
+   * @param {Function} [getLabel] - Maps a value to its label
+   */
+  fillSelect(elementId, values, getLabel = value => value) {
+    const select = document.getElementById(elementId);
+    const selected = select.value;
+    
+    select.length = 1;
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = getLabel(value);
+      select.appendChild(option);
+    });
+    
+    select.value = values.includes(selected) ? selected : '';
+  }
+  
+  /**
+   * Get the sorted distinct non-empty values of an entry field
+   * @param {Function} getValue - Reads the value from an entry
+   * @returns {Array<string>}
+   */
+  uniqueValues(getValue) {
+    return [...new Set(this.entries.map(getValue).filter(Boolean))].sort();
+  }
+  
+  /**
+   * Filter entries and show the first page of matches
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.keepPage=false] - Stay on the current page if it still exists
+   */
+  applyFilters({ keepPage = false } = {}) {
+    this.filteredEntries = this.entries.filter(entry => this.matchesFilters(entry));
+    
+    const lastPage = Math.max(0, Math.ceil(this.filteredEntries.length / PAGE_SIZE) - 1);
+    this.page = keepPage ? Math.min(this.page, lastPage) : 0;
+    this.render();
+  }
+  
+  /**
+   * Check whether an entry matches the current filters
+   * @param {Object} entry - History entry
+   * @returns {boolean}
+   */
+  matchesFilters(entry) {
+    const { query, provider, model, hostname, from, to } = this.filters;
+    
+    if (provider && entry.provider !== provider) return false;
+    if (model && entry.model !== model) return false;
+    if (hostname && this.historyList.getHostname(entry) !== hostname) return false;
+    
+    // Date inputs are whole days in local time
+    const time = new Date(entry.timestamp).getTime();
+    if (from && time < new Date(`${from}T00:00:00`).getTime()) return false;
+    if (to && time > new Date(`${to}T23:59:59.999`).getTime()) return false;
+    
+    if (query) {
+      // Every search term must appear in the selection or the result
+      const haystack = `${entry.text}\n${entry.result}`.toLowerCase();
+      return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Reset all filters
+   */
+  clearFilters() {
+    this.filters = { query: '', provider: '', model: '', hostname: '', from: '', to: '' };
+    
+    ['searchInput', 'providerFilter', 'modelFilter', 'hostnameFilter', 'dateFrom', 'dateTo'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    
+    this.applyFilters();
+  }
+  
+  /**
+   * Show a page of results
+   * @param {number} page - Zero-based page index
+   */
+  goToPage(page) {
+    const pageCount = Math.ceil(this.filteredEntries.length / PAGE_SIZE);
+    if (page < 0 || page >= pageCount) return;
+    
+    this.page = page;
+    this.render();
+    document.getElementById('historyList').scrollIntoView({ block: 'start' });
+  }
+  
+  /**
+   * Render the current page, pagination and result count
+   */
+  render() {
+    const total = this.filteredEntries.length;
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const start = this.page * PAGE_SIZE;
+    
+    this.historyList.setItems(this.filteredEntries.slice(start, start + PAGE_SIZE));
+    this.highlightSelected();
+    
+    const countText = total === this.entries.length
+      ? `${total} ${total === 1 ? 'query' : 'queries'}`
+      : `${total} of ${this.entries.length} queries`;
+    document.getElementById('resultCount').textContent = countText;
+    
+    document.getElementById('pageInfo').textContent = `Page ${this.page + 1} of ${pageCount}`;
+    document.getElementById('prevPage').disabled = this.page === 0;
+    document.getElementById('nextPage').disabled = this.page >= pageCount - 1;
+  }
+  
+  /**
+   * Mark the list item of the selected entry
+   */
+  highlightSelected() {
+    document.querySelectorAll('#historyList .history-item').forEach(element => {
+      element.classList.toggle('selected', element.dataset.id === String(this.selectedId));
+    });
+  }
+  
+  /**
+   * Show an entry with its full result, follow-ups and context
+   * @param {Object} entry - History entry
+   */
+  showDetail(entry) {
+    this.selectedId = entry.id;
+    this.highlightSelected();
+    
+    const context = entry.context || {};
+    const followUps = Conversation.fromResult(entry).followUps;
+    const url = Sanitize.sanitizeUrl(context.url);
+    const detail = document.getElementById('historyDetail');
+    
+    const contextRows = [
+      ['Page', context.title],
+      ['Website', this.historyList.getHostname(entry)],
+      ['Section', context.headings],
+      ['Paragraph', context.paragraph],
+      ['Description', context.description]
+    ].filter(([, value]) => value);
+    
+    detail.innerHTML = `
+      <div class="detail-meta">
+        <span>${new Date(entry.timestamp).toLocaleString()}</span>
+        <span>${Sanitize.escapeHtml(getProviderLabel(entry.provider))}</span>
+        <span>${Sanitize.escapeHtml(entry.model)}</span>
+        ${entry.fallback ? '<span>Answered by a fallback profile</span>' : ''}
+        ${formatUsage(entry.usage) ? `<span>${formatUsage(entry.usage)}</span>` : ''}
+      </div>
+      
+      <div class="detail-section">
+        <h2>${entry.image ? 'Image' : 'Selection'}</h2>
+        ${Display.formatImageThumbnail(entry.image, 'detail-image')}
+        <div class="detail-selection">${Sanitize.escapeHtml(entry.text)}</div>
+      </div>
+      
+      <div class="detail-section">
+        <h2>Result</h2>
+        ${Display.formatResult(entry.result)}
+      </div>
+      
+      ${followUps.length > 0 ? `
+      <div class="detail-section">
+        <h2>Follow-up questions</h2>
+        ${Display.formatConversation(followUps)}
+      </div>` : ''}
+      
+      ${contextRows.length > 0 ? `
+      <div class="detail-section">
+        <h2>Context</h2>
+        <dl class="detail-context">
+          ${contextRows.map(([label, value]) => `
+          <dt>${label}</dt>
+          <dd>${Sanitize.escapeHtml(value)}</dd>`).join('')}
+        </dl>
+      </div>` : ''}
+      
+      <div class="detail-actions">
+        <button type="button" id="copyDetail" class="btn btn-small btn-secondary">
+          <span class="btn-icon">📋</span> Copy result
+        </button>
+        ${url ? `
+        <a href="${Sanitize.escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="btn btn-small btn-text">
+          <span class="btn-icon">↗</span> Open page
+        </a>` : ''}
+      </div>
+    `;
+    
+    const copyButton = document.getElementById('copyDetail');
+    copyButton.addEventListener('click', async () => {
+      try {
+        await Display.copyResult(entry.result);
+        copyButton.innerHTML = '<span class="btn-icon">✓</span> Copied!';
+        setTimeout(() => {
+          copyButton.innerHTML = '<span class="btn-icon">📋</span> Copy result';
+        }, 2000);
+      } catch (error) {
+        console.error('Copy failed:', error);
+      }
+    });
+  }
+}
+
+// Initialize history page controller when script loads
+const historyPageController = new HistoryPageController();
\ No newline at end of file
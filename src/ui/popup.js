@@ -6,13 +6,21 @@
  */
 
 import { Storage } from '../config/storage.js';
+import { KeyVault } from '../config/key-vault.js';
 import { LLMAPI } from '../api/api.js';
+import { Conversation } from '../api/conversation.js';
+import { isAbortError } from '../api/abort.js';
+import { formatUsage } from '../api/usage.js';
+import { describeProgress } from '../api/summarize.js';
+import { getProvider, getProviderLabel } from '../api/registry.js';
 import { Display } from '../display/display.js';
+import { Sanitize } from '../utils/sanitize.js';
+import { createQuickSettings } from './components/quick-settings.js';
+import { getProfile } from '../config/profiles.js';
+import { applySiteRules } from '../config/site-rules.js';
 import { 
   ACTION_TYPES, 
-  PROVIDERS, 
-  ERROR_MESSAGES,
-  DEFAULT_CONFIG 
+  ERROR_MESSAGES
 } from '../core/constants.js';
 
 /**
@@ -24,6 +32,13 @@ class PopupController {
     this.currentResult = null;
     this.currentError = null;
     this.isProcessing = false;
+    this.partialResult = null;
+    this.streamingSelection = null;
+    this.conversation = null;
+    this.activeJobId = null;
+    this.localRequest = null;
+    this.vaultLocked = false;
+    this.quickSettings = null;
     
     // Initialize when DOM is loaded
     document.addEventListener('DOMContentLoaded', () => this.init());
@@ -36,10 +51,12 @@ class PopupController {
     try {
       await this.loadCurrentState();
       this.setupEventListeners();
+      this.setupMessageListeners();
       await this.updateStatus();
       await this.loadQuickSettings();
       await this.loadHistory();
       this.determineInitialView();
+      await this.focusPageQuestion();
     } catch (error) {
       console.error('Failed to initialize popup:', error);
       this.showError(`Failed to load extension data: ${error.message}`);
@@ -59,6 +76,9 @@ class PopupController {
       this.currentResult = response?.lastResult || null;
       this.currentError = response?.lastError || null;
       this.isProcessing = response?.processing || false;
+      this.partialResult = response?.partialResult || null;
+      this.streamingSelection = response?.lastSelection || null;
+      this.activeJobId = response?.activeJobId || null;
       
     } catch (error) {
       console.debug('Could not load current state:', error);
@@ -85,11 +105,25 @@ class PopupController {
       this.testWithCurrentSelection();
     });
     
+    document.getElementById('summarizePage').addEventListener('click', () => {
+      this.processPage();
+    });
+    
+    document.getElementById('pageQuestionForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const question = document.getElementById('pageQuestionInput').value.trim();
+      if (question) {
+        this.processPage(question);
+      }
+    });
+    
     document.getElementById('retryBtn').addEventListener('click', () => {
       this.retryLastAction();
     });
     
     // Result actions
+    Display.bindCodeBlockActions(document.getElementById('resultView'));
+    
     document.getElementById('copyResult').addEventListener('click', () => {
       this.copyResultToClipboard();
     });
@@ -98,6 +132,28 @@ class PopupController {
       this.clearResult();
     });
     
+    document.getElementById('bypassCache').addEventListener('click', () => {
+      this.bypassCache();
+    });
+    
+    document.getElementById('stopRequest').addEventListener('click', () => {
+      this.cancelRequest();
+    });
+    
+    document.getElementById('stopStreaming').addEventListener('click', () => {
+      this.cancelRequest();
+    });
+    
+    document.getElementById('followUpForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.askFollowUp();
+    });
+    
+    document.getElementById('unlockForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlockVault();
+    });
+    
     // History actions
     document.getElementById('clearHistory').addEventListener('click', () => {
       this.clearHistory();
@@ -105,22 +161,84 @@ class PopupController {
     
     document.getElementById('viewAllHistory').addEventListener('click', (e) => {
       e.preventDefault();
-      // TODO: Implement history view
-      this.showError('History view not implemented yet');
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/ui/history.html') });
+      window.close();
     });
     
     document.getElementById('reportIssue').addEventListener('click', (e) => {
       e.preventDefault();
       this.reportIssue();
     });
-    
-    // Quick settings changes
-    document.getElementById('quickModel').addEventListener('change', (e) => {
-      this.updateQuickSetting('model', e.target.value);
-    });
-    
-    document.getElementById('quickPrompt').addEventListener('change', (e) => {
-      this.updateQuickSetting('defaultPrompt', e.target.value);
+  }
+  
+  /**
+   * Listen for streamed results relayed by the background script
+   */
+  setupMessageListeners() {
+    chrome.runtime.onMessage.addListener((message) => {
+      // Ignore messages from a job that has been superseded
+      if (message.jobId && this.activeJobId && message.action !== ACTION_TYPES.STREAM_START &&
+          message.jobId !== this.activeJobId) {
+        return false;
+      }
+      
+      switch (message.action) {
+        case ACTION_TYPES.STREAM_START:
+          this.activeJobId = message.jobId || null;
+          this.streamingSelection = message.selection || null;
+          this.showLoading('Waiting for response...');
+          break;
+          
+        case ACTION_TYPES.STREAM_CHUNK:
+          this.showStreamingResult(message.text);
+          break;
+          
+        case ACTION_TYPES.REQUEST_RETRY:
+          this.showLoading(this.formatRetryStatus(message));
+          break;
+          
+        case ACTION_TYPES.REQUEST_FALLBACK:
+          this.showLoading(this.formatFallbackStatus(message.from, message.to));
+          break;
+          
+        case ACTION_TYPES.REQUEST_PROGRESS:
+          this.showLoading(describeProgress(message));
+          break;
+          
+        case ACTION_TYPES.STREAM_END:
+          this.activeJobId = null;
+          this.isProcessing = false;
+          this.showResult(message.data.result, {
+            text: message.data.text,
+            context: message.data.context || {},
+            messages: message.data.messages,
+            historyId: message.data.historyId,
+            cached: message.data.cached,
+            usage: message.data.usage,
+            provider: message.data.provider,
+            model: message.data.model,
+            fallback: message.data.fallback,
+            promptTemplate: message.data.promptTemplate,
+            page: message.data.page
+          });
+          this.loadHistory();
+          break;
+          
+        case ACTION_TYPES.SHOW_ERROR:
+          this.activeJobId = null;
+          this.isProcessing = false;
+          this.showError(message.error);
+          break;
+          
+        case ACTION_TYPES.REQUEST_CANCELLED:
+          // A superseded job is followed by the stream of the new one
+          if (message.reason !== 'superseded') {
+            this.showCancelled();
+          }
+          break;
+      }
+      
+      return false;
     });
   }
   
@@ -130,17 +248,22 @@ class PopupController {
   async updateStatus() {
     try {
       const config = await Storage.loadConfig();
-      const apiKey = await Storage.getApiKey(config.provider);
+      const apiKey = await Storage.getApiKey(config.profileId);
+      const requiresApiKey = getProvider(config.provider)?.capabilities.requiresApiKey ?? true;
+      this.vaultLocked = await KeyVault.isLocked();
       
       const statusIndicator = document.getElementById('statusIndicator');
       const statusText = document.getElementById('statusText');
-      const providerLabel = config.provider.charAt(0).toUpperCase() + config.provider.slice(1);
+      const providerLabel = getProfile(config, config.profileId)?.name || getProviderLabel(config.provider);
       
       statusIndicator.className = 'status-indicator';
       
-      if (apiKey) {
+      if (apiKey || !requiresApiKey) {
         statusIndicator.classList.add('status-connected');
         statusText.textContent = `Connected to ${providerLabel}`;
+      } else if (this.vaultLocked) {
+        statusIndicator.classList.add('status-disconnected');
+        statusText.textContent = 'API keys locked';
       } else {
         statusIndicator.classList.add('status-disconnected');
         statusText.textContent = `${providerLabel} API key needed`;
@@ -155,76 +278,28 @@ class PopupController {
    * Load quick settings dropdowns
    */
   async loadQuickSettings() {
-    try {
-      const config = await Storage.loadConfig();
-      
-      // Load model dropdown
-      await this.populateModelDropdown(config);
-      
-      // Load prompt template dropdown
-      await this.populatePromptDropdown(config);
-      
-    } catch (error) {
-      console.error('Error loading quick settings:', error);
-    }
-  }
-  
-  /**
-   * Populate model dropdown based on selected provider
-   */
-  async populateModelDropdown(config) {
-    const modelSelect = document.getElementById('quickModel');
-    modelSelect.innerHTML = '';
-    
-    const provider = PROVIDERS.find(p => p.value === config.provider);
-    if (!provider) {
-      const option = document.createElement('option');
-      option.value = config.model || DEFAULT_CONFIG.model;
-      option.textContent = config.model || DEFAULT_CONFIG.model;
-      modelSelect.appendChild(option);
-      return;
-    }
+    this.quickSettings = createQuickSettings({
+      profileSelect: 'quickProfile',
+      modelSelect: 'quickModel',
+      refreshModelsButton: 'refreshModels',
+      promptSelect: 'quickPrompt'
+    });
     
-    provider.models.forEach(model => {
-      const option = document.createElement('option');
-      option.value = model;
-      option.textContent = model;
-      option.selected = model === config.model;
-      modelSelect.appendChild(option);
+    this.quickSettings.setOnChange(({ type, value }) => {
+      if (type === 'profile') {
+        this.updateStatus();
+      } else if (type === 'prompt') {
+        this.updateQuickSetting('defaultPrompt', value);
+      }
     });
   }
   
-  /**
-   * Populate prompt template dropdown
-   */
-  async populatePromptDropdown(config) {
-    const promptSelect = document.getElementById('quickPrompt');
-    promptSelect.innerHTML = '';
-    
-    // Add default prompt
-    const defaultOption = document.createElement('option');
-    defaultOption.value = 'default';
-    defaultOption.textContent = 'Default Prompt';
-    defaultOption.selected = true;
-    promptSelect.appendChild(defaultOption);
-    
-    // Add custom prompts
-    if (config.customPrompts && config.customPrompts.length > 0) {
-      config.customPrompts.forEach(prompt => {
-        const option = document.createElement('option');
-        option.value = prompt.template;
-        option.textContent = prompt.name;
-        promptSelect.appendChild(option);
-      });
-    }
-  }
-  
   /**
    * Load recent query history
    */
   async loadHistory() {
     try {
-      const history = await Storage.getHistory();
+      const history = await Storage.getHistory({ limit: 5 });
       const historyList = document.getElementById('historyList');
       
       // Clear existing items except empty state
@@ -334,23 +409,111 @@ class PopupController {
   /**
    * Process text selection
    */
-  async processSelection(text, context) {
+  async processSelection(text, context, options = {}) {
     try {
       this.showLoading('Processing with AI...');
       
-      const config = await Storage.loadConfig();
-      const result = await LLMAPI.processText(text, context, {
-        promptTemplate: config.defaultPrompt
+      // A site rule may replace the default prompt for this page
+      const { config } = applySiteRules(await Storage.loadConfig(), context?.url);
+      this.streamingSelection = { text, context };
+      
+      // A new request from the popup replaces one still running here
+      this.localRequest?.abort();
+      const request = new AbortController();
+      this.localRequest = request;
+      
+      const promptTemplate = options.promptTemplate || config.defaultPrompt;
+      const { result, messages, cached, usage, answeredBy } = await LLMAPI.startConversation(text, context, {
+        promptTemplate,
+        bypassCache: Boolean(options.bypassCache),
+        onToken: config.streamResponses
+          ? (delta, partialText) => this.showStreamingResult(partialText)
+          : undefined,
+        onRetry: retry => this.showLoading(this.formatRetryStatus(retry)),
+        onFallback: ({ from, to }) => this.showLoading(this.formatFallbackStatus(from.provider, to.provider)),
+        signal: request.signal
       });
       
-      this.showResult(result, { text, context });
+      this.localRequest = null;
+      this.isProcessing = false;
+      this.showResult(result, { text, context, messages, cached, usage, ...answeredBy, promptTemplate });
       
     } catch (error) {
+      if (isAbortError(error)) {
+        // Only the request that was stopped updates the view
+        if (this.localRequest?.signal.aborted) {
+          this.localRequest = null;
+          this.showCancelled();
+        }
+        return;
+      }
+      
       console.error('Error processing selection:', error);
+      this.localRequest = null;
+      this.isProcessing = false;
+      this.showError(error.message || ERROR_MESSAGES.API_ERROR);
+    }
+  }
+  
+  /**
+   * Summarize the page in the current tab, or answer a question about it
+   * 
+   * The background runs the request, so it keeps going if the popup closes and is
+   * saved to history; progress and streamed text arrive through the message listener.
+   * @param {string} [question] - Question about the page; without one the page is summarized
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.bypassCache] - Ask the provider even if a cached response exists
+   */
+  async processPage(question = '', options = {}) {
+    try {
+      this.showLoading('Reading the page...');
+      document.getElementById('pageQuestionInput').value = '';
+      
+      // The page request replaces whatever is running, here or in the background
+      this.localRequest?.abort();
+      this.localRequest = null;
+      this.activeJobId = null;
+      
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({
+        action: ACTION_TYPES.EXPLAIN_PAGE,
+        tabId: tab.id,
+        question,
+        bypassCache: Boolean(options.bypassCache)
+      });
+      
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      // Streamed results, errors and cancellations have already updated the view;
+      // otherwise the result or error is read from what the background stored
+      if (this.currentView === 'loading') {
+        await this.loadCurrentState();
+        this.determineInitialView();
+      }
+      this.loadHistory();
+      
+    } catch (error) {
+      console.error('Error processing page:', error);
+      this.isProcessing = false;
       this.showError(error.message || ERROR_MESSAGES.API_ERROR);
     }
   }
   
+  /**
+   * Focus the page question field when the popup was opened by "Ask about this page"
+   */
+  async focusPageQuestion() {
+    const { pageQuestionRequested } = await chrome.storage.local.get('pageQuestionRequested');
+    if (!pageQuestionRequested) return;
+    
+    await chrome.storage.local.remove('pageQuestionRequested');
+    this.currentView = 'config';
+    this.showView('config');
+    document.getElementById('pageQuestionInput').focus();
+  }
+  
   /**
    * Show result in popup
    */
@@ -362,7 +525,19 @@ class PopupController {
     this.showView('result');
     
     const resultElement = document.getElementById('lastResult');
+    resultElement.classList.remove('streaming');
     resultElement.innerHTML = Display.formatResult(result);
+    document.getElementById('stopStreaming').classList.add('hidden');
+    
+    this.conversation = Conversation.fromResult({
+      text: metadata?.text,
+      context: metadata?.context,
+      result,
+      messages: metadata?.messages,
+      historyId: metadata?.historyId ?? null,
+      usage: metadata?.usage
+    });
+    this.renderConversation();
     
     const context = metadata?.context || {};
     const metadataElement = document.getElementById('resultMetadata');
@@ -373,22 +548,228 @@ class PopupController {
       <div class="metadata-item">
         <strong>Time:</strong> ${context.timestamp ? new Date(context.timestamp).toLocaleTimeString() : 'Unknown'}
       </div>
+      ${metadata?.page?.truncated ? `
+      <div class="metadata-item">
+        <strong>Page:</strong> Only the first part of this long page was read
+      </div>` : ''}
+      ${metadata?.cached ? `
+      <div class="metadata-item">
+        <strong>Cache:</strong> Served from cache
+      </div>` : ''}
+      ${metadata?.fallback ? `
+      <div class="metadata-item">
+        <strong>Answered by:</strong> ${Sanitize.escapeHtml(getProviderLabel(metadata.provider))} (${Sanitize.escapeHtml(metadata.model || '')}), as a fallback
+      </div>` : ''}
+      <div id="resultUsage"></div>
     `;
+    this.renderUsage(this.conversation.usage);
+    
+    // Cached results can be regenerated by asking the provider again
+    document.getElementById('bypassCache').classList.toggle('hidden', !metadata?.cached);
     
     Storage.loadConfig().then(config => {
       if (config.autoCopy) {
-        Display.copyToClipboard(result);
+        Display.copyResult(result);
       }
     }).catch(console.error);
   }
   
+  /**
+   * Show the tokens and cost of the current result, and warn when the
+   * monthly budget is running out
+   * @param {Object|null} usage - Usage from LLMAPI.recordUsage, or null for cached results
+   */
+  renderUsage(usage) {
+    const usageElement = document.getElementById('resultUsage');
+    if (!usageElement) return;
+    
+    // Usage of history entries may come from an imported file, so it is checked before it is shown
+    const description = formatUsage(usage);
+    if (!description) {
+      usageElement.innerHTML = '';
+      return;
+    }
+    
+    const budget = usage.budget;
+    const showBudget = (budget?.state === 'warning' || budget?.state === 'exceeded') &&
+      Number.isFinite(budget.spent) && Number.isFinite(budget.limit);
+    
+    usageElement.innerHTML = `
+      <div class="metadata-item">
+        <strong>Usage:</strong> ${description}
+      </div>
+      ${showBudget ? `
+      <div class="metadata-item budget-${budget.state}">
+        <strong>Budget:</strong> $${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)} spent this month${budget.state === 'exceeded' ? ' — paid providers are paused' : ''}
+      </div>` : ''}
+    `;
+  }
+  
+  /**
+   * Show a partially streamed result while the response is still arriving
+   * @param {string} text - Response text received so far
+   */
+  showStreamingResult(text) {
+    if (this.currentView !== 'result') {
+      this.currentView = 'result';
+      this.showView('result');
+      
+      const context = this.streamingSelection?.context || {};
+      document.getElementById('resultMetadata').innerHTML = `
+        <div class="metadata-item">
+          <strong>Source:</strong> ${context.title || 'Unknown'}
+        </div>
+      `;
+    }
+    
+    const resultElement = document.getElementById('lastResult');
+    if (!resultElement.classList.contains('streaming')) {
+      this.conversation = null;
+      this.renderConversation();
+    }
+    resultElement.classList.add('streaming');
+    resultElement.innerHTML = Display.formatResult(text);
+    resultElement.scrollTop = resultElement.scrollHeight;
+    document.getElementById('stopStreaming').classList.remove('hidden');
+    document.getElementById('bypassCache').classList.add('hidden');
+  }
+  
+  /**
+   * Stop the request that is currently running
+   */
+  async cancelRequest() {
+    // Selections explained from the popup run here rather than in the background
+    if (this.localRequest) {
+      this.localRequest.abort();
+      return;
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({
+        action: ACTION_TYPES.CANCEL_REQUEST,
+        jobId: this.activeJobId
+      });
+    } catch (error) {
+      console.error('Error cancelling request:', error);
+    }
+  }
+  
+  /**
+   * Update the view after a request was stopped
+   */
+  showCancelled() {
+    this.isProcessing = false;
+    this.activeJobId = null;
+    
+    const resultElement = document.getElementById('lastResult');
+    if (this.currentView === 'result' && resultElement.classList.contains('streaming')) {
+      // Keep the text that arrived before the request was stopped
+      resultElement.classList.remove('streaming');
+      document.getElementById('stopStreaming').classList.add('hidden');
+      document.getElementById('resultMetadata').insertAdjacentHTML('beforeend', `
+        <div class="metadata-item">
+          <strong>Status:</strong> Stopped before the response finished
+        </div>
+      `);
+    } else {
+      this.currentView = 'config';
+      this.showView('config');
+    }
+  }
+  
+  /**
+   * Render the follow-up thread of the current result
+   * @param {Object} [pending] - Exchange in progress
+   * @param {string} pending.question - Question being asked
+   * @param {string} [pending.answer] - Answer received so far
+   * @param {string} [pending.error] - Error message if the question failed
+   * @param {string} [pending.status] - Progress note, such as a retry
+   */
+  renderConversation(pending = null) {
+    const thread = document.getElementById('conversationThread');
+    const form = document.getElementById('followUpForm');
+    
+    // Follow-ups are only possible once the initial result is complete
+    form.classList.toggle('hidden', !this.conversation);
+    
+    const messages = this.conversation ? [...this.conversation.followUps] : [];
+    if (pending) {
+      messages.push({ role: 'user', content: pending.question });
+      if (pending.answer) {
+        messages.push({ role: 'assistant', content: pending.answer });
+      }
+    }
+    
+    thread.innerHTML = Display.formatConversation(messages);
+    thread.classList.toggle('streaming', Boolean(pending && !pending.error));
+    
+    if (pending?.error) {
+      const errorElement = document.createElement('div');
+      errorElement.className = 'conversation-error';
+      errorElement.textContent = pending.error;
+      thread.appendChild(errorElement);
+    } else if (pending?.status) {
+      const statusElement = document.createElement('div');
+      statusElement.className = 'conversation-status';
+      statusElement.textContent = pending.status;
+      thread.appendChild(statusElement);
+    }
+    
+    thread.scrollTop = thread.scrollHeight;
+  }
+  
+  /**
+   * Ask a follow-up question about the current result
+   */
+  async askFollowUp() {
+    const input = document.getElementById('followUpInput');
+    const submitBtn = document.getElementById('followUpSubmit');
+    const question = input.value.trim();
+    
+    if (!question || !this.conversation) return;
+    
+    input.disabled = true;
+    submitBtn.disabled = true;
+    this.renderConversation({ question });
+    
+    try {
+      const config = await Storage.loadConfig();
+      await this.conversation.ask(question, {
+        onToken: config.streamResponses
+          ? (delta, partialText) => this.renderConversation({ question, answer: partialText })
+          : undefined,
+        onRetry: retry => this.renderConversation({ question, status: this.formatRetryStatus(retry) }),
+        onFallback: ({ from, to }) => this.renderConversation({ question, status: this.formatFallbackStatus(from.provider, to.provider) })
+      });
+      
+      input.value = '';
+      this.renderConversation();
+      this.renderUsage(this.conversation.usage);
+    } catch (error) {
+      console.error('Error asking follow-up question:', error);
+      this.renderConversation({ question, error: error.message || ERROR_MESSAGES.API_ERROR });
+    } finally {
+      input.disabled = false;
+      submitBtn.disabled = false;
+      input.focus();
+    }
+  }
+  
   /**
    * Show error message
    */
   showError(message) {
-    this.currentView = 'error';
     this.currentError = message;
     
+    // Locked keys are fixed by unlocking, not in settings
+    if (message === ERROR_MESSAGES.VAULT_LOCKED) {
+      this.vaultLocked = true;
+      this.showUnlock();
+      return;
+    }
+    
+    this.currentView = 'error';
+    
     this.showView('error');
     
     const errorElement = document.getElementById('errorMessage');
@@ -404,6 +785,48 @@ class PopupController {
     }
   }
   
+  /**
+   * Show the passphrase prompt for the key vault
+   */
+  showUnlock() {
+    this.currentView = 'unlock';
+    this.showView('unlock');
+    document.getElementById('unlockPassphrase').focus();
+  }
+  
+  /**
+   * Unlock the key vault with the entered passphrase
+   */
+  async unlockVault() {
+    const passphraseInput = document.getElementById('unlockPassphrase');
+    const unlockButton = document.getElementById('unlockSubmit');
+    const unlockError = document.getElementById('unlockError');
+    
+    unlockButton.disabled = true;
+    unlockError.classList.add('hidden');
+    
+    try {
+      await KeyVault.unlock(passphraseInput.value);
+      passphraseInput.value = '';
+      
+      // The locked error no longer applies
+      if (this.currentError === ERROR_MESSAGES.VAULT_LOCKED) {
+        this.currentError = null;
+        await chrome.storage.local.set({ lastError: null });
+      }
+      
+      await this.updateStatus();
+      this.determineInitialView();
+    } catch (error) {
+      console.error('Error unlocking key vault:', error);
+      unlockError.textContent = error.message;
+      unlockError.classList.remove('hidden');
+      passphraseInput.select();
+    } finally {
+      unlockButton.disabled = false;
+    }
+  }
+  
   /**
    * Show loading state
    */
@@ -419,6 +842,25 @@ class PopupController {
     }
   }
   
+  /**
+   * Describe a retry of a failed request
+   * @param {Object} retry - Retry details ({ attempt, maxAttempts })
+   * @returns {string} Status text
+   */
+  formatRetryStatus({ attempt, maxAttempts }) {
+    return `Retrying (${attempt}/${maxAttempts})…`;
+  }
+  
+  /**
+   * Describe a switch to the next fallback profile
+   * @param {string} from - Provider that failed
+   * @param {string} to - Provider tried next
+   * @returns {string} Status text
+   */
+  formatFallbackStatus(from, to) {
+    return `${getProviderLabel(from)} failed, trying ${getProviderLabel(to)}…`;
+  }
+  
   /**
    * Show specific view
    */
@@ -439,14 +881,27 @@ class PopupController {
    * Determine which view to show initially
    */
   determineInitialView() {
-    if (this.isProcessing) {
+    if (this.isProcessing && this.partialResult) {
+      this.showStreamingResult(this.partialResult);
+    } else if (this.isProcessing) {
       this.showView('loading');
+    } else if (this.vaultLocked) {
+      this.showUnlock();
     } else if (this.currentError) {
       this.showError(this.currentError);
     } else if (this.currentResult) {
       const metadata = {
         text: this.currentResult.text,
-        context: this.currentResult.context || {}
+        context: this.currentResult.context || {},
+        messages: this.currentResult.messages,
+        historyId: this.currentResult.historyId,
+        cached: this.currentResult.cached,
+        usage: this.currentResult.usage,
+        provider: this.currentResult.provider,
+        model: this.currentResult.model,
+        fallback: this.currentResult.fallback,
+        promptTemplate: this.currentResult.promptTemplate,
+        page: this.currentResult.page
       };
       this.showResult(this.currentResult.result, metadata);
     } else {
@@ -489,7 +944,7 @@ class PopupController {
     if (!this.currentResult) return;
     
     try {
-      await Display.copyToClipboard(this.currentResult.result);
+      await Display.copyResult(this.currentResult.result);
       // Show success feedback
       const copyBtn = document.getElementById('copyResult');
       const originalText = copyBtn.innerHTML;
@@ -506,12 +961,13 @@ class PopupController {
   
   clearResult() {
     this.currentResult = null;
+    this.conversation = null;
     this.showView('config');
   }
   
   async clearHistory() {
     try {
-      await Storage.saveToHistory([]); // Clear history
+      await Storage.clearHistory();
       await this.loadHistory(); // Refresh display
     } catch (error) {
       console.error('Error clearing history:', error);
@@ -524,7 +980,38 @@ class PopupController {
     this.showView('config');
   }
   
+  /**
+   * Regenerate the current result without using the response cache
+   */
+  bypassCache() {
+    const metadata = this.currentResult?.metadata;
+    if (!metadata?.text) return;
+    
+    // The article text isn't kept with the result, so the page is read again
+    if (metadata.page) {
+      this.processPage(metadata.page.question, { bypassCache: true });
+      return;
+    }
+    
+    this.processSelection(metadata.text, metadata.context || {}, {
+      promptTemplate: metadata.promptTemplate,
+      bypassCache: true
+    });
+  }
+  
   reRunQuery(historyItem) {
+    // History keeps only a thumbnail of an image, which is too small to explain again
+    if (historyItem.image) {
+      this.showError('Images can\'t be re-run from history. Right-click the image on its page to explain it again.');
+      return;
+    }
+    
+    // History doesn't keep the article text either
+    if (historyItem.page) {
+      this.showError('Page summaries can\'t be re-run from history. Open the page and use "Summarize this page" or "Ask about this page" again.');
+      return;
+    }
+    
     const context = historyItem.context || {
       title: 'Unknown',
       url: 'Unknown',
@@ -541,7 +1028,14 @@ class PopupController {
     };
     this.showResult(historyItem.result, {
       text: historyItem.text,
-      context: context
+      context: context,
+      messages: historyItem.messages,
+      historyId: historyItem.id,
+      usage: historyItem.usage,
+      provider: historyItem.provider,
+      model: historyItem.model,
+      fallback: historyItem.fallback,
+      page: historyItem.page
     });
   }
   
@@ -75,8 +75,9 @@ export class Sanitize {
       maxLength = 50000
     } = options;
     
-    // Create a temporary div to parse HTML
-    const div = document.createElement('div');
+    // Parse in an inert document so images and event handlers never run,
+    // even when called from a content script on a web page
+    const div = document.implementation.createHTMLDocument('').createElement('div');
     div.innerHTML = html;
     
     // Limit total length
@@ -4,12 +4,14 @@
  * Provides validation functions for user inputs, configuration, and API data.
  */
 
-import { PROVIDERS, DEFAULT_CONFIG } from '../core/constants.js';
+import { DEFAULT_CONFIG, DISPLAY_LOCATIONS } from '../core/constants.js';
+import { getProvider } from '../api/registry.js';
+import { FALLBACK_FAILURES } from '../api/fallback.js';
 
 export class Validation {
   /**
    * Validate API key format (basic checks)
-   * @param {string} provider - Provider name ('openai', 'anthropic', 'deepseek', 'custom')
+   * @param {string} provider - Registered provider ID
    * @param {string} apiKey - API key to validate
    * @returns {boolean} True if API key appears valid
    */
@@ -24,27 +26,9 @@ export class Validation {
       return false;
     }
     
-    // Provider-specific validation
-    switch (provider) {
-      case 'openai':
-        // OpenAI keys typically start with 'sk-' and are 51 characters
-        return trimmedKey.startsWith('sk-') && trimmedKey.length >= 48;
-        
-      case 'anthropic':
-        // Anthropic keys typically start with 'sk-ant-' and are longer
-        return trimmedKey.startsWith('sk-ant-') && trimmedKey.length >= 40;
-        
-      case 'deepseek':
-        return trimmedKey.length >= 10;
-        
-      case 'custom':
-        // Custom API keys - minimal validation
-        return trimmedKey.length >= 1;
-        
-      default:
-        // Unknown provider
-        return false;
-    }
+    // Provider-specific validation (unknown providers are rejected)
+    const providerInfo = getProvider(provider);
+    return providerInfo ? providerInfo.validateApiKey(trimmedKey) : false;
   }
   
   /**
@@ -78,9 +62,10 @@ export class Validation {
     }
     
     // Validate provider
+    const providerInfo = getProvider(config.provider);
     if (!config.provider) {
       errors.push('Provider is required');
-    } else if (!PROVIDERS.some(p => p.value === config.provider)) {
+    } else if (!providerInfo) {
       errors.push(`Invalid provider: ${config.provider}`);
     }
     
@@ -89,13 +74,51 @@ export class Validation {
       errors.push('Model is required');
     }
     
-    // Validate endpoint for custom provider
-    if (config.provider === 'custom') {
+    // Validate endpoint for providers without a fixed API
+    if (providerInfo?.capabilities.requiresEndpoint) {
       if (!config.endpoint) {
-        errors.push('API endpoint is required for custom provider');
+        errors.push(`API endpoint is required for ${providerInfo.label}`);
       } else if (!this.isValidUrl(config.endpoint)) {
         errors.push('Invalid API endpoint URL');
       }
+    } else if (providerInfo?.capabilities.customEndpoint && config.endpoint && !this.isValidUrl(config.endpoint)) {
+      // Local providers fall back to their default address
+      errors.push('Invalid API endpoint URL');
+    }
+    
+    // Validate profiles
+    if (config.profiles !== undefined) {
+      if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+        errors.push('At least one profile is required');
+      } else {
+        const ids = new Set();
+        config.profiles.forEach((profile, index) => {
+          if (!profile.id || ids.has(profile.id)) {
+            errors.push(`Profile ${index + 1}: ID is missing or duplicated`);
+          }
+          ids.add(profile.id);
+          
+          if (!profile.name || profile.name.trim().length === 0) {
+            errors.push(`Profile ${index + 1}: Name is required`);
+          }
+          
+          if (!getProvider(profile.provider)) {
+            errors.push(`Profile ${index + 1}: Invalid provider: ${profile.provider}`);
+          }
+        });
+      }
+    }
+    
+    // Validate fallback profiles
+    if (config.fallbackProfileIds !== undefined && !Array.isArray(config.fallbackProfileIds)) {
+      errors.push('Fallback profiles must be a list');
+    }
+    
+    if (Array.isArray(config.fallbackOn)) {
+      const failures = FALLBACK_FAILURES.map(failure => failure.value);
+      if (config.fallbackOn.some(failure => !failures.includes(failure))) {
+        errors.push('Invalid fallback failure type');
+      }
     }
     
     // Validate default prompt
@@ -124,15 +147,49 @@ export class Validation {
     }
     
     // Validate display location
-    if (config.displayLocation && !['popup', 'sidepanel', 'notification'].includes(config.displayLocation)) {
+    if (config.displayLocation && !DISPLAY_LOCATIONS.some(location => location.value === config.displayLocation)) {
       errors.push('Invalid display location');
     }
     
+    // Validate math copy format
+    if (config.mathCopyFormat && !['latex', 'text'].includes(config.mathCopyFormat)) {
+      errors.push('Invalid math copy format');
+    }
+    
+    // Validate site rules
+    if (Array.isArray(config.siteRules)) {
+      config.siteRules.forEach((rule, index) => {
+        if (!rule.pattern || rule.pattern.trim().length === 0) {
+          errors.push(`Site rule ${index + 1}: Site pattern is required`);
+        }
+        
+        if (rule.displayLocation && !DISPLAY_LOCATIONS.some(location => location.value === rule.displayLocation)) {
+          errors.push(`Site rule ${index + 1}: Invalid display location`);
+        }
+      });
+    }
+    
+    if (config.retryAttempts !== undefined && !this.isInRange(config.retryAttempts, 1, 5)) {
+      errors.push('Retry attempts must be between 1 and 5');
+    }
+    
+    // Validate monthly budget
+    if (config.monthlyBudget !== undefined) {
+      const budget = Number(config.monthlyBudget);
+      if (isNaN(budget) || budget < 0) {
+        errors.push('Monthly budget cannot be negative');
+      }
+    }
+    
+    if (config.budgetWarningPercent !== undefined && !this.isInRange(config.budgetWarningPercent, 1, 100)) {
+      errors.push('Budget warning must be between 1 and 100 percent');
+    }
+    
     // Validate max history items
     if (config.maxHistoryItems !== undefined) {
       const maxItems = Number(config.maxHistoryItems);
-      if (isNaN(maxItems) || maxItems < 1 || maxItems > 1000) {
-        errors.push('Maximum history items must be between 1 and 1000');
+      if (isNaN(maxItems) || maxItems < 1 || maxItems > 5000) {
+        errors.push('Maximum history items must be between 1 and 5000');
       }
     }
     
@@ -197,14 +254,15 @@ export class Validation {
    * @returns {boolean} True if model is valid for provider
    */
   static validateModel(provider, model) {
-    const providerConfig = PROVIDERS.find(p => p.value === provider);
+    const providerConfig = getProvider(provider);
     if (!providerConfig) {
       return false;
     }
     
-    // Custom provider accepts any model
-    if (provider === 'custom') {
-      return model && model.trim().length > 0;
+    // Custom providers accept any model, and providers that list their
+    // models may offer more than the known ones
+    if (providerConfig.capabilities.customModels || providerConfig.listModels) {
+      return Boolean(model) && model.trim().length > 0;
     }
     
     return providerConfig.models.includes(model);